@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// accounts-cli.js — onboard stores and their processor credentials
+//
+//   node accounts-cli.js account add --label "My Store" [--currency AUD] [--ga4-property 123456]
+//                                    [--site https://mystore.com]
+//   node accounts-cli.js account update <account id> [--label "..."] [--ga4-property ...] [--site ...]
+//   node accounts-cli.js account list
+//   node accounts-cli.js account disable <account id> [--reason "..."]   disables all its credentials
+//
+//   node accounts-cli.js credential add --account <id> --provider stripe \
+//        --secret-key sk_live_... [--webhook-secret whsec_...]
+//   node accounts-cli.js credential add --account <id> --provider paypal \
+//        --client-id ... --client-secret ... [--webhook-id ...]
+//   node accounts-cli.js credential add --account <id> --provider square --access-token EAAA...
+//   node accounts-cli.js credential list [--account <id>]
+//   node accounts-cli.js credential test <credential id>
+//   node accounts-cli.js credential disable <credential id> [--reason "..."]
+//   node accounts-cli.js credential enable <credential id>
+//
+// A secret given as "-" is read from stdin, so it stays out of shell history.
+// `credential add` runs the same live check as `credential test` (Stripe
+// balance, PayPal OAuth token, Square locations — the adapter's check(), see
+// providers.js) before saving; --skip-test skips it. Secrets are encrypted
+// when a master key is configured (credential-crypto.js) and are never
+// printed. The pollers disable a credential by themselves after repeated auth
+// failures (credential-health.js); `enable` puts it back.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { ensureFxSchema } = require('./fx');
+const { ensureGa4PropertyColumn } = require('./traffic');
+const { ensureSiteUrlColumn, normaliseSiteUrl } = require('./accounts');
+const {
+  loadKeyring,
+  isEncrypted,
+  decryptCredential,
+  encryptCredential,
+} = require('./credential-crypto');
+const { recordCredentialSuccess } = require('./credential-health');
+const { PROVIDERS, getAdapter, ensureProviderSchema } = require('./providers');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function ensureSchema() {
+  await ensureFxSchema(pool);
+  await ensureGa4PropertyColumn(pool);
+  await ensureSiteUrlColumn(pool);
+  await pool.query(`
+    ALTER TABLE credentials
+      ADD COLUMN IF NOT EXISTS stripe_webhook_secret text,
+      ADD COLUMN IF NOT EXISTS paypal_webhook_id text
+  `);
+  // provider_sync_state has to exist before an adapter carries old cursors into it
+  for (const provider of PROVIDERS) await ensureProviderSchema(pool, getAdapter(provider));
+}
+
+let stdinValue = null;
+
+// "-" reads the value from stdin (once; a second "-" would get the same text)
+async function secretArg(name, value) {
+  if (value !== '-') return value;
+  if (stdinValue == null) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    stdinValue = Buffer.concat(chunks).toString('utf8').trim();
+  }
+  if (!stdinValue) throw new Error(`--${name} - got nothing on stdin`);
+  return stdinValue;
+}
+
+function requireId(positionals, what) {
+  const id = positionals[2];
+  if (!id) throw new Error(`usage: accounts-cli.js ${positionals[0]} ${positionals[1]} <${what} id>`);
+  return id;
+}
+
+/* ===============================
+   Live checks
+   =============================== */
+
+// plaintext credential values -> short description of what worked, or throws
+async function testCredential(provider, values) {
+  const adapter = getAdapter(provider);
+  return adapter.check(await adapter.authenticate(values));
+}
+
+/* ===============================
+   Accounts
+   =============================== */
+
+async function addAccount(values) {
+  if (!values.label) throw new Error('--label is required');
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO accounts (label, reporting_currency, ga4_property_id, site_url)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+    `,
+    [
+      values.label,
+      (values.currency || process.env.REPORTING_CURRENCY || 'AUD').toUpperCase(),
+      values['ga4-property'] || null,
+      values.site ? normaliseSiteUrl(values.site) : null,
+    ]
+  );
+  console.log(`✅ account ${rows[0].id} added: ${values.label}`);
+}
+
+async function updateAccount(id, values) {
+  const sets = [];
+  const params = [String(id)];
+  const set = (column, value) => {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  };
+
+  if (values.label) set('label', values.label);
+  if (values['ga4-property'] !== undefined) set('ga4_property_id', values['ga4-property'] || null);
+  if (values.site !== undefined) set('site_url', values.site ? normaliseSiteUrl(values.site) : null);
+  if (!sets.length) throw new Error('Nothing to update (--label, --ga4-property or --site; an empty value clears)');
+
+  const { rowCount } = await pool.query(`UPDATE accounts SET ${sets.join(', ')} WHERE id::text = $1::text`, params);
+  if (!rowCount) throw new Error(`No account ${id}`);
+  console.log(`✅ account ${id} updated`);
+}
+
+async function listAccounts() {
+  const { rows } = await pool.query(`
+    SELECT
+      a.id,
+      a.label,
+      a.reporting_currency,
+      a.ga4_property_id,
+      COUNT(c.id) FILTER (WHERE c.is_active) AS active,
+      COUNT(c.id) FILTER (WHERE NOT c.is_active) AS disabled,
+      string_agg(DISTINCT c.provider, ',') AS providers
+    FROM accounts a
+    LEFT JOIN credentials c ON c.account_id = a.id
+    GROUP BY a.id, a.label, a.reporting_currency, a.ga4_property_id
+    ORDER BY a.label
+  `);
+
+  console.log(
+    `${'id'.padEnd(6)} | ${'store'.padEnd(25)} | ccy | ${'ga4 property'.padEnd(12)} | ${'providers'.padEnd(13)} | credentials`
+  );
+  for (const r of rows) {
+    console.log(
+      `${String(r.id).padEnd(6)} | ${r.label.slice(0, 25).padEnd(25)} | ${r.reporting_currency} | ` +
+        `${(r.ga4_property_id || '-').padEnd(12)} | ${(r.providers || '-').padEnd(13)} | ` +
+        `${r.active} active${Number(r.disabled) ? `, ${r.disabled} disabled` : ''}`
+    );
+  }
+  if (!rows.length) console.log('(no accounts yet — add one with `account add --label ...`)');
+}
+
+async function disableAccount(id, reason) {
+  const { rowCount } = await pool.query(
+    `
+    UPDATE credentials SET is_active = false, disabled_reason = $2, disabled_at = now()
+    WHERE account_id::text = $1::text AND is_active
+    `,
+    [String(id), reason || 'account disabled by hand']
+  );
+  console.log(`✅ account ${id}: ${rowCount} credential(s) disabled`);
+}
+
+/* ===============================
+   Credentials
+   =============================== */
+
+async function addCredential(values) {
+  const provider = values.provider;
+  if (!PROVIDERS.includes(provider)) throw new Error(`--provider must be one of ${PROVIDERS.join(', ')}`);
+  if (!values.account) throw new Error('--account is required');
+
+  const { rows: accounts } = await pool.query(`SELECT id, label FROM accounts WHERE id::text = $1::text`, [
+    String(values.account),
+  ]);
+  if (!accounts[0]) throw new Error(`No account ${values.account}`);
+
+  let plain;
+  if (provider === 'stripe') {
+    plain = {
+      stripe_secret_key: await secretArg('secret-key', values['secret-key']),
+      stripe_webhook_secret: values['webhook-secret'] ? await secretArg('webhook-secret', values['webhook-secret']) : null,
+    };
+    if (!plain.stripe_secret_key) throw new Error('--secret-key is required for stripe');
+  } else if (provider === 'paypal') {
+    plain = {
+      paypal_client_id: values['client-id'],
+      paypal_client_secret: await secretArg('client-secret', values['client-secret']),
+      paypal_webhook_id: values['webhook-id'] || null,
+    };
+    if (!plain.paypal_client_id || !plain.paypal_client_secret) {
+      throw new Error('--client-id and --client-secret are required for paypal');
+    }
+  } else {
+    plain = { square_access_token: await secretArg('access-token', values['access-token']) };
+    if (!plain.square_access_token) throw new Error('--access-token is required for square');
+  }
+
+  if (!values['skip-test']) {
+    console.log(`🔌 testing ${provider} credential for ${accounts[0].label}...`);
+    console.log(`   ✅ ${await testCredential(provider, plain)}`);
+  }
+
+  let stored = plain;
+  if (loadKeyring()) {
+    stored = { ...plain, ...encryptCredential(plain) };
+  } else if (process.env.CREDENTIALS_REQUIRE_ENCRYPTION === 'true') {
+    throw new Error('CREDENTIALS_REQUIRE_ENCRYPTION=true but no master key is configured');
+  } else {
+    console.log('⚠️ no master key configured — secrets stored in plaintext (run credentials-key.js migrate later)');
+  }
+
+  const columns = Object.keys(stored).filter((k) => stored[k] != null);
+  const { rows } = await pool.query(
+    `
+    INSERT INTO credentials (account_id, provider, is_active, ${columns.join(', ')})
+    VALUES ($1, $2, true, ${columns.map((_, i) => `$${i + 3}`).join(', ')})
+    RETURNING id
+    `,
+    [accounts[0].id, provider, ...columns.map((k) => stored[k])]
+  );
+  console.log(`✅ credential ${rows[0].id} added: ${accounts[0].label} / ${provider}`);
+}
+
+async function listCredentials(accountId) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      c.id,
+      a.label,
+      c.provider,
+      c.is_active,
+      c.auth_failures,
+      c.last_success_at,
+      c.last_error,
+      c.disabled_reason,
+      COALESCE(c.stripe_secret_key, c.paypal_client_secret, c.square_access_token) AS secret
+    FROM credentials c
+    JOIN accounts a ON a.id = c.account_id
+    WHERE ($1::text IS NULL OR a.id::text = $1::text)
+    ORDER BY a.label, c.provider, c.id
+    `,
+    [accountId == null ? null : String(accountId)]
+  );
+
+  console.log(
+    `${'id'.padEnd(6)} | ${'store'.padEnd(25)} | ${'provider'.padEnd(8)} | ${'state'.padEnd(8)} | ` +
+      `${'stored'.padEnd(9)} | ${'last ok'.padEnd(16)} | note`
+  );
+  for (const r of rows) {
+    const state = r.is_active ? (r.auth_failures ? `${r.auth_failures} fail` : 'active') : 'disabled';
+    const note = r.is_active ? (r.auth_failures ? r.last_error : '') : r.disabled_reason;
+    console.log(
+      `${String(r.id).padEnd(6)} | ${r.label.slice(0, 25).padEnd(25)} | ${r.provider.padEnd(8)} | ${state.padEnd(8)} | ` +
+        `${(isEncrypted(r.secret) ? 'encrypted' : 'plaintext').padEnd(9)} | ` +
+        `${(r.last_success_at ? r.last_success_at.toISOString().slice(0, 16).replace('T', ' ') : '-').padEnd(16)} | ` +
+        `${(note || '').slice(0, 80)}`
+    );
+  }
+  if (!rows.length) console.log('(no credentials)');
+}
+
+async function testStoredCredential(id) {
+  const { rows } = await pool.query(
+    `
+    SELECT c.id, c.provider, c.is_active, a.label,
+           c.stripe_secret_key, c.paypal_client_id, c.paypal_client_secret, c.square_access_token, c.dek_wrapped
+    FROM credentials c
+    JOIN accounts a ON a.id = c.account_id
+    WHERE c.id::text = $1::text
+    `,
+    [String(id)]
+  );
+  if (!rows[0]) throw new Error(`No credential ${id}`);
+
+  const row = rows[0];
+  console.log(`🔌 testing ${row.provider} credential ${row.id} (${row.label})${row.is_active ? '' : ' — currently disabled'}`);
+
+  try {
+    console.log(`   ✅ ${await testCredential(row.provider, decryptCredential(row))}`);
+  } catch (err) {
+    // a manual test doesn't count towards auto-disable
+    console.log(`   ❌ ${err.message || err}`);
+    process.exitCode = 2;
+    return;
+  }
+  await recordCredentialSuccess(pool, row.id);
+}
+
+async function setCredentialActive(id, active, reason) {
+  const { rowCount } = active
+    ? await pool.query(
+        `
+        UPDATE credentials SET is_active = true, auth_failures = 0, disabled_reason = NULL, disabled_at = NULL
+        WHERE id::text = $1::text
+        `,
+        [String(id)]
+      )
+    : await pool.query(
+        `
+        UPDATE credentials SET is_active = false, disabled_reason = $2, disabled_at = now()
+        WHERE id::text = $1::text
+        `,
+        [String(id), reason || 'disabled by hand']
+      );
+
+  if (!rowCount) throw new Error(`No credential ${id}`);
+  console.log(`✅ credential ${id} ${active ? 'enabled' : 'disabled'}`);
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+const USAGE =
+  'usage: accounts-cli.js account add|list|update|disable | credential add|list|test|disable|enable (see header of accounts-cli.js)';
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      label: { type: 'string' },
+      currency: { type: 'string' },
+      'ga4-property': { type: 'string' },
+      site: { type: 'string' },
+      account: { type: 'string' },
+      provider: { type: 'string' },
+      'secret-key': { type: 'string' },
+      'webhook-secret': { type: 'string' },
+      'client-id': { type: 'string' },
+      'client-secret': { type: 'string' },
+      'webhook-id': { type: 'string' },
+      'access-token': { type: 'string' },
+      reason: { type: 'string' },
+      'skip-test': { type: 'boolean', default: false },
+    },
+  });
+
+  const [noun, verb] = positionals;
+  if (!['account', 'credential'].includes(noun)) throw new Error(USAGE);
+
+  await ensureSchema();
+
+  if (noun === 'account') {
+    if (verb === 'add') return addAccount(values);
+    if (verb === 'list') return listAccounts();
+    if (verb === 'update') return updateAccount(requireId(positionals, 'account'), values);
+    if (verb === 'disable') return disableAccount(requireId(positionals, 'account'), values.reason);
+  } else {
+    if (verb === 'add') return addCredential(values);
+    if (verb === 'list') return listCredentials(values.account);
+    if (verb === 'test') return testStoredCredential(requireId(positionals, 'credential'));
+    if (verb === 'disable') return setCredentialActive(requireId(positionals, 'credential'), false, values.reason);
+    if (verb === 'enable') return setCredentialActive(requireId(positionals, 'credential'), true);
+  }
+
+  throw new Error(USAGE);
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message || err}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,44 @@
+// accounts.js — helpers for tables that hang off `accounts`
+
+let cachedIdType = null;
+
+// SQL type of accounts.id (integer, bigint, uuid, ...), so new tables can
+// declare a matching account_id column and foreign key.
+async function accountIdType(db) {
+  if (cachedIdType) return cachedIdType;
+
+  const { rows } = await db.query(`
+    SELECT format_type(a.atttypid, a.atttypmod) AS type
+    FROM pg_attribute a
+    WHERE a.attrelid = 'accounts'::regclass
+      AND a.attname = 'id'
+      AND NOT a.attisdropped
+  `);
+
+  if (!rows[0]) throw new Error('accounts.id not found');
+
+  // serial columns report as integer/bigint, which is what a FK wants
+  cachedIdType = rows[0].type;
+  return cachedIdType;
+}
+
+// The store's own address (https://shop.example.com), so reports can tell a
+// visit that came from the store's own pages from a real referral
+async function ensureSiteUrlColumn(db) {
+  await db.query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS site_url text`);
+}
+
+// "shop.example.com/" or "https://shop.example.com" -> "https://shop.example.com"
+function normaliseSiteUrl(value) {
+  const raw = String(value || '').trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (e) {
+    url = null;
+  }
+  if (!url || !url.hostname.includes('.')) throw new Error(`Invalid site URL: ${JSON.stringify(value)}`);
+  return url.origin;
+}
+
+module.exports = { accountIdType, ensureSiteUrlColumn, normaliseSiteUrl };
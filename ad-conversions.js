@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+// ad-conversions.js — offline conversion exports for Google Ads and Meta
+//
+//   node ad-conversions.js [--since 2026-01-01] [--until 2026-01-08] [--account <id>]
+//                          [--platforms google,meta] [--lookback-days 90]
+//                          [--out-dir exports] [--post] [--resend]
+//
+// Purchases (conversions.js) are joined through the buyer's hashed email ->
+// vp_identities -> vp_touches to the latest gclid / fbclid captured before the
+// purchase. Output is a Google Ads offline-conversion upload CSV and a Meta
+// Conversions API payload per store, written to --out-dir and, with --post,
+// sent to the configured endpoints (point them at a local stub to test).
+// Conversions sent with --post are recorded, so later runs only pick up new
+// ones; a file-only run records nothing (the file may never be uploaded) and
+// writes every unsent conversion in range. Exports recorded before order ids
+// carried the store need migrate-ad-conversion-ids.js, once.
+//
+// env:
+//   GOOGLE_ADS_CONVERSION_NAME   conversion action name (default "Purchase")
+//   GOOGLE_ADS_UPLOAD_URL        endpoint that accepts the CSV (POST text/csv)
+//   META_PIXEL_ID, META_ACCESS_TOKEN, META_TEST_EVENT_CODE
+//   META_CAPI_URL                default https://graph.facebook.com/<META_API_VERSION>/<pixel>/events
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { loadConversions, ensureConversionSources } = require('./conversions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POST_TIMEOUT_MS = 20000;
+const META_BATCH_SIZE = 1000; // CAPI limit per request
+
+const GOOGLE_CONVERSION_NAME = process.env.GOOGLE_ADS_CONVERSION_NAME || 'Purchase';
+const META_API_VERSION = process.env.META_API_VERSION || 'v19.0';
+
+// which click id each platform can use
+const PLATFORM_CLICK_IDS = {
+  google: 'gclid',
+  meta: 'fbclid',
+};
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function ensureExportTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ad_conversion_exports (
+      platform text NOT NULL,
+      conversion_id text NOT NULL,
+      account_id text NOT NULL,
+      click_id text NOT NULL,
+      value numeric(14,2) NOT NULL,
+      currency char(3) NOT NULL,
+      event_time timestamptz NOT NULL,
+      destination text NOT NULL,
+      exported_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (platform, conversion_id)
+    )
+  `);
+}
+
+// sent ones only: file-only runs used to be recorded too (destination file:...)
+async function loadAlreadyExported(platform) {
+  const { rows } = await pool.query(
+    `SELECT conversion_id FROM ad_conversion_exports WHERE platform = $1 AND destination NOT LIKE 'file:%'`,
+    [platform]
+  );
+  return new Set(rows.map((r) => r.conversion_id));
+}
+
+// email hash -> [{ occurred_at, click_ids }] oldest first, touches with click ids only
+async function loadClicks(emailHashes, opts) {
+  if (!emailHashes.length) return new Map();
+
+  const { rows } = await pool.query(
+    `
+    SELECT i.email_hash, t.occurred_at, t.click_ids
+    FROM vp_touches t
+    JOIN vp_identities i ON i.anon_id = t.anon_id
+    WHERE i.email_hash = ANY($1)
+      AND t.occurred_at >= $2
+      AND t.occurred_at < $3
+      AND t.click_ids IS NOT NULL
+      AND t.click_ids::text <> '{}'
+    ORDER BY t.occurred_at
+    `,
+    [emailHashes, new Date(opts.since.getTime() - opts.lookbackMs), opts.until]
+  );
+
+  const byEmail = new Map();
+  for (const r of rows) {
+    if (!byEmail.has(r.email_hash)) byEmail.set(r.email_hash, []);
+    byEmail.get(r.email_hash).push(r);
+  }
+  return byEmail;
+}
+
+function latestClick(clicks, key, conversionMs, lookbackMs) {
+  let best = null;
+  for (const c of clicks || []) {
+    const ms = new Date(c.occurred_at).getTime();
+    if (ms > conversionMs || ms < conversionMs - lookbackMs) continue;
+    if (c.click_ids?.[key]) best = { id: String(c.click_ids[key]), at: ms };
+  }
+  return best;
+}
+
+/* ===============================
+   Formats
+   =============================== */
+
+// Google wants "yyyy-MM-dd HH:mm:ss+zzzz"
+function googleTime(ts) {
+  return new Date(ts).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '+0000');
+}
+
+function googleCsv(items) {
+  const rows = items.map((x) => [
+    x.click.id,
+    GOOGLE_CONVERSION_NAME,
+    googleTime(x.conversion.converted_at),
+    Number(x.conversion.revenue).toFixed(2),
+    x.conversion.currency.trim(),
+    x.conversion.email_hash || '',
+  ]);
+
+  return toCsv(rows, [
+    'Google Click ID',
+    'Conversion Name',
+    'Conversion Time',
+    'Conversion Value',
+    'Conversion Currency',
+    'Email',
+  ]);
+}
+
+function metaEvents(items) {
+  return items.map((x) => ({
+    event_name: 'Purchase',
+    event_time: Math.floor(new Date(x.conversion.converted_at).getTime() / 1000),
+    // same id the browser pixel would send, so Meta can dedupe the two
+    event_id: x.conversion.conversion_id,
+    action_source: 'website',
+    user_data: {
+      ...(x.conversion.email_hash ? { em: [x.conversion.email_hash] } : {}),
+      fbc: `fb.1.${x.click.at}.${x.click.id}`,
+    },
+    custom_data: {
+      value: Number(Number(x.conversion.revenue).toFixed(2)),
+      currency: x.conversion.currency.trim(),
+    },
+  }));
+}
+
+/* ===============================
+   Delivery
+   =============================== */
+
+async function post(url, body, contentType) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, Accept: 'application/json' },
+    body,
+    signal: AbortSignal.timeout(POST_TIMEOUT_MS),
+  });
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`POST ${url} failed (${resp.status}) ${text}`.slice(0, 350));
+  }
+}
+
+function metaUrl() {
+  if (process.env.META_CAPI_URL) return process.env.META_CAPI_URL;
+  if (!process.env.META_PIXEL_ID) throw new Error('META_PIXEL_ID (or META_CAPI_URL) is not set');
+  return `https://graph.facebook.com/${META_API_VERSION}/${process.env.META_PIXEL_ID}/events`;
+}
+
+async function deliverGoogle(items, file, opts) {
+  const csv = googleCsv(items);
+  fs.writeFileSync(file, csv);
+
+  if (!opts.post) return `file:${file}`;
+
+  const url = process.env.GOOGLE_ADS_UPLOAD_URL;
+  if (!url) throw new Error('--post needs GOOGLE_ADS_UPLOAD_URL for Google Ads');
+  await post(url, csv, 'text/csv');
+  return url;
+}
+
+async function deliverMeta(items, file, opts) {
+  const events = metaEvents(items);
+  const extra = {};
+  if (process.env.META_TEST_EVENT_CODE) extra.test_event_code = process.env.META_TEST_EVENT_CODE;
+
+  fs.writeFileSync(file, JSON.stringify({ data: events, ...extra }, null, 2));
+
+  if (!opts.post) return `file:${file}`;
+
+  const url = metaUrl();
+  for (let i = 0; i < events.length; i += META_BATCH_SIZE) {
+    const body = { data: events.slice(i, i + META_BATCH_SIZE), ...extra };
+    if (process.env.META_ACCESS_TOKEN) body.access_token = process.env.META_ACCESS_TOKEN;
+    await post(url, JSON.stringify(body), 'application/json');
+  }
+  return url.replace(/access_token=[^&]+/, 'access_token=***');
+}
+
+const DELIVER = { google: deliverGoogle, meta: deliverMeta };
+const EXTENSION = { google: 'csv', meta: 'json' };
+
+async function recordExported(platform, items, destination) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const x of items) {
+      await client.query(
+        `
+        INSERT INTO ad_conversion_exports (
+          platform, conversion_id, account_id, click_id, value, currency, event_time, destination, exported_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+        ON CONFLICT (platform, conversion_id) DO UPDATE SET
+          click_id = EXCLUDED.click_id,
+          value = EXCLUDED.value,
+          destination = EXCLUDED.destination,
+          exported_at = now()
+        `,
+        [
+          platform,
+          x.conversion.conversion_id,
+          String(x.conversion.account_id),
+          x.click.id,
+          Number(x.conversion.revenue).toFixed(2),
+          x.conversion.currency.trim(),
+          x.conversion.converted_at,
+          destination,
+        ]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      account: { type: 'string' },
+      platforms: { type: 'string', default: 'google,meta' },
+      'lookback-days': { type: 'string', default: '90' },
+      'out-dir': { type: 'string', default: 'exports' },
+      post: { type: 'boolean', default: false },
+      resend: { type: 'boolean', default: false },
+    },
+  });
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since ? parseDateArg('since', values.since) : new Date(until.getTime() - 7 * DAY_MS);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const platforms = values.platforms.split(',').map((p) => p.trim()).filter(Boolean);
+  for (const p of platforms) if (!PLATFORM_CLICK_IDS[p]) throw new Error(`Unknown platform ${p} (want google, meta)`);
+
+  const lookbackDays = Number(values['lookback-days']);
+  if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) throw new Error('--lookback-days must be a positive integer');
+
+  const opts = {
+    since,
+    until,
+    account: values.account || null,
+    lookbackMs: lookbackDays * DAY_MS,
+    post: values.post,
+  };
+
+  await ensureConversionSources(pool);
+  await ensureExportTable();
+  fs.mkdirSync(values['out-dir'], { recursive: true });
+
+  const conversions = (await loadConversions(pool, opts)).filter((c) => c.revenue != null && c.email_hash);
+  const clicks = await loadClicks([...new Set(conversions.map((c) => c.email_hash))], opts);
+
+  console.log(`🚀 ${conversions.length} purchases with a known buyer (${since.toISOString()} → ${until.toISOString()})`);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let failed = false;
+
+  for (const platform of platforms) {
+    const key = PLATFORM_CLICK_IDS[platform];
+    const skip = values.resend ? new Set() : await loadAlreadyExported(platform);
+
+    const byAccount = new Map();
+    for (const c of conversions) {
+      if (skip.has(c.conversion_id)) continue;
+      const click = latestClick(clicks.get(c.email_hash), key, new Date(c.converted_at).getTime(), opts.lookbackMs);
+      if (!click) continue;
+      if (!byAccount.has(c.account_id)) byAccount.set(c.account_id, []);
+      byAccount.get(c.account_id).push({ conversion: c, click });
+    }
+
+    if (!byAccount.size) {
+      console.log(`   ${platform}: nothing new to export`);
+      continue;
+    }
+
+    for (const [accountId, items] of byAccount) {
+      const file = path.join(values['out-dir'], `${platform}-${accountId}-${stamp}.${EXTENSION[platform]}`);
+
+      try {
+        const destination = await DELIVER[platform](items, file, opts);
+        if (opts.post) await recordExported(platform, items, destination);
+        console.log(`   ✅ ${platform} account ${accountId}: ${items.length} conversion(s) → ${destination}`);
+      } catch (err) {
+        failed = true;
+        console.log(`   ❌ ${platform} account ${accountId}: ${err.message}`);
+      }
+    }
+  }
+
+  if (failed) process.exitCode = 2;
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
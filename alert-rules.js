@@ -0,0 +1,259 @@
+// alert-rules.js — what alerts.js checks
+//
+// Each rule resolves to the problems it sees right now, as
+// { key, accountId, severity, subject, detail, data }. key identifies the
+// problem within the rule (one store, one poller job ...) so alerts.js can
+// tell a new problem from one it has already reported, and notice when it
+// goes away. Thresholds come from ALERT_* env vars (see alerts.js).
+
+const { convertedAmountSql } = require('./fx');
+
+function num(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number`);
+  return n;
+}
+
+function config() {
+  return {
+    windowMinutes: num('ALERT_WINDOW_MINUTES', 60),
+    baselineDays: num('ALERT_BASELINE_DAYS', 7),
+    revenueDropPct: num('ALERT_REVENUE_DROP_PCT', 70),
+    revenueMinBaseline: num('ALERT_REVENUE_MIN_BASELINE', 50),
+    spikeFactor: num('ALERT_FAILED_SPIKE_FACTOR', 3),
+    spikeMin: num('ALERT_FAILED_SPIKE_MIN', 5),
+    staleHours: num('ALERT_STALE_HOURS', 6),
+    pollerFailures: Math.max(1, num('ALERT_POLLER_FAILURES', 3)),
+  };
+}
+
+// The last windowMinutes, and the same stretch of time on each of the
+// previous baselineDays days (d = 0 is now)
+const WINDOWS_CTE = `
+  windows AS (
+    SELECT
+      d,
+      now() - make_interval(days => d) - make_interval(mins => $1) AS w_start,
+      now() - make_interval(days => d) AS w_end
+    FROM generate_series(0, $2) AS d
+  )
+`;
+
+function money(n, currency) {
+  return `${Number(n).toFixed(2)} ${currency}`;
+}
+
+/* ===============================
+   Rules
+   =============================== */
+
+// Revenue in the last window far below the average of the same window on
+// previous days. Stores whose baseline is under ALERT_REVENUE_MIN_BASELINE
+// (in their reporting currency) are too quiet to judge.
+async function revenueDrop(db, cfg) {
+  const { rows } = await db.query(
+    `
+    WITH ${WINDOWS_CTE},
+    per_window AS (
+      SELECT a.id AS account_id, w.d, COALESCE(SUM(${convertedAmountSql()}), 0) AS revenue
+      FROM accounts a
+      CROSS JOIN windows w
+      LEFT JOIN transactions t
+        ON t.account_id = a.id
+       AND t.occurred_at >= w.w_start
+       AND t.occurred_at < w.w_end
+       AND COALESCE(t.status, 'completed') = 'completed'
+      GROUP BY a.id, w.d
+    )
+    SELECT
+      a.id AS account_id,
+      a.label,
+      a.reporting_currency AS currency,
+      MAX(p.revenue) FILTER (WHERE p.d = 0) AS current,
+      AVG(p.revenue) FILTER (WHERE p.d > 0) AS baseline,
+      COUNT(*) FILTER (WHERE p.d > 0 AND p.revenue > 0) AS selling_days
+    FROM per_window p
+    JOIN accounts a ON a.id = p.account_id
+    GROUP BY a.id, a.label, a.reporting_currency
+    `,
+    [cfg.windowMinutes, cfg.baselineDays]
+  );
+
+  const found = [];
+  for (const r of rows) {
+    const current = Number(r.current);
+    const baseline = Number(r.baseline);
+    if (baseline < cfg.revenueMinBaseline) continue;
+
+    const dropPct = ((baseline - current) / baseline) * 100;
+    if (dropPct < cfg.revenueDropPct) continue;
+
+    // nothing at all in a window that sold on every baseline day is an outage, not a slow hour
+    const outage = current === 0 && Number(r.selling_days) === cfg.baselineDays;
+    found.push({
+      key: `account:${r.account_id}`,
+      accountId: r.account_id,
+      severity: outage ? 'critical' : 'warning',
+      subject: `${r.label}: revenue down ${dropPct.toFixed(0)}% on the usual`,
+      detail:
+        `${money(current, r.currency)} in the last ${cfg.windowMinutes} min against an average of ` +
+        `${money(baseline, r.currency)} for the same time over the previous ${cfg.baselineDays} days`,
+      data: { current, baseline, drop_pct: Math.round(dropPct), currency: r.currency },
+    });
+  }
+  return found;
+}
+
+// Failed / pending Woo orders (when orders are imported) and failed / pending
+// processor payments, each against their own same-window baseline
+async function failedSpike(db, cfg) {
+  const { rows: hasOrders } = await db.query(`SELECT to_regclass('public.orders') AS t`);
+  const ordersSql = hasOrders[0].t
+    ? `
+      SELECT account_id, created_at AS at, 'orders' AS source
+      FROM orders
+      WHERE status IN ('failed', 'pending')
+        AND created_at >= now() - make_interval(days => $2) - make_interval(mins => $1)
+      UNION ALL
+    `
+    : '';
+
+  const { rows } = await db.query(
+    `
+    WITH ${WINDOWS_CTE},
+    bad AS (
+      ${ordersSql}
+      SELECT account_id, occurred_at AS at, 'payments' AS source
+      FROM transactions
+      WHERE status IN ('failed', 'pending')
+        AND occurred_at >= now() - make_interval(days => $2) - make_interval(mins => $1)
+    )
+    SELECT
+      b.account_id,
+      a.label,
+      b.source,
+      COUNT(*) FILTER (WHERE w.d = 0) AS current,
+      COUNT(*) FILTER (WHERE w.d > 0) AS baseline_total
+    FROM windows w
+    JOIN bad b ON b.at >= w.w_start AND b.at < w.w_end
+    JOIN accounts a ON a.id = b.account_id
+    GROUP BY b.account_id, a.label, b.source
+    `,
+    [cfg.windowMinutes, cfg.baselineDays]
+  );
+
+  const found = [];
+  for (const r of rows) {
+    const current = Number(r.current);
+    const baseline = cfg.baselineDays ? Number(r.baseline_total) / cfg.baselineDays : 0;
+    const threshold = Math.max(cfg.spikeMin, Math.ceil(baseline * cfg.spikeFactor));
+    if (current < threshold) continue;
+
+    found.push({
+      key: `account:${r.account_id}:${r.source}`,
+      accountId: r.account_id,
+      severity: 'warning',
+      subject: `${r.label}: ${current} failed/pending ${r.source} in the last ${cfg.windowMinutes} min`,
+      detail: `usually ${baseline.toFixed(1)} at this time of day (average of the previous ${cfg.baselineDays} days)`,
+      data: { source: r.source, current, baseline: Math.round(baseline * 10) / 10 },
+    });
+  }
+  return found;
+}
+
+// Accounts with an active credential whose newest transaction is older than
+// ALERT_STALE_HOURS. Accounts that never had a transaction are skipped.
+async function staleAccount(db, cfg) {
+  const { rows } = await db.query(
+    `
+    SELECT a.id AS account_id, a.label, cred.providers, last.at AS last_at
+    FROM accounts a
+    JOIN LATERAL (
+      SELECT string_agg(DISTINCT c.provider, ', ') AS providers
+      FROM credentials c
+      WHERE c.account_id = a.id AND c.is_active
+    ) cred ON cred.providers IS NOT NULL
+    JOIN LATERAL (
+      SELECT MAX(t.occurred_at) AS at FROM transactions t WHERE t.account_id = a.id
+    ) last ON true
+    WHERE last.at < now() - make_interval(hours => $1)
+    `,
+    [cfg.staleHours]
+  );
+
+  return rows.map((r) => {
+    const hours = (Date.now() - new Date(r.last_at).getTime()) / 3600000;
+    return {
+      key: `account:${r.account_id}`,
+      accountId: r.account_id,
+      severity: 'warning',
+      subject: `${r.label}: no new transactions for ${hours.toFixed(1)}h`,
+      detail: `last transaction ${new Date(r.last_at).toISOString()}; active credentials: ${r.providers}`,
+      data: { last_at: r.last_at, hours: Math.round(hours * 10) / 10 },
+    };
+  });
+}
+
+// The last ALERT_POLLER_FAILURES finished runs of a job all failed or
+// partly failed (poll_runs)
+async function pollerErrors(db, cfg) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      job,
+      (array_agg(error ORDER BY started_at DESC))[1] AS last_error,
+      (array_agg(failed ORDER BY started_at DESC))[1] AS failed,
+      (array_agg(accounts ORDER BY started_at DESC))[1] AS accounts,
+      MIN(started_at) AS since
+    FROM (
+      SELECT job, status, error, failed, accounts, started_at,
+             row_number() OVER (PARTITION BY job ORDER BY started_at DESC) AS rn
+      FROM poll_runs
+      WHERE status <> 'running'
+    ) r
+    WHERE rn <= $1
+    GROUP BY job
+    HAVING COUNT(*) = $1 AND bool_and(status IN ('failed', 'partial'))
+    `,
+    [cfg.pollerFailures]
+  );
+
+  return rows.map((r) => ({
+    key: `job:${r.job}`,
+    accountId: null,
+    severity: 'warning',
+    subject: `${r.job}: last ${cfg.pollerFailures} runs failed`,
+    detail: r.last_error || `${r.failed} of ${r.accounts} account(s) failed in the latest run`,
+    data: { job: r.job, since: r.since },
+  }));
+}
+
+// Credentials the pollers switched off after repeated auth failures
+// (credential-health.js); open until someone re-enables them
+async function credentialDisabled(db) {
+  const { rows } = await db.query(`
+    SELECT c.id, c.account_id, c.provider, a.label, c.disabled_reason, c.disabled_at
+    FROM credentials c
+    JOIN accounts a ON a.id = c.account_id
+    WHERE NOT c.is_active AND c.disabled_reason LIKE 'auto-disabled%'
+  `);
+
+  return rows.map((r) => ({
+    key: `credential:${r.id}`,
+    accountId: r.account_id,
+    severity: 'critical',
+    subject: `${r.label}: ${r.provider} credential ${r.id} auto-disabled`,
+    detail: `${r.disabled_reason} — fix it, then: node accounts-cli.js credential enable ${r.id}`,
+    data: { provider: r.provider, disabled_at: r.disabled_at },
+  }));
+}
+
+const RULES = {
+  revenue_drop: revenueDrop,
+  failed_spike: failedSpike,
+  stale_account: staleAccount,
+  poller_errors: pollerErrors,
+  credential_disabled: credentialDisabled,
+};
+
+module.exports = { RULES, config };
@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+// alerts.js — checks the rules in alert-rules.js and sends what's wrong
+//
+//   node alerts.js                  evaluate, record, send (one poll_runs row, job "alerts")
+//   node alerts.js --dry-run        evaluate and print; nothing recorded or sent
+//   node alerts.js --rule a,b       only these rules
+//   node alerts.js --list           open alerts
+//
+// scheduler.js runs it every SCHEDULE_ALERTS_SECONDS (300).
+//
+// Rules: revenue_drop, failed_spike, stale_account, poller_errors,
+// credential_disabled. Thresholds (defaults in brackets):
+//   ALERT_WINDOW_MINUTES (60), ALERT_BASELINE_DAYS (7)
+//   ALERT_REVENUE_DROP_PCT (70), ALERT_REVENUE_MIN_BASELINE (50)
+//   ALERT_FAILED_SPIKE_FACTOR (3), ALERT_FAILED_SPIKE_MIN (5)
+//   ALERT_STALE_HOURS (6), ALERT_POLLER_FAILURES (3)
+//
+// Delivery (notify.js): one digest email per run to ALERT_EMAIL_TO and/or one
+// JSON POST to ALERT_WEBHOOK_URL. Both can point at local stand-ins.
+//
+// Dedupe: each problem is one open row in `alerts` (rule + key) until a run
+// no longer sees it. It is sent when first seen, again every
+// ALERT_REPEAT_HOURS (6, 0 = never) while it stays open, and once more when
+// it resolves, if it was ever sent. A problem that comes and goes before it
+// was sent is never sent. If every channel fails, nothing is marked sent and
+// the next run tries again.
+//
+// Quiet hours: ALERT_QUIET_HOURS, e.g. "22:00-07:00" in REPORT_TIMEZONE, holds
+// back warnings and recoveries until it ends. Critical alerts go out anyway.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { RULES, config } = require('./alert-rules');
+const { sendMail, postWebhook, closeMail } = require('./notify');
+const { accountIdType } = require('./accounts');
+const { ensureFxSchema } = require('./fx');
+const { ensureTransactionColumns } = require('./transactions');
+const { ensurePollRunsTable, trackPollRun } = require('./poller-status');
+const { ensureCredentialHealthColumns } = require('./credential-health');
+const { withAdvisoryLock } = require('./locks');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const REPEAT_HOURS = Number(process.env.ALERT_REPEAT_HOURS ?? 6);
+const SUBJECT_PREFIX = process.env.ALERT_SUBJECT_PREFIX || '[VeyraPay]';
+// recoveries older than this are dropped rather than sent late
+const RESOLVED_NOTICE_HOURS = 24;
+
+const SEVERITY_ICON = { critical: '🔴', warning: '🟠', resolved: '🟢' };
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+let schemaReady = null;
+
+async function ensureAlertsTable(db) {
+  const idType = await accountIdType(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id bigserial PRIMARY KEY,
+      rule text NOT NULL,
+      alert_key text NOT NULL,
+      severity text NOT NULL,
+      account_id ${idType} REFERENCES accounts(id),
+      subject text NOT NULL,
+      detail text,
+      data jsonb,
+      opened_at timestamptz NOT NULL DEFAULT now(),
+      last_seen_at timestamptz NOT NULL DEFAULT now(),
+      last_sent_at timestamptz,
+      sent_count integer NOT NULL DEFAULT 0,
+      resolved_at timestamptz,
+      resolved_sent_at timestamptz
+    )
+  `);
+  // one open alert per problem; resolved ones stay as history
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS alerts_open_uidx
+    ON alerts (rule, alert_key) WHERE resolved_at IS NULL
+  `);
+}
+
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await ensureFxSchema(pool);
+      await ensureTransactionColumns(pool);
+      await ensurePollRunsTable(pool);
+      await ensureCredentialHealthColumns(pool);
+      await ensureAlertsTable(pool);
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/* ===============================
+   Quiet hours
+   =============================== */
+
+function parseQuietHours(spec) {
+  if (!spec) return null;
+  const m = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(spec.trim());
+  if (!m) throw new Error(`ALERT_QUIET_HOURS must look like 22:00-07:00, got ${JSON.stringify(spec)}`);
+  return { from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) };
+}
+
+function inQuietHours(now = new Date()) {
+  const quiet = parseQuietHours(process.env.ALERT_QUIET_HOURS);
+  if (!quiet || quiet.from === quiet.to) return false;
+
+  // "2026-01-05 13:07:00" in REPORT_TIMEZONE
+  const local = now.toLocaleString('sv-SE', { timeZone: REPORT_TIMEZONE });
+  const minutes = Number(local.slice(11, 13)) * 60 + Number(local.slice(14, 16));
+
+  return quiet.from < quiet.to
+    ? minutes >= quiet.from && minutes < quiet.to
+    : minutes >= quiet.from || minutes < quiet.to; // wraps past midnight
+}
+
+/* ===============================
+   Evaluate + record
+   =============================== */
+
+async function evaluate(names, cfg) {
+  const findings = [];
+  const evaluated = [];
+  const failed = [];
+
+  for (const name of names) {
+    try {
+      const found = await RULES[name](pool, cfg);
+      findings.push(...found.map((f) => ({ rule: name, ...f })));
+      evaluated.push(name);
+      console.log(`   ${found.length ? '⚠️' : '✅'} ${name}: ${found.length} problem(s)`);
+    } catch (err) {
+      // a broken rule must not resolve its open alerts, so it isn't "evaluated"
+      failed.push(name);
+      console.error(`   ❌ ${name}: ${err.message || err}`);
+    }
+  }
+
+  return { findings, evaluated, failed };
+}
+
+async function record(findings, evaluated) {
+  let opened = 0;
+
+  for (const f of findings) {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO alerts (rule, alert_key, severity, account_id, subject, detail, data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (rule, alert_key) WHERE resolved_at IS NULL DO UPDATE SET
+        severity = EXCLUDED.severity,
+        subject = EXCLUDED.subject,
+        detail = EXCLUDED.detail,
+        data = EXCLUDED.data,
+        last_seen_at = now(),
+        -- escalating to critical is news; send it now instead of at the next repeat
+        last_sent_at = CASE
+          WHEN EXCLUDED.severity = 'critical' AND alerts.severity <> 'critical' THEN NULL
+          ELSE alerts.last_sent_at
+        END
+      RETURNING (xmax = 0) AS inserted
+      `,
+      [f.rule, f.key, f.severity, f.accountId ?? null, f.subject, f.detail ?? null, f.data ?? null]
+    );
+    if (rows[0].inserted) opened += 1;
+  }
+
+  const seen = findings.map((f) => `${f.rule}\u0000${f.key}`);
+  const { rowCount: resolved } = await pool.query(
+    `
+    UPDATE alerts SET resolved_at = now()
+    WHERE resolved_at IS NULL
+      AND rule = ANY($1::text[])
+      AND NOT (rule || chr(0) || alert_key = ANY($2::text[]))
+    `,
+    [evaluated, seen]
+  );
+
+  return { opened, resolved };
+}
+
+/* ===============================
+   Delivery
+   =============================== */
+
+async function pendingAlerts() {
+  const { rows } = await pool.query(
+    `
+    SELECT al.*, a.label AS store
+    FROM alerts al
+    LEFT JOIN accounts a ON a.id = al.account_id
+    WHERE (
+        al.resolved_at IS NULL
+        AND (al.last_sent_at IS NULL OR ($1 > 0 AND al.last_sent_at < now() - make_interval(hours => $1)))
+      )
+      OR (
+        al.resolved_at IS NOT NULL
+        AND al.last_sent_at IS NOT NULL
+        AND al.resolved_sent_at IS NULL
+        AND al.resolved_at > now() - make_interval(hours => $2)
+      )
+    ORDER BY al.resolved_at IS NOT NULL, al.severity = 'critical' DESC, al.opened_at
+    `,
+    [REPEAT_HOURS, RESOLVED_NOTICE_HOURS]
+  );
+  return rows;
+}
+
+function statusOf(alert) {
+  return alert.resolved_at ? 'resolved' : alert.severity;
+}
+
+function formatText(alerts) {
+  const lines = alerts.map((al) => {
+    const status = statusOf(al);
+    const head = `${SEVERITY_ICON[status] || ''} ${status.toUpperCase()} ${al.rule} — ${al.subject}`;
+    const since = `open since ${new Date(al.opened_at).toLocaleString('en-AU', { timeZone: REPORT_TIMEZONE })}`;
+    return `${head}\n   ${al.detail || ''}\n   ${since}`;
+  });
+  return `${lines.join('\n\n')}\n`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function formatHtml(alerts) {
+  const colour = { critical: '#b00020', warning: '#b86e00', resolved: '#2e7d32' };
+  const rows = alerts
+    .map((al) => {
+      const status = statusOf(al);
+      return `<tr>
+  <td style="color:${colour[status]};font-weight:bold">${status.toUpperCase()}</td>
+  <td>${escapeHtml(al.rule)}</td>
+  <td><strong>${escapeHtml(al.subject)}</strong><br>${escapeHtml(al.detail)}</td>
+</tr>`;
+    })
+    .join('\n');
+  return `<table cellpadding="6" style="border-collapse:collapse;font-family:sans-serif">\n${rows}\n</table>`;
+}
+
+function subjectFor(alerts) {
+  if (alerts.length === 1) {
+    const al = alerts[0];
+    return `${SUBJECT_PREFIX} ${al.resolved_at ? 'Resolved: ' : ''}${al.subject}`;
+  }
+  const open = alerts.filter((al) => !al.resolved_at).length;
+  const critical = alerts.filter((al) => !al.resolved_at && al.severity === 'critical').length;
+  return (
+    `${SUBJECT_PREFIX} ${open} alert(s)` +
+    (critical ? `, ${critical} critical` : '') +
+    (alerts.length > open ? `, ${alerts.length - open} resolved` : '')
+  );
+}
+
+function webhookAlert(al) {
+  return {
+    id: Number(al.id),
+    rule: al.rule,
+    key: al.alert_key,
+    status: statusOf(al),
+    severity: al.severity,
+    account_id: al.account_id,
+    store: al.store,
+    subject: al.subject,
+    detail: al.detail,
+    data: al.data,
+    opened_at: al.opened_at,
+    resolved_at: al.resolved_at,
+  };
+}
+
+// Returns how many channels accepted the batch; throws only when there were
+// channels and all of them failed
+async function deliver(alerts) {
+  const channels = [];
+  if (process.env.ALERT_EMAIL_TO) {
+    channels.push([
+      'email',
+      () =>
+        sendMail({
+          to: process.env.ALERT_EMAIL_TO,
+          subject: subjectFor(alerts),
+          text: formatText(alerts),
+          html: formatHtml(alerts),
+        }),
+    ]);
+  }
+  if (process.env.ALERT_WEBHOOK_URL) {
+    channels.push([
+      'webhook',
+      () =>
+        postWebhook(process.env.ALERT_WEBHOOK_URL, {
+          source: 'veyrapay-alerts',
+          sent_at: new Date().toISOString(),
+          alerts: alerts.map(webhookAlert),
+        }),
+    ]);
+  }
+
+  if (!channels.length) {
+    console.log('⚠️ Neither ALERT_EMAIL_TO nor ALERT_WEBHOOK_URL is set — printing instead:');
+    console.log(formatText(alerts));
+    return 0;
+  }
+
+  const errors = [];
+  for (const [name, send] of channels) {
+    try {
+      await send();
+      console.log(`📨 ${name}: sent ${alerts.length} alert(s)`);
+    } catch (err) {
+      errors.push(`${name}: ${err.message || err}`);
+      console.error(`❌ ${name} delivery failed: ${err.message || err}`);
+    }
+  }
+  if (errors.length === channels.length) throw new Error(`alert delivery failed (${errors.join('; ')})`);
+  return channels.length - errors.length;
+}
+
+async function markSent(alerts) {
+  const open = alerts.filter((al) => !al.resolved_at).map((al) => al.id);
+  const resolved = alerts.filter((al) => al.resolved_at).map((al) => al.id);
+
+  if (open.length) {
+    await pool.query(
+      `UPDATE alerts SET last_sent_at = now(), sent_count = sent_count + 1 WHERE id = ANY($1::bigint[])`,
+      [open]
+    );
+  }
+  if (resolved.length) {
+    await pool.query(`UPDATE alerts SET resolved_sent_at = now() WHERE id = ANY($1::bigint[])`, [resolved]);
+  }
+}
+
+/* ===============================
+   Run
+   =============================== */
+
+function ruleNames(only) {
+  if (!only) return Object.keys(RULES);
+  const names = (Array.isArray(only) ? only : String(only).split(',')).map((s) => s.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!RULES[name]) throw new Error(`Unknown rule ${name} (want ${Object.keys(RULES).join(', ')})`);
+  }
+  return names;
+}
+
+// One pass: evaluate, record, deliver. The summary fits poll_runs: "accounts"
+// is the number of rules checked and "failed" the ones that errored.
+async function runAlerts({ rules } = {}) {
+  await ensureSchema();
+  const names = ruleNames(rules);
+  const cfg = config();
+
+  const { locked, result } = await withAdvisoryLock(pool, 'alerts', 'run', async () => {
+    console.log(`🚨 Checking ${names.length} alert rule(s)`);
+    const { findings, evaluated, failed } = await evaluate(names, cfg);
+    const { opened, resolved } = await record(findings, evaluated);
+
+    let pending = await pendingAlerts();
+    let held = 0;
+    if (pending.length && inQuietHours()) {
+      const urgent = pending.filter((al) => !al.resolved_at && al.severity === 'critical');
+      held = pending.length - urgent.length;
+      pending = urgent;
+      if (held) console.log(`🌙 Quiet hours — holding ${held} non-critical alert(s)`);
+    }
+
+    let sent = 0;
+    if (pending.length && (await deliver(pending))) {
+      await markSent(pending);
+      sent = pending.length;
+    }
+
+    return {
+      accounts: names.length,
+      failed: failed.length,
+      locked: 0,
+      open: findings.length,
+      opened,
+      resolved,
+      sent,
+      held,
+    };
+  });
+
+  if (!locked) {
+    console.log('🔒 Another alerts run is in progress — skipping');
+    return { accounts: names.length, failed: 0, locked: names.length };
+  }
+  return result;
+}
+
+async function dryRun(rules) {
+  await ensureSchema();
+  const names = ruleNames(rules);
+  const { findings } = await evaluate(names, config());
+
+  if (!findings.length) {
+    console.log('✅ Nothing to alert on');
+    return;
+  }
+  console.log(`\nWould alert on ${findings.length} problem(s)${inQuietHours() ? ' (quiet hours now)' : ''}:\n`);
+  for (const f of findings) {
+    console.log(`${SEVERITY_ICON[f.severity]} ${f.severity.toUpperCase()} ${f.rule} [${f.key}] — ${f.subject}`);
+    console.log(`   ${f.detail}`);
+  }
+}
+
+async function listOpen() {
+  await ensureSchema();
+  const { rows } = await pool.query(`
+    SELECT id, rule, alert_key, severity, subject, opened_at, last_sent_at, sent_count
+    FROM alerts
+    WHERE resolved_at IS NULL
+    ORDER BY severity = 'critical' DESC, opened_at
+  `);
+
+  if (!rows.length) {
+    console.log('✅ No open alerts');
+    return;
+  }
+  console.table(
+    rows.map((r) => ({
+      id: Number(r.id),
+      rule: r.rule,
+      key: r.alert_key,
+      severity: r.severity,
+      subject: r.subject,
+      opened: new Date(r.opened_at).toISOString(),
+      sent: r.sent_count ? `${r.sent_count}× (last ${new Date(r.last_sent_at).toISOString()})` : 'not yet',
+    }))
+  );
+}
+
+async function close() {
+  closeMail();
+  await pool.end();
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      rule: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.list) return listOpen();
+  if (values['dry-run']) return dryRun(values.rule);
+
+  const summary = await trackPollRun(pool, 'alerts', () => runAlerts({ rules: values.rule }));
+  console.log(
+    `🏁 Alerts: ${summary.open ?? 0} open (${summary.opened ?? 0} new), ${summary.resolved ?? 0} resolved, ` +
+      `${summary.sent ?? 0} sent${summary.held ? `, ${summary.held} held for quiet hours` : ''}`
+  );
+  if (summary.failed) process.exitCode = 2;
+}
+
+module.exports = { runAlerts, ensureAlertsTable, inQuietHours, close };
+
+if (require.main === module) {
+  run()
+    .catch(err => {
+      console.error(`❌ ${err.message || err}`);
+      process.exitCode = 1;
+    })
+    .finally(() => close());
+}
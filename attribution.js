@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// attribution.js — multi-touch attribution of revenue to source/medium/campaign
+//
+//   node attribution.js [--since 2026-01-01] [--until 2026-01-08] [--account <id>]
+//                       [--lookback-days 30] [--half-life-days 7]
+//                       [--models first_touch,last_touch,linear,time_decay]
+//
+// Conversions come from conversions.js (paid orders, else payments). Each
+// buyer's hashed email is joined to vp_identities -> vp_touches, and touches inside the
+// lookback window before the conversion share its revenue per model.
+// Results replace attribution_results for the range / models / lookback run;
+// the range is widened to whole days in REPORT_TIMEZONE first.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { accountIdType } = require('./accounts');
+const { loadConversions, ensureConversionSources } = require('./conversions');
+const { MODELS, creditConversion, loadTouches } = require('./touches');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function ensureAttributionTable() {
+  const idType = await accountIdType(pool);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS attribution_results (
+      account_id ${idType} NOT NULL REFERENCES accounts(id),
+      day date NOT NULL,
+      model text NOT NULL,
+      lookback_days integer NOT NULL,
+      source text NOT NULL,
+      medium text NOT NULL,
+      campaign text NOT NULL,
+      conversions numeric(12,4) NOT NULL,
+      revenue numeric(14,2) NOT NULL,
+      currency char(3),
+      computed_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (account_id, day, model, lookback_days, source, medium, campaign)
+    )
+  `);
+}
+
+/* ===============================
+   Run
+   =============================== */
+
+function dayOf(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+// Widen [since, until) to whole REPORT_TIMEZONE days: results are stored per
+// local day, so a run must recompute every day it replaces
+async function snapToDays(since, until) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      date_trunc('day', $1::timestamptz AT TIME ZONE $3) AT TIME ZONE $3 AS since,
+      (date_trunc('day', ($2::timestamptz - interval '1 microsecond') AT TIME ZONE $3) + interval '1 day') AT TIME ZONE $3 AS until
+    `,
+    [since, until, REPORT_TIMEZONE]
+  );
+  return { since: rows[0].since, until: rows[0].until };
+}
+
+function attribute(conversions, touchesByEmail, opts) {
+  const totals = new Map();
+  let skippedNoFx = 0;
+
+  for (const c of conversions) {
+    if (c.revenue == null) {
+      skippedNoFx += 1;
+      continue;
+    }
+
+    for (const model of opts.models) {
+      for (const { channel, weight } of creditConversion(model, c, touchesByEmail, opts)) {
+        const day = dayOf(c.converted_at);
+        const key = [c.account_id, day, model, channel.source, channel.medium, channel.campaign].join('\u0000');
+        const agg = totals.get(key) || {
+          account_id: c.account_id,
+          day,
+          model,
+          ...channel,
+          currency: c.currency,
+          conversions: 0,
+          revenue: 0,
+        };
+        agg.conversions += weight;
+        agg.revenue += weight * Number(c.revenue);
+        totals.set(key, agg);
+      }
+    }
+  }
+
+  return { rows: [...totals.values()], skippedNoFx };
+}
+
+async function saveResults(rows, opts) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `
+      DELETE FROM attribution_results
+      WHERE day >= ($1::timestamptz AT TIME ZONE $4)::date
+        AND day <= (($2::timestamptz - interval '1 microsecond') AT TIME ZONE $4)::date
+        AND model = ANY($3)
+        AND lookback_days = $5
+        AND ($6::text IS NULL OR account_id::text = $6::text)
+      `,
+      [opts.since, opts.until, opts.models, REPORT_TIMEZONE, opts.lookbackDays, opts.account]
+    );
+
+    for (const r of rows) {
+      await client.query(
+        `
+        INSERT INTO attribution_results (
+          account_id, day, model, lookback_days, source, medium, campaign, conversions, revenue, currency, computed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now())
+        `,
+        [
+          r.account_id,
+          r.day,
+          r.model,
+          opts.lookbackDays,
+          r.source,
+          r.medium,
+          r.campaign,
+          r.conversions.toFixed(4),
+          r.revenue.toFixed(2),
+          r.currency,
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      account: { type: 'string' },
+      'lookback-days': { type: 'string', default: process.env.ATTRIBUTION_LOOKBACK_DAYS || '30' },
+      'half-life-days': { type: 'string', default: process.env.ATTRIBUTION_HALF_LIFE_DAYS || '7' },
+      models: { type: 'string', default: MODELS.join(',') },
+    },
+  });
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since ? parseDateArg('since', values.since) : new Date(until.getTime() - 7 * DAY_MS);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const models = values.models.split(',').map((m) => m.trim()).filter(Boolean);
+  for (const m of models) if (!MODELS.includes(m)) throw new Error(`Unknown model ${m} (want ${MODELS.join(', ')})`);
+
+  const lookbackDays = Number(values['lookback-days']);
+  if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) throw new Error('--lookback-days must be a positive integer');
+
+  const halfLifeDays = Number(values['half-life-days']);
+  if (!Number.isFinite(halfLifeDays) || halfLifeDays <= 0) throw new Error('--half-life-days must be a positive number');
+
+  const opts = {
+    ...(await snapToDays(since, until)),
+    account: values.account || null,
+    models,
+    lookbackDays,
+    lookbackMs: lookbackDays * DAY_MS,
+    halfLifeMs: halfLifeDays * DAY_MS,
+  };
+
+  await ensureConversionSources(pool);
+  await ensureAttributionTable();
+
+  console.log(
+    `🚀 Attribution ${opts.since.toISOString()} → ${opts.until.toISOString()} (${REPORT_TIMEZONE} days, lookback ${lookbackDays}d)`
+  );
+
+  const conversions = await loadConversions(pool, opts);
+  const emails = [...new Set(conversions.map((c) => c.email_hash).filter(Boolean))];
+  const touchesByEmail = await loadTouches(pool, emails, opts);
+
+  const identified = conversions.filter((c) => touchesByEmail.has(c.email_hash)).length;
+  console.log(`   ${conversions.length} conversions, ${identified} with at least one known touch`);
+
+  const { rows, skippedNoFx } = attribute(conversions, touchesByEmail, opts);
+  if (skippedNoFx) console.log(`   ⚠️ ${skippedNoFx} conversion(s) skipped — no FX rate for their date`);
+
+  await saveResults(rows, opts);
+
+  console.log(`✅ ${rows.length} attribution rows written (${models.join(', ')})`);
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
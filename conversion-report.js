@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+// conversion-report.js — sessions vs attributed sales per source/medium
+//
+//   node conversion-report.js [--granularity daily|hourly] [--since 2026-01-01] [--until 2026-01-08]
+//                             [--account <id>] [--model last_touch] [--lookback-days 30]
+//                             [--trailing 7] [--drop-pct 50] [--min-sessions 30]
+//                             [--flagged] [--csv out.csv]
+//
+// Sessions come from traffic-collector.js: traffic_daily for daily rows, and
+// for hourly rows the 60-minute realtime snapshot in traffic_stats taken
+// closest to the end of each hour. Orders and revenue are conversions.js
+// purchases credited to source/medium with the attribution models in touches.js.
+//
+// Stores sharing a GA4 property (or all of them, when only GA4_PROPERTY_ID is
+// set) are reported together, since their sessions can't be told apart.
+//
+// A row is flagged when its conversion rate is --drop-pct below the trailing
+// rate of the same source: the previous --trailing days, or for hourly rows the
+// same hour on the previous --trailing days.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { loadConversions, ensureConversionSources } = require('./conversions');
+const { MODELS, creditConversion, loadTouches } = require('./touches');
+const { ensureTrafficTables } = require('./traffic');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// trailing rates from fewer buckets than this are too noisy to flag against
+const MIN_TRAILING_BUCKETS = 3;
+
+const CSV_COLUMNS = [
+  'stores',
+  'bucket',
+  'source_medium',
+  'sessions',
+  'orders',
+  'revenue',
+  'currency',
+  'conversion_rate',
+  'revenue_per_session',
+  'aov',
+  'trailing_conversion_rate',
+  'flag',
+];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/* ===============================
+   Buckets
+   =============================== */
+
+function dayOf(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+// "2026-01-05 13:00" in REPORT_TIMEZONE
+function hourOf(ts) {
+  return `${new Date(ts).toLocaleString('sv-SE', { timeZone: REPORT_TIMEZONE }).slice(0, 13)}:00`;
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// same bucket n days earlier — works for both "YYYY-MM-DD" and "YYYY-MM-DD HH:00"
+function bucketDaysBefore(bucket, n) {
+  return addDays(bucket.slice(0, 10), -n) + bucket.slice(10);
+}
+
+function sourceMediumKey(source, medium) {
+  return `${source} / ${medium}`.toLowerCase();
+}
+
+/* ===============================
+   Data
+   =============================== */
+
+// stores grouped by the GA4 property their sessions are counted under
+async function loadGroups(account) {
+  const { rows } = await pool.query(`
+    SELECT id::text AS account_id, label, reporting_currency, ga4_property_id
+    FROM accounts
+    ORDER BY label
+  `);
+
+  const groups = new Map(); // group key -> { propertyId, stores, currencies }
+  const groupOfAccount = new Map();
+
+  for (const a of rows) {
+    const propertyId = a.ga4_property_id || process.env.GA4_PROPERTY_ID || null;
+    const key = propertyId ? `property:${propertyId}` : `account:${a.account_id}`;
+    const g = groups.get(key) || { key, propertyId, stores: [], accountIds: [], currencies: new Set() };
+    g.stores.push(a.label);
+    g.accountIds.push(a.account_id);
+    g.currencies.add(a.reporting_currency);
+    groups.set(key, g);
+    groupOfAccount.set(a.account_id, g);
+  }
+
+  if (account) {
+    const g = groupOfAccount.get(String(account));
+    if (!g) throw new Error(`Unknown account ${account}`);
+    if (g.stores.length > 1) {
+      console.log(`⚠️ ${g.stores.join(', ')} share GA4 property ${g.propertyId}; sessions cover all of them`);
+    }
+    return { groups: new Map([[g.key, g]]), groupOfAccount };
+  }
+
+  return { groups, groupOfAccount };
+}
+
+// Map "propertyId\0bucket\0source / medium" -> sessions
+async function loadSessions(propertyIds, granularity, since, until) {
+  if (!propertyIds.length) return new Map();
+
+  const { rows } =
+    granularity === 'daily'
+      ? await pool.query(
+          `
+          SELECT property_id, day::text AS bucket, source_medium, SUM(sessions)::int AS sessions
+          FROM traffic_daily
+          WHERE property_id = ANY($1) AND day >= $2 AND day <= $3
+          GROUP BY property_id, day, source_medium
+          `,
+          [propertyIds, dayOf(since), dayOf(until)]
+        )
+      : await pool.query(
+          `
+          WITH candidates AS (
+            SELECT DISTINCT property_id, captured_at, date_trunc('hour', captured_at + interval '30 minutes') AS bucket_end
+            FROM traffic_stats
+            WHERE property_id = ANY($1)
+              AND window_minutes = 60
+              AND captured_at >= $2
+              AND captured_at < $3
+          ),
+          picked AS (
+            SELECT DISTINCT ON (property_id, bucket_end) property_id, captured_at, bucket_end
+            FROM candidates
+            ORDER BY property_id, bucket_end, abs(extract(epoch FROM captured_at - bucket_end))
+          )
+          SELECT p.property_id, p.bucket_end - interval '1 hour' AS bucket_start, s.source_medium, s.sessions
+          FROM picked p
+          JOIN traffic_stats s ON s.property_id = p.property_id AND s.captured_at = p.captured_at
+          `,
+          [propertyIds, since, new Date(until.getTime() + HOUR_MS)]
+        );
+
+  const out = new Map();
+  for (const r of rows) {
+    const bucket = granularity === 'daily' ? r.bucket : hourOf(r.bucket_start);
+    const key = [r.property_id, bucket, r.source_medium.toLowerCase()].join('\u0000');
+    out.set(key, (out.get(key) || 0) + Number(r.sessions));
+  }
+  return out;
+}
+
+/* ===============================
+   Report
+   =============================== */
+
+function buildCells(groups, groupOfAccount, sessions, credited, bucketOf) {
+  const cells = new Map(); // group key \0 bucket \0 source/medium
+  const cell = (g, bucket, sm) => {
+    const key = [g.key, bucket, sm].join('\u0000');
+    if (!cells.has(key)) cells.set(key, { group: g, bucket, sourceMedium: sm, sessions: 0, orders: 0, revenue: 0 });
+    return cells.get(key);
+  };
+
+  for (const g of groups.values()) {
+    if (!g.propertyId) continue;
+    for (const [key, n] of sessions) {
+      const [propertyId, bucket, sm] = key.split('\u0000');
+      if (propertyId === g.propertyId) cell(g, bucket, sm).sessions += n;
+    }
+  }
+
+  for (const c of credited) {
+    const g = groupOfAccount.get(String(c.conversion.account_id));
+    if (!g || !groups.has(g.key)) continue;
+    const x = cell(g, bucketOf(c.conversion.converted_at), sourceMediumKey(c.channel.source, c.channel.medium));
+    x.orders += c.weight;
+    if (c.conversion.revenue != null) x.revenue += c.weight * Number(c.conversion.revenue);
+  }
+
+  return cells;
+}
+
+function flagDrops(cells, opts) {
+  const byKey = new Map();
+  for (const c of cells.values()) byKey.set([c.group.key, c.bucket, c.sourceMedium].join('\u0000'), c);
+
+  for (const c of cells.values()) {
+    let orders = 0;
+    let sessions = 0;
+    let buckets = 0;
+
+    for (let n = 1; n <= opts.trailing; n += 1) {
+      const prev = byKey.get([c.group.key, bucketDaysBefore(c.bucket, n), c.sourceMedium].join('\u0000'));
+      if (!prev || !prev.sessions) continue;
+      orders += prev.orders;
+      sessions += prev.sessions;
+      buckets += 1;
+    }
+
+    c.trailingRate = buckets >= Math.min(MIN_TRAILING_BUCKETS, opts.trailing) && sessions ? orders / sessions : null;
+
+    const rate = c.sessions ? c.orders / c.sessions : null;
+    if (rate == null || c.trailingRate == null || c.trailingRate === 0) continue;
+    if (c.sessions < opts.minSessions || sessions < opts.minSessions) continue;
+
+    const drop = 1 - rate / c.trailingRate;
+    if (drop >= opts.dropPct / 100) c.flag = `▼ ${Math.round(drop * 100)}% vs trailing`;
+  }
+}
+
+function toRow(c) {
+  // a group whose stores report in different currencies has no single revenue figure
+  const currency = c.group.currencies.size === 1 ? [...c.group.currencies][0] : null;
+  const revenue = currency ? c.revenue : null;
+
+  return {
+    stores: c.group.stores.join(', '),
+    bucket: c.bucket,
+    source_medium: c.sourceMedium,
+    sessions: c.group.propertyId ? c.sessions : null,
+    orders: Number(c.orders.toFixed(2)),
+    revenue: revenue == null ? null : Number(revenue.toFixed(2)),
+    currency,
+    conversion_rate: c.sessions ? Number(((c.orders / c.sessions) * 100).toFixed(2)) : null,
+    revenue_per_session: c.sessions && revenue != null ? Number((revenue / c.sessions).toFixed(2)) : null,
+    aov: c.orders && revenue != null ? Number((revenue / c.orders).toFixed(2)) : null,
+    trailing_conversion_rate: c.trailingRate == null ? null : Number((c.trailingRate * 100).toFixed(2)),
+    flag: c.flag || '',
+  };
+}
+
+function printTable(rows) {
+  const dash = (v, suffix = '') => (v == null ? '-' : `${v}${suffix}`);
+  let lastGroup = null;
+
+  for (const r of rows) {
+    if (r.stores !== lastGroup) {
+      lastGroup = r.stores;
+      console.log(`\n${r.stores}${r.currency ? ` (${r.currency})` : ''}`);
+      console.log('-'.repeat(132));
+      console.log(
+        `${'bucket'.padEnd(16)} | ${'source / medium'.padEnd(32)} | ${'sessions'.padStart(8)} | ${'orders'.padStart(7)} | ` +
+          `${'revenue'.padStart(11)} | ${'conv'.padStart(7)} | ${'rev/sess'.padStart(8)} | ${'aov'.padStart(8)} | flag`
+      );
+      console.log('-'.repeat(132));
+    }
+
+    console.log(
+      `${r.bucket.padEnd(16)} | ${r.source_medium.slice(0, 32).padEnd(32)} | ${dash(r.sessions).padStart(8)} | ` +
+        `${String(r.orders).padStart(7)} | ${dash(r.revenue).padStart(11)} | ${dash(r.conversion_rate, '%').padStart(7)} | ` +
+        `${dash(r.revenue_per_session).padStart(8)} | ${dash(r.aov).padStart(8)} | ${r.flag}`
+    );
+  }
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+function nonNegativeNumber(name, value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a non-negative number`);
+  return n;
+}
+
+// lookback and half-life: an empty window, or a half-life decay dividing by 0
+function positiveNumber(name, value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`--${name} must be a positive number`);
+  return n;
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      granularity: { type: 'string', default: 'daily' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      account: { type: 'string' },
+      model: { type: 'string', default: 'last_touch' },
+      'lookback-days': { type: 'string', default: process.env.ATTRIBUTION_LOOKBACK_DAYS || '30' },
+      'half-life-days': { type: 'string', default: process.env.ATTRIBUTION_HALF_LIFE_DAYS || '7' },
+      trailing: { type: 'string', default: '7' },
+      'drop-pct': { type: 'string', default: '50' },
+      'min-sessions': { type: 'string', default: '30' },
+      flagged: { type: 'boolean', default: false },
+      csv: { type: 'string' },
+    },
+  });
+
+  const granularity = values.granularity;
+  if (!['daily', 'hourly'].includes(granularity)) throw new Error('--granularity must be daily or hourly');
+  if (!MODELS.includes(values.model)) throw new Error(`Unknown model ${values.model} (want ${MODELS.join(', ')})`);
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const defaultSpan = granularity === 'daily' ? 7 * DAY_MS : 2 * DAY_MS;
+  const since = values.since ? parseDateArg('since', values.since) : new Date(until.getTime() - defaultSpan);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const opts = {
+    account: values.account || null,
+    trailing: Math.floor(nonNegativeNumber('trailing', values.trailing)),
+    dropPct: nonNegativeNumber('drop-pct', values['drop-pct']),
+    minSessions: nonNegativeNumber('min-sessions', values['min-sessions']),
+    lookbackMs: positiveNumber('lookback-days', values['lookback-days']) * DAY_MS,
+    halfLifeMs: positiveNumber('half-life-days', values['half-life-days']) * DAY_MS,
+  };
+
+  // load the trailing days too, so the first buckets in range have something to compare with
+  const contextSince = new Date(since.getTime() - opts.trailing * DAY_MS);
+  const bucketOf = granularity === 'daily' ? dayOf : hourOf;
+
+  await ensureConversionSources(pool);
+  await ensureTrafficTables(pool);
+
+  console.log(`🚀 ${granularity} sessions → sales ${since.toISOString()} → ${until.toISOString()} (${values.model})`);
+
+  const { groups, groupOfAccount } = await loadGroups(opts.account);
+  const propertyIds = [...new Set([...groups.values()].map((g) => g.propertyId).filter(Boolean))];
+  const sessions = await loadSessions(propertyIds, granularity, contextSince, until);
+
+  const conversions = await loadConversions(pool, { since: contextSince, until, account: opts.account });
+  const emails = [...new Set(conversions.map((c) => c.email_hash).filter(Boolean))];
+  const touchesByEmail = await loadTouches(pool, emails, { since: contextSince, until, lookbackMs: opts.lookbackMs });
+
+  const credited = [];
+  for (const c of conversions) {
+    for (const share of creditConversion(values.model, c, touchesByEmail, opts)) credited.push({ conversion: c, ...share });
+  }
+
+  const noFx = conversions.filter((c) => c.revenue == null).length;
+  if (noFx) console.log(`⚠️ ${noFx} conversion(s) have no FX rate for their date; counted as orders without revenue`);
+  if (!propertyIds.length) console.log('⚠️ No GA4 property configured; sessions and conversion rates are unavailable');
+  for (const g of groups.values()) {
+    if (g.currencies.size > 1) console.log(`⚠️ ${g.stores.join(', ')} report in different currencies; revenue is left blank`);
+  }
+
+  const cells = buildCells(groups, groupOfAccount, sessions, credited, bucketOf);
+  flagDrops(cells, opts);
+
+  const first = bucketOf(since);
+  const last = bucketOf(new Date(until.getTime() - 1));
+  const rows = [...cells.values()]
+    .filter((c) => c.bucket >= first && c.bucket <= last)
+    .filter((c) => c.sessions > 0 || c.orders > 0)
+    .filter((c) => !values.flagged || c.flag)
+    .sort(
+      (a, b) =>
+        a.group.stores.join().localeCompare(b.group.stores.join()) ||
+        a.bucket.localeCompare(b.bucket) ||
+        b.sessions - a.sessions ||
+        b.orders - a.orders
+    )
+    .map(toRow);
+
+  if (!rows.length) {
+    console.log('no rows');
+  } else {
+    printTable(rows);
+  }
+
+  const flagged = rows.filter((r) => r.flag).length;
+  console.log(`\n🏁 ${rows.length} row(s), ${flagged} flagged`);
+
+  if (values.csv) {
+    fs.writeFileSync(values.csv, toCsv(rows, CSV_COLUMNS));
+    console.log(`📄 ${rows.length} rows written to ${values.csv}`);
+  }
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
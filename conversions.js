@@ -0,0 +1,63 @@
+// conversions.js — what counts as a purchase, for attribution and ad exports
+//
+// Paid WooCommerce orders for stores that have imported orders, otherwise
+// completed payments in `transactions` — never both for one store, so a sale
+// is counted once. Revenue is converted to the store's reporting currency
+// (fx.js) and is null when there is no rate for the day. conversion_id is
+// unique across stores: WooCommerce order ids are only unique within one.
+
+const { ensureFxSchema } = require('./fx');
+const { PAID_STATUSES, ensureOrderTables } = require('./orders');
+const { ensureTransactionColumns } = require('./transactions');
+
+async function ensureConversionSources(db) {
+  await ensureFxSchema(db);
+  await ensureOrderTables(db);
+  await ensureTransactionColumns(db);
+}
+
+// opts: { since: Date, until: Date, account: id | null }
+async function loadConversions(db, opts) {
+  const { rows } = await db.query(
+    `
+    WITH order_accounts AS (
+      SELECT DISTINCT account_id FROM orders
+    )
+    SELECT
+      o.account_id,
+      'order:' || o.account_id || ':' || o.order_id AS conversion_id,
+      o.billing_email_hash AS email_hash,
+      COALESCE(o.paid_at, o.created_at) AS converted_at,
+      fx_convert(o.total, o.currency, a.reporting_currency, (COALESCE(o.paid_at, o.created_at) AT TIME ZONE 'UTC')::date) AS revenue,
+      a.reporting_currency AS currency
+    FROM orders o
+    JOIN accounts a ON a.id = o.account_id
+    WHERE o.status = ANY($1)
+      AND COALESCE(o.paid_at, o.created_at) >= $2
+      AND COALESCE(o.paid_at, o.created_at) < $3
+      AND ($4::text IS NULL OR o.account_id::text = $4::text)
+
+    UNION ALL
+
+    SELECT
+      t.account_id,
+      'txn:' || t.provider || ':' || t.provider_event_id,
+      t.buyer_email_hash,
+      t.occurred_at,
+      fx_convert(t.amount_gross, t.currency, a.reporting_currency, (t.occurred_at AT TIME ZONE 'UTC')::date),
+      a.reporting_currency
+    FROM transactions t
+    JOIN accounts a ON a.id = t.account_id
+    WHERE COALESCE(t.kind, 'payment') = 'payment'
+      AND COALESCE(t.status, 'completed') = 'completed'
+      AND t.occurred_at >= $2
+      AND t.occurred_at < $3
+      AND ($4::text IS NULL OR t.account_id::text = $4::text)
+      AND t.account_id NOT IN (SELECT account_id FROM order_accounts)
+    `,
+    [[...PAID_STATUSES], opts.since, opts.until, opts.account || null]
+  );
+  return rows;
+}
+
+module.exports = { ensureConversionSources, loadConversions };
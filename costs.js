@@ -0,0 +1,79 @@
+// costs.js — product cost catalogue (product-costs.js edits it, profit-report.js reads it)
+//
+// product_costs holds one unit cost per product name from effective_from
+// onwards; a new row with a later date supersedes it. account_id NULL means
+// every store; a store's own row wins over that. Names match the
+// "Line Items" product names from the WooCommerce export, ignoring case and
+// surrounding whitespace.
+
+const { accountIdType } = require('./accounts');
+const { normaliseCurrency } = require('./fx');
+
+async function ensureProductCostTable(db) {
+  const idType = await accountIdType(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS product_costs (
+      id bigserial PRIMARY KEY,
+      account_id ${idType} REFERENCES accounts(id),
+      product_name text NOT NULL,
+      effective_from date NOT NULL,
+      unit_cost numeric(14,4) NOT NULL CHECK (unit_cost >= 0),
+      currency char(3) NOT NULL,
+      source text NOT NULL DEFAULT 'manual',
+      note text,
+      updated_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS product_costs_uidx
+    ON product_costs ((COALESCE(account_id::text, '')), (lower(btrim(product_name))), effective_from)
+  `);
+}
+
+async function upsertProductCost(db, { accountId = null, product, effectiveFrom, unitCost, currency, source = 'manual', note = null }) {
+  const name = String(product || '').trim();
+  const cost = Number(unitCost);
+
+  if (!name) throw new Error('Product name is required');
+  if (!Number.isFinite(cost) || cost < 0) throw new Error(`Invalid unit cost for ${name}: ${unitCost}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(effectiveFrom))) {
+    throw new Error(`Invalid effective date (want YYYY-MM-DD): ${effectiveFrom}`);
+  }
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO product_costs (account_id, product_name, effective_from, unit_cost, currency, source, note)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT ((COALESCE(account_id::text, '')), (lower(btrim(product_name))), effective_from) DO UPDATE SET
+      product_name = EXCLUDED.product_name,
+      unit_cost = EXCLUDED.unit_cost,
+      currency = EXCLUDED.currency,
+      source = EXCLUDED.source,
+      note = COALESCE(EXCLUDED.note, product_costs.note),
+      updated_at = now()
+    RETURNING id, (xmax = 0) AS inserted
+    `,
+    [accountId, name, effectiveFrom, cost, normaliseCurrency(currency), source, note]
+  );
+  return rows[0];
+}
+
+// LATERAL subquery for the cost of line item `li` of order `o` on the order's
+// local day (tz is a query parameter reference such as '$3'). Exposes
+// unit_cost / currency, both NULL when the catalogue has no entry.
+function unitCostLateralSql(tz, o = 'o', li = 'li') {
+  return `
+    LEFT JOIN LATERAL (
+      SELECT pc.unit_cost, pc.currency
+      FROM product_costs pc
+      WHERE lower(btrim(pc.product_name)) = lower(btrim(${li}.product_name))
+        AND (pc.account_id = ${o}.account_id OR pc.account_id IS NULL)
+        AND pc.effective_from <= (${o}.created_at AT TIME ZONE ${tz})::date
+      ORDER BY pc.account_id IS NULL, pc.effective_from DESC
+      LIMIT 1
+    ) pc ON true
+  `;
+}
+
+module.exports = { ensureProductCostTable, upsertProductCost, unitCostLateralSql };
@@ -0,0 +1,209 @@
+// credential-crypto.js — envelope encryption for processor secrets in `credentials`
+//
+// Each credentials row gets its own random data key (DEK). The secret
+// columns hold AES-256-GCM ciphertext under that DEK ("vpenc:v1:..."), and
+// credentials.dek_wrapped holds the DEK encrypted under a master key. Rotating
+// the master key only re-wraps DEKs; the secret columns are never rewritten.
+//
+// Master keys (32 bytes, base64), first match wins:
+//   VP_MASTER_KEY_FILE   JSON file { "current": "k2", "keys": { "k1": "...", "k2": "..." } }
+//   VP_MASTER_KEYS       "k1:<base64>,k2:<base64>" with VP_MASTER_KEY_ID naming the current one
+//   VP_MASTER_KEY        a single key, id VP_MASTER_KEY_ID (default "k1")
+// New rows and rotations use the current key; every listed key can decrypt,
+// so a new key can be deployed before `credentials-key.js rotate` runs. The
+// key file is re-read when it changes, so long-running workers (scheduler.js,
+// vp-api.cjs) pick up a new key without a restart.
+//
+// Plaintext values (rows not migrated yet) pass through decryptCredential
+// unchanged unless CREDENTIALS_REQUIRE_ENCRYPTION=true.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ENCRYPTED_FIELDS = [
+  'stripe_secret_key',
+  'stripe_webhook_secret',
+  'paypal_client_id',
+  'paypal_client_secret',
+  'square_access_token',
+];
+
+const VALUE_PREFIX = 'vpenc:v1:';
+const DEK_PREFIX = 'vpdek:v1:';
+const DEK_AAD = Buffer.from('vp-credentials-dek');
+
+let cachedKeyring = null;
+
+function decodeKey(id, b64) {
+  const key = Buffer.from(String(b64).trim(), 'base64');
+  if (key.length !== 32) throw new Error(`Master key ${id} must be 32 bytes of base64 (got ${key.length} bytes)`);
+  return key;
+}
+
+// { current: id, keys: Map<id, Buffer> }
+function loadKeyring() {
+  const keyFile = process.env.VP_MASTER_KEY_FILE;
+  const version = keyFile ? fs.statSync(keyFile).mtimeMs : 0;
+  if (cachedKeyring && cachedKeyring.version === version) return cachedKeyring;
+
+  let current;
+  const keys = new Map();
+
+  if (keyFile) {
+    const file = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    for (const [id, b64] of Object.entries(file.keys || {})) keys.set(id, decodeKey(id, b64));
+    current = file.current;
+  } else if (process.env.VP_MASTER_KEYS) {
+    for (const part of process.env.VP_MASTER_KEYS.split(',').map((s) => s.trim()).filter(Boolean)) {
+      const i = part.indexOf(':');
+      if (i < 1) throw new Error('VP_MASTER_KEYS must look like "k1:<base64>,k2:<base64>"');
+      keys.set(part.slice(0, i), decodeKey(part.slice(0, i), part.slice(i + 1)));
+    }
+    current = process.env.VP_MASTER_KEY_ID || [...keys.keys()].pop();
+  } else if (process.env.VP_MASTER_KEY) {
+    current = process.env.VP_MASTER_KEY_ID || 'k1';
+    keys.set(current, decodeKey(current, process.env.VP_MASTER_KEY));
+  }
+
+  if (!keys.size) return null;
+  if (!keys.has(current)) throw new Error(`Current master key ${current} is not in the keyring`);
+
+  cachedKeyring = { current, keys, version };
+  return cachedKeyring;
+}
+
+function requireKeyring() {
+  const ring = loadKeyring();
+  if (!ring) throw new Error('No master key: set VP_MASTER_KEY_FILE, VP_MASTER_KEYS or VP_MASTER_KEY');
+  return ring;
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+/* ===============================
+   AES-256-GCM
+   =============================== */
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map((b) => b.toString('base64')).join(':');
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ct] = sealed.split(':').map((s) => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+/* ===============================
+   DEKs
+   =============================== */
+
+// "vpdek:v1:<key id>:<iv>:<tag>:<ct>"
+function wrapDek(dek) {
+  const ring = requireKeyring();
+  return `${DEK_PREFIX}${ring.current}:${seal(ring.keys.get(ring.current), dek, DEK_AAD)}`;
+}
+
+function wrappedKeyId(wrapped) {
+  if (!wrapped || !wrapped.startsWith(DEK_PREFIX)) return null;
+  return wrapped.slice(DEK_PREFIX.length).split(':')[0];
+}
+
+function unwrapDek(wrapped) {
+  const keyId = wrappedKeyId(wrapped);
+  if (!keyId) throw new Error('Malformed dek_wrapped value');
+
+  const key = requireKeyring().keys.get(keyId);
+  if (!key) throw new Error(`Master key ${keyId} is not in the keyring`);
+
+  return open(key, wrapped.slice(DEK_PREFIX.length + keyId.length + 1), DEK_AAD);
+}
+
+// same DEK wrapped under the current master key
+function rewrapDek(wrapped) {
+  return wrapDek(unwrapDek(wrapped));
+}
+
+/* ===============================
+   Fields
+   =============================== */
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+}
+
+// the field name is bound in as AAD, so ciphertext can't be moved between columns
+function encryptField(dek, field, plaintext) {
+  return `${VALUE_PREFIX}${seal(dek, Buffer.from(String(plaintext), 'utf8'), Buffer.from(field))}`;
+}
+
+function decryptField(dek, field, value) {
+  return open(dek, value.slice(VALUE_PREFIX.length), Buffer.from(field)).toString('utf8');
+}
+
+// Copy of row with ENCRYPTED_FIELDS in plaintext. Needs row.dek_wrapped when
+// any of them is encrypted.
+function decryptCredential(row) {
+  const out = { ...row };
+  let dek = null;
+
+  for (const field of ENCRYPTED_FIELDS) {
+    const value = row[field];
+    if (value == null) continue;
+
+    if (!isEncrypted(value)) {
+      if (process.env.CREDENTIALS_REQUIRE_ENCRYPTION === 'true') {
+        throw new Error(`credentials.${field} is stored in plaintext (run credentials-key.js migrate)`);
+      }
+      continue;
+    }
+
+    if (!dek) {
+      if (!row.dek_wrapped) throw new Error(`credentials.${field} is encrypted but dek_wrapped is missing`);
+      dek = unwrapDek(row.dek_wrapped);
+    }
+    out[field] = decryptField(dek, field, value);
+  }
+
+  delete out.dek_wrapped;
+  return out;
+}
+
+// { dek_wrapped, [field]: ciphertext } for the given plaintext values, reusing
+// the row's DEK when it already has one
+function encryptCredential(values, existingWrapped = null) {
+  const dek = existingWrapped ? unwrapDek(existingWrapped) : crypto.randomBytes(32);
+  const out = { dek_wrapped: existingWrapped || wrapDek(dek) };
+
+  for (const field of ENCRYPTED_FIELDS) {
+    const value = values[field];
+    if (value == null) continue;
+    out[field] = isEncrypted(value) ? value : encryptField(dek, field, value);
+  }
+
+  return out;
+}
+
+async function ensureCredentialCryptoColumns(db) {
+  await db.query(`ALTER TABLE credentials ADD COLUMN IF NOT EXISTS dek_wrapped text`);
+}
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  loadKeyring,
+  generateKey,
+  wrappedKeyId,
+  rewrapDek,
+  isEncrypted,
+  decryptCredential,
+  encryptCredential,
+  ensureCredentialCryptoColumns,
+};
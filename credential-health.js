@@ -0,0 +1,83 @@
+// credential-health.js — auth failures per credential, auto-disable after repeats
+//
+// A credential that keeps failing authentication (PayPal invalid_client,
+// 401/403 from either provider) is switched to is_active=false with a reason
+// after CREDENTIAL_DISABLE_AFTER (3) consecutive failed runs, instead of
+// failing every poll forever. Other errors (429s, timeouts) don't count.
+// Re-enable with `node accounts-cli.js credential enable <id>`.
+
+const DISABLE_AFTER = Number(process.env.CREDENTIAL_DISABLE_AFTER || 3);
+
+async function ensureCredentialHealthColumns(db) {
+  await db.query(`
+    ALTER TABLE credentials
+      ADD COLUMN IF NOT EXISTS auth_failures integer NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_error text,
+      ADD COLUMN IF NOT EXISTS last_failure_at timestamptz,
+      ADD COLUMN IF NOT EXISTS last_success_at timestamptz,
+      ADD COLUMN IF NOT EXISTS disabled_reason text,
+      ADD COLUMN IF NOT EXISTS disabled_at timestamptz
+  `);
+}
+
+// Stripe SDK errors carry type/statusCode; provider-http.js errors carry
+// statusCode and the API's message. Adapters' mapError() says the same for
+// their own APIs; this is the fallback.
+function isAuthFailure(err) {
+  if (!err) return false;
+  if (err.type === 'StripeAuthenticationError' || err.type === 'StripePermissionError') return true;
+  if (err.statusCode === 401 || err.statusCode === 403) return true;
+
+  const msg = String(err.message || err);
+  return (
+    msg.includes('invalid_client') ||
+    msg.includes('NOT_AUTHORIZED') ||
+    msg.includes('insufficient permissions') ||
+    /\((401|403)\)/.test(msg)
+  );
+}
+
+async function recordCredentialSuccess(db, credentialId) {
+  await db.query(
+    `UPDATE credentials SET auth_failures = 0, last_success_at = now() WHERE id::text = $1::text`,
+    [String(credentialId)]
+  );
+}
+
+// Resolves to { disabled: true, reason } when this failure switched the credential off
+async function recordCredentialFailure(db, credentialId, err, auth = isAuthFailure(err)) {
+  const message = String(err?.message || err).slice(0, 500);
+
+  const { rows } = await db.query(
+    `
+    UPDATE credentials SET
+      auth_failures = CASE WHEN $2 THEN auth_failures + 1 ELSE auth_failures END,
+      last_error = $3,
+      last_failure_at = now()
+    WHERE id::text = $1::text
+    RETURNING auth_failures
+    `,
+    [String(credentialId), auth, message]
+  );
+
+  const failures = rows[0]?.auth_failures || 0;
+  if (!auth || failures < DISABLE_AFTER) return { disabled: false, failures };
+
+  const reason = `auto-disabled after ${failures} consecutive auth failures: ${message}`.slice(0, 500);
+  await db.query(
+    `
+    UPDATE credentials SET is_active = false, disabled_reason = $2, disabled_at = now()
+    WHERE id::text = $1::text AND is_active
+    `,
+    [String(credentialId), reason]
+  );
+  return { disabled: true, failures, reason };
+}
+
+module.exports = {
+  DISABLE_AFTER,
+  ensureCredentialHealthColumns,
+  isAuthFailure,
+  recordCredentialSuccess,
+  recordCredentialFailure,
+};
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// credentials-key.js — manage encryption of processor secrets (credential-crypto.js)
+//
+//   node credentials-key.js generate-key          print a new master key (base64)
+//   node credentials-key.js status                rows per master key / still plaintext
+//   node credentials-key.js migrate [--dry-run]   encrypt plaintext secrets in place
+//   node credentials-key.js rotate [--dry-run]    re-wrap every DEK under the current key
+//
+// Rotating without downtime:
+//   1. add the new key to the keyring as current, keeping the old one
+//      (VP_MASTER_KEY_FILE is re-read by running workers; env keys need a restart)
+//   2. node credentials-key.js rotate
+//   3. once `status` shows nothing left under the old key, remove it
+// Each row is updated in its own short transaction, and a reader holding
+// either key can decrypt it at every point in between.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const {
+  ENCRYPTED_FIELDS,
+  loadKeyring,
+  generateKey,
+  wrappedKeyId,
+  rewrapDek,
+  isEncrypted,
+  encryptCredential,
+  ensureCredentialCryptoColumns,
+} = require('./credential-crypto');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// ENCRYPTED_FIELDS that exist on this database's credentials table
+async function presentFields() {
+  const { rows } = await pool.query(
+    `
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'credentials' AND column_name = ANY($1)
+    `,
+    [ENCRYPTED_FIELDS]
+  );
+  const present = new Set(rows.map((r) => r.column_name));
+  return ENCRYPTED_FIELDS.filter((f) => present.has(f));
+}
+
+async function status() {
+  const ring = loadKeyring();
+  const fields = await presentFields();
+  const { rows } = await pool.query(`SELECT id, dek_wrapped, ${fields.join(', ')} FROM credentials ORDER BY id`);
+
+  const byKey = new Map();
+  let plaintext = 0;
+
+  for (const r of rows) {
+    if (fields.some((f) => r[f] != null && !isEncrypted(r[f]))) plaintext += 1;
+    const keyId = wrappedKeyId(r.dek_wrapped);
+    if (keyId) byKey.set(keyId, (byKey.get(keyId) || 0) + 1);
+  }
+
+  console.log(`🔑 keyring: ${ring ? `${[...ring.keys.keys()].join(', ')} (current ${ring.current})` : 'none configured'}`);
+  console.log(`   ${rows.length} credential row(s), ${plaintext} with plaintext secrets`);
+  for (const [keyId, n] of byKey) {
+    console.log(`   ${keyId}: ${n} row(s)${ring && keyId === ring.current ? '' : ' ⚠️ not under the current key'}`);
+  }
+}
+
+async function migrate(dryRun) {
+  if (!loadKeyring()) throw new Error('No master key: set VP_MASTER_KEY_FILE, VP_MASTER_KEYS or VP_MASTER_KEY');
+
+  const fields = await presentFields();
+  const { rows } = await pool.query(`SELECT id FROM credentials ORDER BY id`);
+  let migrated = 0;
+
+  for (const { id } of rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const {
+        rows: [r],
+      } = await client.query(`SELECT id, dek_wrapped, ${fields.join(', ')} FROM credentials WHERE id = $1 FOR UPDATE`, [
+        id,
+      ]);
+
+      const pending = fields.filter((f) => r[f] != null && !isEncrypted(r[f]));
+      if (!pending.length) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const enc = encryptCredential(r, r.dek_wrapped);
+      if (!dryRun) {
+        const sets = pending.map((f, i) => `${f} = $${i + 3}`);
+        await client.query(`UPDATE credentials SET dek_wrapped = $2, ${sets.join(', ')} WHERE id = $1`, [
+          id,
+          enc.dek_wrapped,
+          ...pending.map((f) => enc[f]),
+        ]);
+      }
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      migrated += 1;
+      console.log(`   ${dryRun ? '🧪' : '🔒'} credential ${id}: ${pending.join(', ')}`);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  console.log(`✅ ${migrated} credential row(s) ${dryRun ? 'would be encrypted' : 'encrypted'}`);
+}
+
+async function rotate(dryRun) {
+  const ring = loadKeyring();
+  if (!ring) throw new Error('No master key: set VP_MASTER_KEY_FILE, VP_MASTER_KEYS or VP_MASTER_KEY');
+
+  const { rows } = await pool.query(`SELECT id, dek_wrapped FROM credentials WHERE dek_wrapped IS NOT NULL ORDER BY id`);
+  let rotated = 0;
+
+  for (const r of rows) {
+    const keyId = wrappedKeyId(r.dek_wrapped);
+    if (keyId === ring.current) continue;
+
+    const next = rewrapDek(r.dek_wrapped);
+    if (!dryRun) {
+      // compare-and-set: a concurrent migrate/rotate of the same row wins
+      const res = await pool.query(`UPDATE credentials SET dek_wrapped = $2 WHERE id = $1 AND dek_wrapped = $3`, [
+        r.id,
+        next,
+        r.dek_wrapped,
+      ]);
+      if (!res.rowCount) {
+        console.log(`   ↻ credential ${r.id} changed underneath us, skipped (rerun to pick it up)`);
+        continue;
+      }
+    }
+
+    rotated += 1;
+    console.log(`   ${dryRun ? '🧪' : '🔁'} credential ${r.id}: ${keyId} → ${ring.current}`);
+  }
+
+  console.log(`✅ ${rotated} data key(s) ${dryRun ? 'would be re-wrapped' : 're-wrapped'} under ${ring.current}`);
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  const command = positionals[0];
+
+  if (command === 'generate-key') {
+    console.log(generateKey());
+    return;
+  }
+
+  await ensureCredentialCryptoColumns(pool);
+
+  if (command === 'status') return status();
+  if (command === 'migrate') return migrate(values['dry-run']);
+  if (command === 'rotate') return rotate(values['dry-run']);
+
+  throw new Error('usage: credentials-key.js generate-key | status | migrate [--dry-run] | rotate [--dry-run]');
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,83 @@
+// csv.js — minimal RFC 4180 reader/writer (quoted fields, embedded commas,
+// quotes and newlines). Enough for WooCommerce exports and our own reports.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // strip a UTF-8 BOM
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Rows as objects keyed by the header line; blank lines are dropped
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  return rows
+    .filter((r) => r.some((v) => v !== ''))
+    .map((r) => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+function csvField(v) {
+  if (v === null || v === undefined) return '';
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of arrays, or array of objects with `columns` giving the order
+function toCsv(rows, columns = null) {
+  const lines = [];
+  if (columns) lines.push(columns.map(csvField).join(','));
+
+  for (const r of rows) {
+    const values = columns && !Array.isArray(r) ? columns.map((c) => r[c]) : r;
+    lines.push(values.map(csvField).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
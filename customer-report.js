@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+// customer-report.js — who comes back, and what a customer is worth
+//
+//   node customer-report.js build [--currency AUD] [--lookback-days 30]
+//   node customer-report.js cohorts [--since 2025-01-01] [--until 2026-01-01] [--account <id>]
+//                                   [--months 12] [--csv out.csv]
+//   node customer-report.js ltv [--by source|medium|campaign|channel|store] [--since] [--until]
+//                               [--account <id>] [--csv out.csv]
+//
+// build rebuilds customers / customer_purchases (customers.js) from orders and
+// transactions across every store; scheduler.js does it every
+// SCHEDULE_CUSTOMERS_SECONDS (21600). The reports read those tables:
+//
+// cohorts  customers by first-purchase month (REPORT_TIMEZONE): repeat rate,
+//          purchases per customer, median days between purchases, LTV so far,
+//          and M1..Mn retention — the share of the cohort that bought in the
+//          nth month after their first. Months still in progress are blank.
+// ltv      the same by acquisition channel or first store, plus revenue within
+//          90 / 180 / 365 days of the first purchase (only customers that old)
+//          and the share still buying 3 / 6 / 12+ months in.
+//
+// --since / --until / --account pick customers by their first purchase, and
+// revenue is in the currency of the last build. Programmes are sold as
+// monthly instalments, so each payment is a purchase and retention is the
+// figure to watch.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { DEFAULT_REPORTING_CURRENCY, normaliseCurrency } = require('./fx');
+const { ensureCustomerTables, rebuildCustomers } = require('./customers');
+const { UNATTRIBUTED } = require('./touches');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIMENSIONS = ['source', 'medium', 'campaign', 'channel', 'store'];
+const LTV_WINDOWS = [90, 180, 365];
+const RETAINED_MONTHS = [3, 6, 12];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/* ===============================
+   Build
+   =============================== */
+
+async function buildCustomers({ currency = DEFAULT_REPORTING_CURRENCY, lookbackDays } = {}) {
+  const days = lookbackDays ?? Number(process.env.ATTRIBUTION_LOOKBACK_DAYS || 30);
+  const r = await rebuildCustomers(pool, { currency, lookbackDays: days });
+  if (!r) {
+    console.log('🔒 Another customers build is in progress — skipping');
+    return { fetched: 0, inserted: 0, locked: 1 };
+  }
+
+  console.log(`✅ ${r.customers} customers from ${r.purchases} purchases (${currency})`);
+  console.log(`   acquisition: ${r.fromOrders} from order attribution, ${r.fromTouches} from tracked visits`);
+  if (r.noFx) console.log(`   ⚠️ ${r.noFx} purchase(s) have no revenue — no FX rate for their date (fx-rates.js)`);
+
+  return { fetched: r.purchases, inserted: r.customers };
+}
+
+/* ===============================
+   Data
+   =============================== */
+
+// One row per customer first buying in range, with their purchases relative
+// to the first: month offsets, days between purchases, revenue within each
+// LTV window, and how many months have started since
+async function loadCustomers(opts) {
+  const monthIndex = (ts) => `(extract(year FROM ${ts})::int * 12 + extract(month FROM ${ts})::int)`;
+
+  const { rows } = await pool.query(
+    `
+    SELECT
+      c.email_hash,
+      to_char(c.first_purchase_at AT TIME ZONE $1, 'YYYY-MM') AS cohort,
+      c.first_purchase_at,
+      c.purchases,
+      c.revenue,
+      c.currency,
+      c.acquisition_source,
+      c.acquisition_medium,
+      c.acquisition_campaign,
+      a.label AS store,
+      ${monthIndex('now() AT TIME ZONE $1')} - ${monthIndex('c.first_purchase_at AT TIME ZONE $1')} AS months_elapsed,
+      x.offsets,
+      x.gaps,
+      x.rev_90,
+      x.rev_180,
+      x.rev_365
+    FROM customers c
+    JOIN accounts a ON a.id = c.first_account_id
+    CROSS JOIN LATERAL (
+      SELECT
+        array_agg(DISTINCT p.month_offset) AS offsets,
+        array_remove(array_agg(p.gap_days), NULL) AS gaps,
+        SUM(p.revenue) FILTER (WHERE p.purchased_at < c.first_purchase_at + interval '90 days') AS rev_90,
+        SUM(p.revenue) FILTER (WHERE p.purchased_at < c.first_purchase_at + interval '180 days') AS rev_180,
+        SUM(p.revenue) FILTER (WHERE p.purchased_at < c.first_purchase_at + interval '365 days') AS rev_365
+      FROM (
+        SELECT
+          cp.purchased_at,
+          cp.revenue,
+          ${monthIndex('cp.purchased_at AT TIME ZONE $1')} - ${monthIndex('c.first_purchase_at AT TIME ZONE $1')} AS month_offset,
+          extract(epoch FROM cp.purchased_at - lag(cp.purchased_at) OVER (ORDER BY cp.purchased_at)) / 86400 AS gap_days
+        FROM customer_purchases cp
+        WHERE cp.email_hash = c.email_hash
+      ) p
+    ) x
+    WHERE c.first_purchase_at >= $2
+      AND c.first_purchase_at < $3
+      AND ($4::text IS NULL OR c.first_account_id::text = $4::text)
+    `,
+    [REPORT_TIMEZONE, opts.since, opts.until, opts.account]
+  );
+
+  return rows.map((r) => ({
+    cohort: r.cohort,
+    firstMs: new Date(r.first_purchase_at).getTime(),
+    purchases: Number(r.purchases),
+    revenue: Number(r.revenue ?? 0),
+    currency: r.currency.trim(),
+    source: r.acquisition_source || UNATTRIBUTED.source,
+    medium: r.acquisition_medium || UNATTRIBUTED.medium,
+    campaign: r.acquisition_campaign || UNATTRIBUTED.campaign,
+    store: r.store,
+    monthsElapsed: Number(r.months_elapsed),
+    offsets: new Set((r.offsets || []).map(Number)),
+    gaps: (r.gaps || []).map(Number),
+    windows: { 90: Number(r.rev_90 ?? 0), 180: Number(r.rev_180 ?? 0), 365: Number(r.rev_365 ?? 0) },
+  }));
+}
+
+/* ===============================
+   Metrics
+   =============================== */
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function pct(part, whole) {
+  return whole ? ((part / whole) * 100).toFixed(1) : '';
+}
+
+// what every row of both reports shows, for a group of customers
+function baseMetrics(customers) {
+  const n = customers.length;
+  const revenue = customers.reduce((s, c) => s + c.revenue, 0);
+  const purchases = customers.reduce((s, c) => s + c.purchases, 0);
+  const gap = median(customers.flatMap((c) => c.gaps));
+
+  return {
+    customers: n,
+    repeat_pct: pct(customers.filter((c) => c.purchases > 1).length, n),
+    purchases_per_customer: n ? (purchases / n).toFixed(2) : '',
+    median_days_between: gap === null ? '' : gap.toFixed(0),
+    revenue: revenue.toFixed(2),
+    ltv: n ? (revenue / n).toFixed(2) : '',
+  };
+}
+
+// share of customers that bought in month `k` after their first, among those
+// for whom month k is over
+function retentionPct(customers, k) {
+  const eligible = customers.filter((c) => c.monthsElapsed > k);
+  return pct(eligible.filter((c) => c.offsets.has(k)).length, eligible.length);
+}
+
+function cohortRows(customers, months) {
+  const byCohort = new Map();
+  for (const c of customers) {
+    if (!byCohort.has(c.cohort)) byCohort.set(c.cohort, []);
+    byCohort.get(c.cohort).push(c);
+  }
+
+  const row = (cohort, list) => {
+    const r = { cohort, ...baseMetrics(list) };
+    for (let k = 1; k <= months; k++) r[`m${k}`] = retentionPct(list, k);
+    return r;
+  };
+
+  const rows = [...byCohort.keys()].sort().map((cohort) => row(cohort, byCohort.get(cohort)));
+  return { rows, total: row('ALL', customers) };
+}
+
+function ltvRows(customers, by) {
+  const keyOf = (c) => (by === 'channel' ? `${c.source} / ${c.medium}` : c[by]);
+  const groups = new Map();
+  for (const c of customers) {
+    const key = keyOf(c);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+
+  const nowMs = Date.now();
+  const row = (key, list) => {
+    const r = { [by]: key, ...baseMetrics(list) };
+    for (const days of LTV_WINDOWS) {
+      const old = list.filter((c) => c.firstMs <= nowMs - days * DAY_MS);
+      r[`ltv_${days}d`] = old.length ? (old.reduce((s, c) => s + c.windows[days], 0) / old.length).toFixed(2) : '';
+    }
+    for (const k of RETAINED_MONTHS) {
+      const eligible = list.filter((c) => c.monthsElapsed > k);
+      r[`retained_${k}m_pct`] = pct(eligible.filter((c) => [...c.offsets].some((o) => o >= k)).length, eligible.length);
+    }
+    return r;
+  };
+
+  const rows = [...groups.entries()].map(([key, list]) => row(key, list)).sort((a, b) => b.customers - a.customers);
+  return { rows, total: row('ALL', customers) };
+}
+
+/* ===============================
+   Output
+   =============================== */
+
+const cell = (v, width) => (v === '' ? '·' : String(v)).padStart(width);
+
+function printCohorts(rows, total, months) {
+  const mCols = Array.from({ length: months }, (_, i) => `m${i + 1}`);
+
+  console.log('');
+  console.log(
+    `cohort  | customers | repeat |    ltv | gap d | ${mCols.map((m) => m.toUpperCase().padStart(5)).join(' ')}`
+  );
+  console.log('-'.repeat(46 + months * 6));
+
+  for (const r of [...rows, total]) {
+    if (r === total) console.log('-'.repeat(46 + months * 6));
+    console.log(
+      `${r.cohort.padEnd(7)} | ${cell(r.customers, 9)} | ${cell(r.repeat_pct && `${r.repeat_pct}%`, 6)} | ` +
+        `${cell(r.ltv, 6)} | ${cell(r.median_days_between, 5)} | ${mCols.map((m) => cell(r[m], 5)).join(' ')}`
+    );
+  }
+  console.log('\nM1..Mn: % of the cohort buying in that month after their first (· = not over yet)');
+}
+
+function printLtv(rows, total, by) {
+  const width = Math.min(40, Math.max(12, ...rows.map((r) => String(r[by]).length)));
+  const windows = LTV_WINDOWS.map((d) => `ltv_${d}d`);
+  const retained = RETAINED_MONTHS.map((k) => `retained_${k}m_pct`);
+
+  console.log('');
+  console.log(
+    `${by.padEnd(width)} | customers | repeat |    ltv | ${LTV_WINDOWS.map((d) => `${d}d`.padStart(7)).join(' ')} | ` +
+      `${RETAINED_MONTHS.map((k) => `${k}m+`.padStart(5)).join(' ')}`
+  );
+  console.log('-'.repeat(width + 75));
+
+  for (const r of [...rows, total]) {
+    if (r === total) console.log('-'.repeat(width + 75));
+    console.log(
+      `${String(r[by]).slice(0, width).padEnd(width)} | ${cell(r.customers, 9)} | ` +
+        `${cell(r.repeat_pct && `${r.repeat_pct}%`, 6)} | ${cell(r.ltv, 6)} | ` +
+        `${windows.map((w) => cell(r[w], 7)).join(' ')} | ${retained.map((k) => cell(r[k], 5)).join(' ')}`
+    );
+  }
+  console.log('\nNd: revenue per customer within N days of their first purchase; Nm+: % still buying N+ months in');
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+const BASE_COLUMNS = ['customers', 'repeat_pct', 'purchases_per_customer', 'median_days_between', 'revenue', 'ltv'];
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      currency: { type: 'string', default: DEFAULT_REPORTING_CURRENCY },
+      'lookback-days': { type: 'string', default: process.env.ATTRIBUTION_LOOKBACK_DAYS || '30' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      account: { type: 'string' },
+      months: { type: 'string', default: '12' },
+      by: { type: 'string', default: 'channel' },
+      csv: { type: 'string' },
+    },
+  });
+
+  const mode = positionals[0];
+
+  if (mode === 'build') {
+    const lookbackDays = Number(values['lookback-days']);
+    if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) throw new Error('--lookback-days must be a positive integer');
+    await buildCustomers({ currency: normaliseCurrency(values.currency), lookbackDays });
+    return;
+  }
+
+  if (mode !== 'cohorts' && mode !== 'ltv') {
+    throw new Error('usage: customer-report.js build | cohorts [--months 12] | ltv [--by channel] (see header)');
+  }
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since ? parseDateArg('since', values.since) : new Date(until.getTime() - 365 * DAY_MS);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  await ensureCustomerTables(pool);
+  const customers = await loadCustomers({ since, until, account: values.account || null });
+
+  if (!customers.length) {
+    console.log('No customers first buying in range — run `node customer-report.js build` first');
+    return;
+  }
+
+  const currency = customers[0].currency;
+  console.log(
+    `🚀 ${customers.length} customers first buying ${since.toISOString()} → ${until.toISOString()} (${currency})`
+  );
+
+  let rows;
+  let columns;
+
+  if (mode === 'cohorts') {
+    const months = Number(values.months);
+    if (!Number.isInteger(months) || months < 1 || months > 36) throw new Error('--months must be 1..36');
+
+    const result = cohortRows(customers, months);
+    printCohorts(result.rows, result.total, months);
+    rows = result.rows;
+    columns = ['cohort', ...BASE_COLUMNS, ...Array.from({ length: months }, (_, i) => `m${i + 1}`)];
+  } else {
+    const by = values.by.trim();
+    if (!DIMENSIONS.includes(by)) throw new Error(`Unknown --by ${by} (want ${DIMENSIONS.join(', ')})`);
+
+    const result = ltvRows(customers, by);
+    printLtv(result.rows, result.total, by);
+    rows = result.rows;
+    columns = [
+      by,
+      ...BASE_COLUMNS,
+      ...LTV_WINDOWS.map((d) => `ltv_${d}d`),
+      ...RETAINED_MONTHS.map((k) => `retained_${k}m_pct`),
+    ];
+  }
+
+  if (values.csv) {
+    fs.writeFileSync(values.csv, toCsv(rows, columns));
+    console.log(`\n✅ CSV written to ${values.csv}`);
+  }
+}
+
+module.exports = { buildCustomers, close: () => pool.end() };
+
+if (require.main === module) {
+  run()
+    .catch(err => {
+      console.error(`❌ ${err.message || err}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,325 @@
+// customers.js — one row per buyer across every store, keyed by email hash
+//
+// customer_purchases  every paid purchase we can tie to an email: paid
+//                     WooCommerce orders (billing email) for stores that import
+//                     orders, otherwise completed payments in `transactions`
+//                     (buyer_email_hash, or the email in payload_json for rows
+//                     written before it existed) — the same one-source-per-store
+//                     rule as conversions.js. revenue is net of tax (orders
+//                     only) and refunds, converted to the build currency.
+// customers           first / last purchase, totals, and the acquisition
+//                     channel: the first order's WooCommerce attribution (UTMs,
+//                     referring site), else the first vp_touches touch before
+//                     the first purchase (touches.js), else unattributed. An
+//                     order "referred" by the store's own site (accounts.site_url,
+//                     set with accounts-cli.js account update --site) is not a
+//                     channel and falls through to the touches.
+//
+// Both are rebuilt from scratch by rebuildCustomers(); the hash is the
+// /vp/identify scheme (hashEmail in transactions.js).
+
+const { accountIdType, ensureSiteUrlColumn } = require('./accounts');
+const { ensureFxSchema } = require('./fx');
+const { PAID_STATUSES, ensureOrderTables } = require('./orders');
+const { ensureTransactionColumns } = require('./transactions');
+const { withAdvisoryLock } = require('./locks');
+const { hostOf, touchChannel, creditConversion, loadTouches, UNATTRIBUTED } = require('./touches');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// where buyers' emails sit in provider payloads (see the normalisers in transactions.js)
+const PAYLOAD_EMAIL_PATHS = [
+  '{billing_details,email}',
+  '{receipt_email}',
+  '{payer_info,email_address}',
+  '{payer,email_address}',
+  '{buyer_email_address}',
+  '{buyer_email}',
+];
+
+async function ensureCustomerTables(db) {
+  await ensureFxSchema(db);
+  await ensureOrderTables(db);
+  await ensureTransactionColumns(db);
+  await ensureSiteUrlColumn(db);
+
+  const idType = await accountIdType(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS customer_purchases (
+      purchase_id text PRIMARY KEY,
+      email_hash text NOT NULL,
+      account_id ${idType} NOT NULL REFERENCES accounts(id),
+      source text NOT NULL,
+      purchased_at timestamptz NOT NULL,
+      amount numeric(14,2),
+      amount_currency char(3),
+      revenue numeric(14,2),
+      currency char(3) NOT NULL,
+      utm_source text,
+      utm_medium text,
+      utm_campaign text,
+      referring_site text
+    )
+  `);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS customer_purchases_email_idx ON customer_purchases (email_hash, purchased_at)`
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS customers (
+      email_hash text PRIMARY KEY,
+      first_purchase_at timestamptz NOT NULL,
+      first_purchase_id text NOT NULL,
+      first_account_id ${idType} NOT NULL REFERENCES accounts(id),
+      last_purchase_at timestamptz NOT NULL,
+      purchases integer NOT NULL,
+      stores integer NOT NULL,
+      revenue numeric(14,2),
+      currency char(3) NOT NULL,
+      acquisition_source text,
+      acquisition_medium text,
+      acquisition_campaign text,
+      acquisition_via text,
+      built_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS customers_first_purchase_idx ON customers (first_purchase_at)`);
+}
+
+function payloadEmailHashSql(t) {
+  const email = `COALESCE(${PAYLOAD_EMAIL_PATHS.map((p) => `${t}.payload_json #>> '${p}'`).join(', ')})`;
+  return `encode(sha256(convert_to(NULLIF(lower(btrim(${email})), ''), 'UTF8')), 'hex')`;
+}
+
+async function insertPurchases(client, currency) {
+  const { rowCount } = await client.query(
+    `
+    INSERT INTO customer_purchases (
+      purchase_id, email_hash, account_id, source, purchased_at, amount, amount_currency, revenue, currency,
+      utm_source, utm_medium, utm_campaign, referring_site
+    )
+    WITH order_accounts AS (
+      SELECT DISTINCT account_id FROM orders
+    ),
+    o AS (
+      SELECT
+        o.*,
+        COALESCE(o.paid_at, o.created_at) AS purchased_at,
+        COALESCE(o.total, 0) - COALESCE(o.total_tax, 0) - COALESCE(o.total_refunds, 0) AS amount,
+        COALESCE(o.currency, a.reporting_currency) AS amount_currency
+      FROM orders o
+      JOIN accounts a ON a.id = o.account_id
+      WHERE o.status = ANY($1)
+        AND o.billing_email_hash IS NOT NULL
+        AND COALESCE(o.paid_at, o.created_at) IS NOT NULL
+    ),
+    t AS (
+      SELECT
+        t.*,
+        COALESCE(t.buyer_email_hash, ${payloadEmailHashSql('t')}) AS email_hash,
+        t.amount_gross + COALESCE(back.amount, 0) AS amount
+      FROM transactions t
+      -- refunds / chargebacks (and their reversals) of this payment
+      LEFT JOIN LATERAL (
+        SELECT SUM(r.amount_gross) AS amount
+        FROM transactions r
+        WHERE r.provider = t.provider
+          AND r.account_id = t.account_id
+          AND r.related_provider_event_id = t.provider_event_id
+          AND COALESCE(r.kind, 'payment') <> 'payment'
+          AND COALESCE(r.status, 'completed') = 'completed'
+      ) back ON true
+      WHERE COALESCE(t.kind, 'payment') = 'payment'
+        AND COALESCE(t.status, 'completed') = 'completed'
+        AND t.amount_gross IS NOT NULL
+        AND t.account_id NOT IN (SELECT account_id FROM order_accounts)
+    )
+    SELECT
+      'order:' || o.account_id || ':' || o.order_id,
+      o.billing_email_hash,
+      o.account_id,
+      'order',
+      o.purchased_at,
+      o.amount,
+      o.amount_currency,
+      fx_convert(o.amount, o.amount_currency, $2, (o.purchased_at AT TIME ZONE 'UTC')::date),
+      $2,
+      o.utm_source,
+      o.utm_medium,
+      o.utm_campaign,
+      o.referring_site
+    FROM o
+
+    UNION ALL
+
+    SELECT
+      'txn:' || t.provider || ':' || t.provider_event_id,
+      t.email_hash,
+      t.account_id,
+      'payment',
+      t.occurred_at,
+      t.amount,
+      t.currency,
+      fx_convert(t.amount, t.currency, $2, (t.occurred_at AT TIME ZONE 'UTC')::date),
+      $2,
+      NULL, NULL, NULL, NULL
+    FROM t
+    WHERE t.email_hash IS NOT NULL
+    `,
+    [[...PAID_STATUSES], currency]
+  );
+  return rowCount;
+}
+
+async function insertCustomers(client, currency) {
+  const { rowCount } = await client.query(
+    `
+    INSERT INTO customers (
+      email_hash, first_purchase_at, first_purchase_id, first_account_id, last_purchase_at,
+      purchases, stores, revenue, currency
+    )
+    SELECT
+      f.email_hash,
+      f.purchased_at,
+      f.purchase_id,
+      f.account_id,
+      agg.last_purchase_at,
+      agg.purchases,
+      agg.stores,
+      agg.revenue,
+      $1
+    FROM (
+      SELECT DISTINCT ON (email_hash) email_hash, purchased_at, purchase_id, account_id
+      FROM customer_purchases
+      ORDER BY email_hash, purchased_at, purchase_id
+    ) f
+    JOIN (
+      SELECT
+        email_hash,
+        MAX(purchased_at) AS last_purchase_at,
+        COUNT(*) AS purchases,
+        COUNT(DISTINCT account_id) AS stores,
+        SUM(revenue) AS revenue
+      FROM customer_purchases
+      GROUP BY email_hash
+    ) agg ON agg.email_hash = f.email_hash
+    `,
+    [currency]
+  );
+  return rowCount;
+}
+
+// WooCommerce records a visit from the store's own pages as utm_source
+// "shop.example.com" and a referring site on the same host; neither is a channel
+function orderChannel(r) {
+  const own = r.site_url ? hostOf(r.site_url) : null;
+  const source = r.utm_source ? r.utm_source.trim().toLowerCase().replace(/^www\./, '') : null;
+  const self = own && (source === own || (source && hostOf(r.utm_source) === own));
+
+  const utm = self ? {} : { utm_source: r.utm_source, utm_medium: r.utm_medium };
+  if (!utm.utm_source && !utm.utm_medium && !r.referring_site) return null;
+
+  return touchChannel({
+    ...utm,
+    utm_campaign: r.utm_campaign,
+    referrer: r.referring_site,
+    url: r.site_url,
+  });
+}
+
+// first order's own attribution, else the first tracked touch before it
+async function assignAcquisition(client, lookbackMs) {
+  const { rows } = await client.query(`
+    SELECT c.email_hash, c.first_purchase_at, p.utm_source, p.utm_medium, p.utm_campaign, p.referring_site, a.site_url
+    FROM customers c
+    JOIN customer_purchases p ON p.purchase_id = c.first_purchase_id
+    JOIN accounts a ON a.id = c.first_account_id
+  `);
+
+  const assigned = new Map();
+  const rest = [];
+
+  for (const r of rows) {
+    const channel = orderChannel(r);
+    if (channel) assigned.set(r.email_hash, { ...channel, via: 'order' });
+    else rest.push(r);
+  }
+
+  const { rows: found } = await client.query(`SELECT to_regclass('public.vp_touches') AS t`);
+  if (found[0].t && rest.length) {
+    const times = rest.map((r) => new Date(r.first_purchase_at).getTime());
+    const opts = {
+      since: new Date(times.reduce((a, b) => Math.min(a, b))),
+      until: new Date(times.reduce((a, b) => Math.max(a, b)) + 1),
+      lookbackMs,
+    };
+    const touchesByEmail = await loadTouches(client, rest.map((r) => r.email_hash), opts);
+
+    for (const r of rest) {
+      const conversion = { email_hash: r.email_hash, converted_at: r.first_purchase_at };
+      const [{ channel }] = creditConversion('first_touch', conversion, touchesByEmail, opts);
+      if (channel !== UNATTRIBUTED) assigned.set(r.email_hash, { ...channel, via: 'touch' });
+    }
+  }
+
+  const list = [...assigned.entries()];
+  await client.query(
+    `
+    UPDATE customers c SET
+      acquisition_source = u.source,
+      acquisition_medium = u.medium,
+      acquisition_campaign = u.campaign,
+      acquisition_via = u.via
+    FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[]) AS u(email_hash, source, medium, campaign, via)
+    WHERE c.email_hash = u.email_hash
+    `,
+    [
+      list.map(([hash]) => hash),
+      list.map(([, a]) => a.source),
+      list.map(([, a]) => a.medium),
+      list.map(([, a]) => a.campaign),
+      list.map(([, a]) => a.via),
+    ]
+  );
+
+  const fromOrders = list.filter(([, a]) => a.via === 'order').length;
+  return { fromOrders, fromTouches: list.length - fromOrders };
+}
+
+// Rebuilds both tables in one transaction; readers see the old ones until it
+// commits. Resolves to null when another rebuild (scheduler or
+// customer-report.js build) holds the lock.
+async function rebuildCustomers(pool, { currency, lookbackDays }) {
+  await ensureCustomerTables(pool);
+
+  const { locked, result } = await withAdvisoryLock(pool, 'customers', 'build', () =>
+    rebuildTables(pool, { currency, lookbackDays })
+  );
+  return locked ? result : null;
+}
+
+async function rebuildTables(pool, { currency, lookbackDays }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM customers');
+    await client.query('DELETE FROM customer_purchases');
+
+    const purchases = await insertPurchases(client, currency);
+    const customers = await insertCustomers(client, currency);
+    const acquisition = await assignAcquisition(client, lookbackDays * DAY_MS);
+
+    const { rows } = await client.query(`SELECT COUNT(*)::int AS n FROM customer_purchases WHERE revenue IS NULL`);
+
+    await client.query('COMMIT');
+    return { purchases, customers, noFx: rows[0].n, ...acquisition };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { ensureCustomerTables, rebuildCustomers };
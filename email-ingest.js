@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+// email-ingest.js — fallback ingest of Stripe / PayPal "payment received" emails
+//
+//   node email-ingest.js [--account <id>] [--since-days 7] [--dry-run]
+//   node email-ingest.js --check-amounts     parse the sample amounts (AMOUNT_SAMPLES) and exit
+//
+// For stores whose API credentials are broken or rate limited: reads the
+// notification mailbox over IMAP, parses amount, currency, buyer and
+// transaction id, and writes a transactions row with verified = false.
+// When a poller or webhook later sees the same payment, the verified row
+// replaces it (same provider id) or this script deletes it (same amount and
+// time, for emails without an id).
+//
+// env:
+//   IMAP_HOST, IMAP_PORT (993), IMAP_USER, IMAP_PASSWORD, IMAP_TLS (true), IMAP_MAILBOX (INBOX)
+//   IMAP_ACCOUNT_MAP   JSON {"<recipient address>": <account_id>} for shared mailboxes
+//   IMAP_DEFAULT_CURRENCY  currency for a bare "$" amount (AUD)
+
+const path = require('path');
+require('dotenv').config({
+  path: path.join(__dirname, '.env'),
+  quiet: true,
+});
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const imaps = require('imap-simple');
+const { simpleParser } = require('mailparser');
+const { Pool } = require('pg');
+const {
+  NORMALISED_COLUMNS,
+  kindFor,
+  normalisedParams,
+  normalisedPlaceholders,
+  ensureTransactionColumns,
+} = require('./transactions');
+const { recordPollerSuccess } = require('./poller-status');
+
+const MAILBOX = process.env.IMAP_MAILBOX || 'INBOX';
+const DEFAULT_CURRENCY = (process.env.IMAP_DEFAULT_CURRENCY || 'AUD').toUpperCase();
+const DEDUPE_WINDOW_MINUTES = 30;
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+// stored under the same event types the pollers use, so kind = payment
+const EMAIL_EVENT_TYPE = { stripe: 'charge', paypal: 'T0006' };
+
+const CURRENCY_SYMBOLS = {
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'US$': 'USD',
+  'NZ$': 'NZD',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '$': DEFAULT_CURRENCY,
+};
+
+/* ===============================
+   Parsing
+   =============================== */
+
+function providerFor(mail) {
+  const from = (mail.from?.value || []).map((a) => a.address || '').join(' ').toLowerCase();
+  if (/@([a-z0-9-]+\.)*paypal\.[a-z.]+$/.test(from) || from.includes('paypal.')) return 'paypal';
+  if (from.includes('stripe.com')) return 'stripe';
+  return null;
+}
+
+function looksLikePaymentReceived(subject) {
+  const s = String(subject || '');
+  if (/refund|dispute|chargeback|reversal|failed|declined/i.test(s)) return false;
+  return /payment|received|got money|succeeded|new sale/i.test(s);
+}
+
+// Amount formats seen in notification emails, with what they should parse
+// to; `--check-amounts` runs parseAmount over them
+const AMOUNT_SAMPLES = [
+  ['A$299.00 AUD', { amount: 299, currency: 'AUD' }],
+  ['$299.00 AUD', { amount: 299, currency: 'AUD' }],
+  ['299.00 AUD', { amount: 299, currency: 'AUD' }],
+  ['$1,299.00 USD', { amount: 1299, currency: 'USD' }],
+  ['€49,00', { amount: 49, currency: 'EUR' }],
+  ['€1.234,56', { amount: 1234.56, currency: 'EUR' }],
+  ['1.234,56 €', { amount: 1234.56, currency: 'EUR' }],
+  ['49,00 EUR', { amount: 49, currency: 'EUR' }],
+  ['£12', { amount: 12, currency: 'GBP' }],
+];
+
+// digits with optional thousands separators and an optional 2-digit decimal part
+const NUMBER = String.raw`\d{1,3}(?:[.,\s]\d{3})+(?:[.,]\d{2})?|\d+(?:[.,]\d{2})?`;
+const SYMBOL = String.raw`A\$|AU\$|US\$|NZ\$|CA?\$|€|£|\$`;
+
+// A trailing ",dd" or ".dd" is the decimal part ("€49,00", "1.234,56 €");
+// any other separator groups thousands
+function toNumber(s) {
+  const m = s.match(/^(.*?)[.,](\d{2})$/);
+  const whole = (m ? m[1] : s).replace(/[.,\s]/g, '');
+  return Number(m ? `${whole}.${m[2]}` : whole);
+}
+
+function parseAmount(text) {
+  const withSymbol = text.match(new RegExp(`(${SYMBOL})\\s?(${NUMBER})(?:\\s*([A-Z]{3})\\b)?`));
+  if (withSymbol) {
+    return {
+      amount: toNumber(withSymbol[2]),
+      currency: withSymbol[3] || CURRENCY_SYMBOLS[withSymbol[1]],
+    };
+  }
+
+  const symbolAfter = text.match(new RegExp(`(?<![\\d.,])(${NUMBER})\\s?(€|£)`));
+  if (symbolAfter) return { amount: toNumber(symbolAfter[1]), currency: CURRENCY_SYMBOLS[symbolAfter[2]] };
+
+  const withCode = text.match(new RegExp(`(?<![\\d.,])(${NUMBER})\\s*([A-Z]{3})\\b`));
+  if (withCode && /[.,]\d{2}$/.test(withCode[1])) return { amount: toNumber(withCode[1]), currency: withCode[2] };
+
+  return null;
+}
+
+function checkAmounts() {
+  let failed = 0;
+  for (const [text, want] of AMOUNT_SAMPLES) {
+    const got = parseAmount(text);
+    const ok = got && got.amount === want.amount && got.currency === want.currency;
+    if (!ok) failed += 1;
+    console.log(`${ok ? '✅' : '❌'} ${JSON.stringify(text)} → ${got ? `${got.amount} ${got.currency}` : 'null'}`);
+  }
+  return failed;
+}
+
+function parseTransactionId(provider, text) {
+  if (provider === 'paypal') {
+    const m = text.match(/Transaction ID:?\s*([A-Z0-9]{17})\b/i);
+    return m ? m[1].toUpperCase() : null;
+  }
+  const m = text.match(/\b((?:ch|py|pi)_[A-Za-z0-9]{10,})\b/);
+  return m ? m[1] : null;
+}
+
+function parseBuyer(text, ignore) {
+  const emails = (text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g) || []).filter((e) => {
+    const lower = e.toLowerCase();
+    return !ignore.has(lower) && !/@([a-z0-9-]+\.)*(paypal|stripe)\.[a-z.]+$/.test(lower);
+  });
+
+  // PayPal: "You received a payment of $299.00 AUD from Jane Citizen (jane@example.com)"
+  const name = text.match(/payment of [^\n]*? from ([^\n(]+?)\s*(?:\(|\n|$)/i);
+
+  return {
+    buyer_email: emails[0] || null,
+    buyer_name: name ? name[1].trim() : null,
+  };
+}
+
+// Returns a payload_json object or null when the mail is not a payment we can use
+function parsePaymentEmail(mail) {
+  const provider = providerFor(mail);
+  if (!provider || !looksLikePaymentReceived(mail.subject)) return null;
+
+  const text = `${mail.subject || ''}\n${mail.text || ''}`;
+  const money = parseAmount(text);
+  if (!money || !Number.isFinite(money.amount) || money.amount <= 0) return null;
+
+  const ignore = new Set(
+    [...(mail.to?.value || []), ...(mail.from?.value || [])].map((a) => (a.address || '').toLowerCase())
+  );
+
+  return {
+    source: 'email',
+    provider,
+    message_id: mail.messageId || null,
+    subject: mail.subject || null,
+    received_at: (mail.date || new Date()).toISOString(),
+    transaction_id: parseTransactionId(provider, text),
+    amount: money.amount,
+    currency: money.currency,
+    payment_method: provider,
+    ...parseBuyer(mail.text || '', ignore),
+  };
+}
+
+/* ===============================
+   DB
+   =============================== */
+
+async function ensureEmailLogTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS email_ingest_log (
+      message_id text PRIMARY KEY,
+      mailbox text NOT NULL,
+      received_at timestamptz,
+      status text NOT NULL,
+      provider text,
+      provider_event_id text,
+      note text,
+      processed_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function alreadyProcessed(messageId) {
+  const res = await pool.query(`SELECT 1 FROM email_ingest_log WHERE message_id = $1`, [messageId]);
+  return res.rowCount > 0;
+}
+
+async function logMessage(messageId, receivedAt, status, extra = {}) {
+  await pool.query(
+    `
+    INSERT INTO email_ingest_log (message_id, mailbox, received_at, status, provider, provider_event_id, note)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (message_id) DO NOTHING
+    `,
+    [messageId, MAILBOX, receivedAt, status, extra.provider || null, extra.providerEventId || null, extra.note || null]
+  );
+}
+
+// Emails without an id get a stable synthetic one so re-reads don't duplicate
+function emailEventId(payload) {
+  if (payload.transaction_id) return payload.transaction_id;
+  const h = crypto.createHash('sha256').update(payload.message_id || payload.subject + payload.received_at);
+  return `email:${h.digest('hex').slice(0, 32)}`;
+}
+
+async function insertEmailTransaction(accountId, payload) {
+  const eventType = EMAIL_EVENT_TYPE[payload.provider];
+  const id = emailEventId(payload);
+
+  const res = await pool.query(
+    `
+    INSERT INTO transactions (
+      account_id,
+      provider,
+      provider_event_id,
+      event_type,
+      payload_json,
+      occurred_at,
+      verified,
+      kind,
+      ${NORMALISED_COLUMNS.join(', ')}
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,false,$7,${normalisedPlaceholders(8)})
+    ON CONFLICT (provider, provider_event_id) DO NOTHING
+    RETURNING 1;
+    `,
+    [
+      accountId,
+      payload.provider,
+      id,
+      eventType,
+      payload,
+      payload.received_at,
+      kindFor(payload.provider, eventType),
+      ...normalisedParams(payload.provider, eventType, payload),
+    ]
+  );
+  return { id, inserted: res.rowCount || 0 };
+}
+
+// Drop email rows a verified source has caught up with: Stripe payment_intent
+// ids quoted in the email, or same amount/currency within the time window.
+// The fallback pairs rows one to one, nearest in time first: two buyers paying
+// the same amount minutes apart keep one email row until the second verified
+// payment shows up.
+async function dedupeAgainstVerified() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // candidate pairs, leaving out verified rows an email already quotes
+    const { rows: candidates } = await client.query(`
+      SELECT
+        e.provider,
+        e.provider_event_id AS email_id,
+        v.provider_event_id AS verified_id,
+        abs(extract(epoch FROM (v.occurred_at - e.occurred_at))) AS delta
+      FROM transactions e
+      JOIN transactions v
+        ON v.account_id = e.account_id
+       AND v.provider = e.provider
+       AND v.verified IS DISTINCT FROM false
+       AND COALESCE(v.kind, 'payment') = 'payment'
+       AND v.currency = e.currency
+       AND v.amount_gross = e.amount_gross
+       AND abs(extract(epoch FROM (v.occurred_at - e.occurred_at))) <= ${DEDUPE_WINDOW_MINUTES * 60}
+      WHERE e.verified = false
+        AND e.payload_json->>'source' = 'email'
+        AND e.provider_event_id LIKE 'email:%'
+        AND NOT EXISTS (
+          SELECT 1 FROM transactions q
+          WHERE q.verified = false
+            AND q.provider = v.provider
+            AND q.provider_event_id = v.payload_json->>'payment_intent'
+        )
+      ORDER BY delta, e.provider_event_id, v.provider_event_id
+    `);
+
+    const usedEmail = new Set();
+    const usedVerified = new Set();
+    const pairs = [];
+    for (const c of candidates) {
+      const e = `${c.provider}|${c.email_id}`;
+      const v = `${c.provider}|${c.verified_id}`;
+      if (usedEmail.has(e) || usedVerified.has(v)) continue;
+      usedEmail.add(e);
+      usedVerified.add(v);
+      pairs.push(c);
+    }
+
+    const { rowCount: byId } = await client.query(`
+      DELETE FROM transactions e
+      USING transactions v
+      WHERE e.verified = false
+        AND e.payload_json->>'source' = 'email'
+        AND v.verified IS DISTINCT FROM false
+        AND COALESCE(v.kind, 'payment') = 'payment'
+        AND v.account_id = e.account_id
+        AND v.provider = e.provider
+        AND v.payload_json->>'payment_intent' = e.provider_event_id
+    `);
+    const { rowCount: byAmount } = await client.query(
+      `
+      DELETE FROM transactions
+      WHERE verified = false
+        AND (provider, provider_event_id) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      `,
+      [pairs.map((p) => p.provider), pairs.map((p) => p.email_id)]
+    );
+
+    await client.query('COMMIT');
+    return (byId || 0) + (byAmount || 0);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function accountForMail(mail, fallback, accountMap) {
+  for (const a of mail.to?.value || []) {
+    const hit = accountMap[(a.address || '').toLowerCase()];
+    if (hit != null) return String(hit);
+  }
+  return fallback;
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      account: { type: 'string' },
+      'since-days': { type: 'string', default: '7' },
+      'dry-run': { type: 'boolean', default: false },
+      'check-amounts': { type: 'boolean', default: false },
+    },
+  });
+
+  if (values['check-amounts']) {
+    if (checkAmounts()) process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.IMAP_HOST || !process.env.IMAP_USER) throw new Error('IMAP_HOST / IMAP_USER missing');
+
+  const accountMap = Object.fromEntries(
+    Object.entries(JSON.parse(process.env.IMAP_ACCOUNT_MAP || '{}')).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  if (!values.account && !Object.keys(accountMap).length) {
+    throw new Error('Pass --account <id> or set IMAP_ACCOUNT_MAP');
+  }
+
+  await ensureTransactionColumns(pool);
+  await ensureEmailLogTable();
+
+  console.log(`📬 Reading ${process.env.IMAP_USER}/${MAILBOX} (last ${values['since-days']} days)`);
+
+  const connection = await imaps.connect({
+    imap: {
+      user: process.env.IMAP_USER,
+      password: process.env.IMAP_PASSWORD,
+      host: process.env.IMAP_HOST,
+      port: Number(process.env.IMAP_PORT || 993),
+      tls: process.env.IMAP_TLS !== 'false',
+      authTimeout: 10000,
+    },
+  });
+
+  const counts = { ingested: 0, duplicate: 0, skipped: 0, unmapped: 0, seen: 0 };
+
+  try {
+    await connection.openBox(MAILBOX);
+
+    const since = new Date(Date.now() - Number(values['since-days']) * 24 * 60 * 60 * 1000);
+    const messages = await connection.search([['SINCE', since]], { bodies: [''], markSeen: false });
+    console.log(`   ${messages.length} message(s) in range`);
+
+    for (const msg of messages) {
+      const raw = msg.parts.find((p) => p.which === '')?.body;
+      if (!raw) continue;
+
+      const mail = await simpleParser(raw);
+      const messageId = mail.messageId || `uid:${MAILBOX}:${msg.attributes.uid}`;
+
+      if (await alreadyProcessed(messageId)) {
+        counts.seen += 1;
+        continue;
+      }
+
+      const payload = parsePaymentEmail(mail);
+      if (!payload) {
+        counts.skipped += 1;
+        if (!values['dry-run']) await logMessage(messageId, mail.date, 'skipped', { note: mail.subject });
+        continue;
+      }
+      payload.message_id = messageId;
+
+      const accountId = accountForMail(mail, values.account || null, accountMap);
+      if (!accountId) {
+        counts.unmapped += 1;
+        console.log(`   ⚠️ no account for "${mail.subject}" (to ${mail.to?.text || '?'})`);
+        continue;
+      }
+
+      if (values['dry-run']) {
+        console.log(`   🧪 ${payload.provider} ${payload.amount} ${payload.currency} ${payload.transaction_id || '(no id)'} → account ${accountId}`);
+        continue;
+      }
+
+      const { id, inserted } = await insertEmailTransaction(accountId, payload);
+      counts[inserted ? 'ingested' : 'duplicate'] += 1;
+      await logMessage(messageId, mail.date, inserted ? 'ingested' : 'duplicate', {
+        provider: payload.provider,
+        providerEventId: id,
+      });
+
+      if (inserted) {
+        console.log(`   ✉️  ${payload.provider} ${payload.amount} ${payload.currency} ${id} → account ${accountId}`);
+      }
+    }
+  } finally {
+    connection.end();
+  }
+
+  const removed = values['dry-run'] ? 0 : await dedupeAgainstVerified();
+  if (!values['dry-run']) await recordPollerSuccess(pool, 'email', { ...counts, superseded: removed });
+
+  console.log(
+    `🏁 ingested ${counts.ingested} | already in transactions ${counts.duplicate} | not payments ${counts.skipped}` +
+      ` | unmapped ${counts.unmapped} | seen before ${counts.seen} | superseded by polled rows ${removed}`
+  );
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Email ingest failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
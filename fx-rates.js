@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// fx-rates.js — manage the FX rate table and account reporting currencies
+//
+//   node fx-rates.js load rates.csv                 CSV columns: date,base,quote,rate
+//   node fx-rates.js set 2026-01-02 USD AUD 1.6021  one manual rate
+//   node fx-rates.js list [--base USD] [--quote AUD] [--limit 50]
+//   node fx-rates.js currency <account_id> USD     set an account's reporting currency
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { parseCsvObjects } = require('./csv');
+const { ensureFxSchema, normaliseCurrency, upsertRate } = require('./fx');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function loadCsv(file) {
+  const rows = parseCsvObjects(fs.readFileSync(file, 'utf8'));
+  if (!rows.length) throw new Error(`${file}: no rows`);
+
+  const client = await pool.connect();
+  let loaded = 0;
+
+  try {
+    await client.query('BEGIN');
+    for (const [i, r] of rows.entries()) {
+      try {
+        await upsertRate(client, {
+          date: r.date,
+          base: r.base,
+          quote: r.quote,
+          rate: r.rate,
+          source: r.source || `csv:${file}`,
+        });
+      } catch (err) {
+        throw new Error(`${file} line ${i + 2}: ${err.message}`);
+      }
+      loaded += 1;
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ ${loaded} rates loaded from ${file}`);
+}
+
+async function listRates(opts) {
+  const { rows } = await pool.query(
+    `
+    SELECT rate_date, base, quote, rate, source
+    FROM fx_rates
+    WHERE ($1::text IS NULL OR base = $1)
+      AND ($2::text IS NULL OR quote = $2)
+    ORDER BY rate_date DESC, base, quote
+    LIMIT $3
+    `,
+    [
+      opts.base ? normaliseCurrency(opts.base) : null,
+      opts.quote ? normaliseCurrency(opts.quote) : null,
+      Number(opts.limit || 50),
+    ]
+  );
+
+  if (!rows.length) {
+    console.log('no rates');
+    return;
+  }
+
+  for (const r of rows) {
+    const d = r.rate_date instanceof Date ? r.rate_date.toISOString().slice(0, 10) : r.rate_date;
+    console.log(`${d} | ${r.base}/${r.quote} | ${String(r.rate).padStart(14)} | ${r.source || ''}`);
+  }
+}
+
+async function setAccountCurrency(accountId, code) {
+  const res = await pool.query(
+    `UPDATE accounts SET reporting_currency = $2 WHERE id::text = $1::text`,
+    [String(accountId), normaliseCurrency(code)]
+  );
+  if (!res.rowCount) throw new Error(`No account ${accountId}`);
+  console.log(`✅ account ${accountId} now reports in ${normaliseCurrency(code)}`);
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      base: { type: 'string' },
+      quote: { type: 'string' },
+      limit: { type: 'string' },
+    },
+  });
+
+  const [cmd, ...args] = positionals;
+
+  await ensureFxSchema(pool);
+
+  switch (cmd) {
+    case 'load':
+      if (!args[0]) throw new Error('usage: fx-rates.js load <file.csv>');
+      return loadCsv(args[0]);
+    case 'set':
+      if (args.length !== 4) throw new Error('usage: fx-rates.js set <YYYY-MM-DD> <BASE> <QUOTE> <rate>');
+      await upsertRate(pool, { date: args[0], base: args[1], quote: args[2], rate: args[3] });
+      console.log(`✅ ${args[0]} 1 ${args[1].toUpperCase()} = ${args[3]} ${args[2].toUpperCase()}`);
+      return;
+    case 'list':
+      return listRates(values);
+    case 'currency':
+      if (args.length !== 2) throw new Error('usage: fx-rates.js currency <account_id> <CUR>');
+      return setAccountCurrency(args[0], args[1]);
+    default:
+      throw new Error('usage: fx-rates.js load|set|list|currency ...');
+  }
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,90 @@
+// fx.js — FX rate table + per-account reporting currency
+//
+// Rates are stored as "1 base = rate quote" per day. fx_convert() uses the
+// latest rate on or before the given date, in either direction, so a single
+// AUD/USD row also covers USD -> AUD.
+
+const DEFAULT_REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'AUD').toUpperCase();
+
+async function ensureFxSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      rate_date date NOT NULL,
+      base char(3) NOT NULL,
+      quote char(3) NOT NULL,
+      rate numeric(18,8) NOT NULL CHECK (rate > 0),
+      source text,
+      updated_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (base, quote, rate_date)
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS reporting_currency char(3) NOT NULL DEFAULT '${DEFAULT_REPORTING_CURRENCY}'
+  `);
+
+  await db.query(`
+    CREATE OR REPLACE FUNCTION fx_convert(amount numeric, from_ccy text, to_ccy text, on_date date)
+    RETURNS numeric
+    LANGUAGE sql STABLE AS $$
+      SELECT CASE
+        WHEN amount IS NULL OR from_ccy IS NULL OR to_ccy IS NULL THEN NULL
+        WHEN upper(from_ccy) = upper(to_ccy) THEN amount
+        ELSE round(amount * (
+          SELECT x.r FROM (
+            SELECT rate AS r, rate_date FROM fx_rates
+             WHERE base = upper(from_ccy) AND quote = upper(to_ccy) AND rate_date <= on_date
+            UNION ALL
+            SELECT 1 / rate, rate_date FROM fx_rates
+             WHERE base = upper(to_ccy) AND quote = upper(from_ccy) AND rate_date <= on_date
+          ) x
+          ORDER BY x.rate_date DESC
+          LIMIT 1
+        ), 2)
+      END
+    $$
+  `);
+}
+
+function normaliseCurrency(code) {
+  const c = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(c)) throw new Error(`Invalid currency code: ${JSON.stringify(code)}`);
+  return c;
+}
+
+async function upsertRate(db, { date, base, quote, rate, source = 'manual' }) {
+  const b = normaliseCurrency(base);
+  const q = normaliseCurrency(quote);
+  const r = Number(rate);
+
+  if (b === q) throw new Error(`Rate for ${b}/${q} makes no sense`);
+  if (!Number.isFinite(r) || r <= 0) throw new Error(`Invalid rate for ${b}/${q} on ${date}: ${rate}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) throw new Error(`Invalid date (want YYYY-MM-DD): ${date}`);
+
+  await db.query(
+    `
+    INSERT INTO fx_rates (rate_date, base, quote, rate, source, updated_at)
+    VALUES ($1, $2, $3, $4, $5, now())
+    ON CONFLICT (base, quote, rate_date) DO UPDATE SET
+      rate = EXCLUDED.rate,
+      source = EXCLUDED.source,
+      updated_at = now()
+    `,
+    [date, b, q, r, source]
+  );
+}
+
+// SQL for a transaction amount in its account's reporting currency.
+// `t` / `a` are the transactions / accounts aliases of the calling query.
+function convertedAmountSql(amountExpr = 't.amount_gross', t = 't', a = 'a') {
+  return `fx_convert(${amountExpr}, ${t}.currency, ${a}.reporting_currency, (${t}.occurred_at AT TIME ZONE 'UTC')::date)`;
+}
+
+module.exports = {
+  DEFAULT_REPORTING_CURRENCY,
+  ensureFxSchema,
+  normaliseCurrency,
+  upsertRate,
+  convertedAmountSql,
+};
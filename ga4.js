@@ -0,0 +1,86 @@
+// ga4.js — shared GA4 Data API queries
+
+const { BetaAnalyticsDataClient } = require("@google-analytics/data");
+
+let client = null;
+
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (ga4.json)
+function ga4Client() {
+  if (!client) client = new BetaAnalyticsDataClient();
+  return client;
+}
+
+// Sessions in the last `minutes` (max 60 on standard properties), by sessionSourceMedium
+async function realtimeSessionsBySource(propertyId, minutes = 60) {
+  const [response] = await ga4Client().runRealtimeReport({
+    property: `properties/${propertyId}`,
+    metrics: [{ name: "sessions" }],
+    dimensions: [{ name: "sessionSourceMedium" }],
+    minuteRanges: [
+      {
+        startMinutesAgo: minutes,
+        endMinutesAgo: 0
+      }
+    ]
+  });
+
+  let totalSessions = 0;
+  const bySource = {};
+
+  for (const row of response.rows || []) {
+    const source = row.dimensionValues[0].value || "unknown";
+    const sessions = parseInt(row.metricValues[0].value || "0", 10);
+
+    totalSessions += sessions;
+    bySource[source] = (bySource[source] || 0) + sessions;
+  }
+
+  return { totalSessions, bySource };
+}
+
+const DAILY_PAGE_SIZE = 100000; // runReport maximum
+
+// Daily sessions / users / purchases by source-medium, landing page and device,
+// for startDate..endDate inclusive (YYYY-MM-DD, in the property's timezone)
+async function dailyTraffic(propertyId, startDate, endDate) {
+  const out = [];
+  let offset = 0;
+
+  while (true) {
+    const [response] = await ga4Client().runReport({
+      property: `properties/${propertyId}`,
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [
+        { name: "date" },
+        { name: "sessionSourceMedium" },
+        { name: "landingPage" },
+        { name: "deviceCategory" }
+      ],
+      metrics: [{ name: "sessions" }, { name: "totalUsers" }, { name: "ecommercePurchases" }],
+      limit: DAILY_PAGE_SIZE,
+      offset
+    });
+
+    for (const row of response.rows || []) {
+      const [date, sourceMedium, landingPage, device] = row.dimensionValues.map((d) => d.value);
+      const [sessions, users, purchases] = row.metricValues.map((m) => parseInt(m.value || "0", 10));
+
+      out.push({
+        day: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`,
+        sourceMedium: sourceMedium || "(not set)",
+        landingPage: landingPage || "(not set)",
+        device: device || "(not set)",
+        sessions,
+        users,
+        purchases
+      });
+    }
+
+    offset += (response.rows || []).length;
+    if (!response.rows?.length || offset >= (response.rowCount || 0)) break;
+  }
+
+  return out;
+}
+
+module.exports = { ga4Client, realtimeSessionsBySource, dailyTraffic };
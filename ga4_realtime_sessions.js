@@ -1,6 +1,6 @@
 require("dotenv").config();
 
-const { BetaAnalyticsDataClient } = require("@google-analytics/data");
+const { realtimeSessionsBySource } = require("./ga4");
 
 const propertyId = process.env.GA4_PROPERTY_ID;
 
@@ -10,30 +10,7 @@ if (!propertyId) {
 }
 
 async function run() {
-  const client = new BetaAnalyticsDataClient();
-
-  const [response] = await client.runRealtimeReport({
-    property: `properties/${propertyId}`,
-    metrics: [{ name: "sessions" }],
-    dimensions: [{ name: "sessionSourceMedium" }],
-    minuteRanges: [
-      {
-        startMinutesAgo: 60,
-        endMinutesAgo: 0
-      }
-    ]
-  });
-
-  let totalSessions = 0;
-  const bySource = {};
-
-  for (const row of response.rows || []) {
-    const source = row.dimensionValues[0].value || "unknown";
-    const sessions = parseInt(row.metricValues[0].value || "0", 10);
-
-    totalSessions += sessions;
-    bySource[source] = (bySource[source] || 0) + sessions;
-  }
+  const { totalSessions, bySource } = await realtimeSessionsBySource(propertyId, 60);
 
   console.log(`\nRealtime sessions (last 60 min): ${totalSessions}\n`);
   console.log("By source:");
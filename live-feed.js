@@ -1,49 +1,140 @@
 // live-feed.js
-// Show transactions from the last 7 days
+// Show transactions, in the original currency and converted to each store's
+// reporting currency (see fx-rates.js)
+//
+//   node live-feed.js [--since 2026-01-01] [--until 2026-01-08]
+//                     [--provider stripe,paypal] [--store <label or account id>]
+//                     [--min-amount 50] [--format table|jsonl|csv] [--follow]
+//
+// Defaults to the last 7 days. --follow prints the matching history and then
+// streams new transactions as they are inserted (NOTIFY from the
+// transactions_notify trigger, see transactions.js) until Ctrl+C. It LISTENs
+// before reading the history, so nothing inserted in between is lost or
+// printed twice.
+// --min-amount compares the absolute amount in the transaction's own currency.
+// Pending, failed and reversed rows are listed with their status but left out
+// of the totals.
+// With jsonl/csv the per-store totals go to stderr so stdout stays parseable.
 
 require('dotenv').config();
+const { parseArgs } = require('util');
 const { Pool } = require('pg');
+const { ensureFxSchema, convertedAmountSql } = require('./fx');
+const { toCsv } = require('./csv');
+const { TRANSACTIONS_CHANNEL, ensureTransactionColumns } = require('./transactions');
+
+const FORMATS = ['table', 'jsonl', 'csv'];
+const CSV_COLUMNS = [
+  'occurred_at',
+  'provider',
+  'provider_event_id',
+  'store',
+  'kind',
+  'status',
+  'buyer',
+  'amount',
+  'currency',
+  'converted',
+  'reporting_currency',
+];
+// notifications arriving within this window are fetched in one query
+const FOLLOW_BATCH_MS = 250;
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-async function fetchRows() {
-  const sql = `
+// filters -> { where, params } shared by the history query and --follow lookups
+function buildFilters(opts, params = []) {
+  const where = [];
+
+  if (opts.since) {
+    params.push(opts.since);
+    where.push(`t.occurred_at >= $${params.length}`);
+  }
+  if (opts.until) {
+    params.push(opts.until);
+    where.push(`t.occurred_at < $${params.length}`);
+  }
+  if (opts.providers) {
+    params.push(opts.providers);
+    where.push(`t.provider = ANY($${params.length})`);
+  }
+  if (opts.store) {
+    params.push(opts.store);
+    where.push(`(a.label ILIKE $${params.length} OR a.id::text = $${params.length})`);
+  }
+  if (opts.minAmount != null) {
+    params.push(opts.minAmount);
+    where.push(`ABS(t.amount_gross) >= $${params.length}`);
+  }
+
+  return { where, params };
+}
+
+function selectSql(where, order) {
+  return `
     SELECT
       t.occurred_at,
       t.provider,
+      t.provider_event_id,
       a.label AS store,
-      COALESCE(
-        t.payload_json->>'customer_name',
-        t.payload_json->>'billing_name',
-        t.payload_json->>'name'
-      ) AS buyer,
-      CASE
-        WHEN t.provider = 'stripe'
-          THEN (t.payload_json->>'amount')::numeric / 100
-        ELSE
-          (t.payload_json->>'amount')::numeric
-      END AS amount
+      t.buyer_name AS buyer,
+      COALESCE(t.kind, 'payment') AS kind,
+      COALESCE(t.status, 'completed') AS status,
+      t.amount_gross AS amount,
+      t.currency,
+      a.reporting_currency,
+      ${convertedAmountSql()} AS converted
     FROM transactions t
     JOIN accounts a ON a.id = t.account_id
-    WHERE t.occurred_at >= now() - interval '7 days'
-    ORDER BY t.occurred_at DESC;
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY t.occurred_at ${order};
   `;
+}
 
-  const { rows } = await pool.query(sql);
+async function fetchRows(opts) {
+  const { where, params } = buildFilters(opts);
+  // oldest first when following, so the stream reads top to bottom
+  const { rows } = await pool.query(selectSql(where, opts.follow ? 'ASC' : 'DESC'), params);
   return rows;
 }
 
-function header() {
+async function fetchByKeys(keys, opts) {
+  const params = [keys.map((k) => k.provider), keys.map((k) => k.provider_event_id)];
+  const { where } = buildFilters({ ...opts, since: null }, params);
+  where.unshift(`(t.provider, t.provider_event_id) IN (SELECT * FROM unnest($1::text[], $2::text[]))`);
+
+  const { rows } = await pool.query(selectSql(where, 'ASC'), params);
+  return rows;
+}
+
+// amount_gross is already signed: refunds/chargebacks are negative.
+// null when there is no FX rate for the row's date yet.
+function convertedAmount(r) {
+  return r.converted == null ? null : Number(r.converted);
+}
+
+function money(n, currency) {
+  if (n == null) return `? ${currency || ''}`.trim();
+  return `${n < 0 ? '-' : ''}${Math.abs(n).toFixed(2)} ${currency || '???'}`;
+}
+
+function describeRange(opts) {
+  if (opts.follow) return `since ${opts.since.toISOString()}, following`;
+  if (opts.sinceArg || opts.until) return `${opts.since.toISOString()} → ${(opts.until || new Date()).toISOString()}`;
+  return 'last 7 days';
+}
+
+function header(opts) {
   console.log('');
-  console.log('transactions (last 7 days)');
-  console.log('--------------------------------------------------------------------------------');
+  console.log(`transactions (${describeRange(opts)})`);
+  console.log('--------------------------------------------------------------------------------------------------------');
   console.log(
-    'timestamp               | provider | buyer               | store                     | amount'
+    'timestamp               | provider | type                | buyer               | store                     |         amount |      reporting'
   );
   console.log(
-    '--------------------------------------------------------------------------------'
+    '--------------------------------------------------------------------------------------------------------'
   );
 }
 
@@ -53,31 +144,302 @@ function formatRow(r) {
     .padEnd(23);
 
   const provider = r.provider.toUpperCase().padEnd(8);
+  // status only when it isn't money that moved (pending, failed, reversed)
+  const kind = (r.status === 'completed' ? r.kind : `${r.kind} ${r.status}`).padEnd(19);
   const buyer = (r.buyer || '-').padEnd(19);
   const store = r.store.padEnd(25);
-  const amount = `$${Number(r.amount).toFixed(2)}`.padStart(8);
+  const amount = money(r.amount == null ? null : Number(r.amount), r.currency).padStart(14);
+  const reporting = money(convertedAmount(r), r.reporting_currency).padStart(14);
+
+  return `${ts} | ${provider} | ${kind} | ${buyer} | ${store} | ${amount} | ${reporting}`;
+}
+
+function jsonRow(r) {
+  return JSON.stringify({
+    occurred_at: new Date(r.occurred_at).toISOString(),
+    provider: r.provider,
+    provider_event_id: r.provider_event_id,
+    store: r.store,
+    kind: r.kind,
+    status: r.status,
+    buyer: r.buyer,
+    amount: r.amount == null ? null : Number(r.amount),
+    currency: r.currency,
+    converted: convertedAmount(r),
+    reporting_currency: r.reporting_currency,
+  });
+}
+
+function csvRow(r) {
+  return toCsv([
+    [
+      new Date(r.occurred_at).toISOString(),
+      r.provider,
+      r.provider_event_id,
+      r.store,
+      r.kind,
+      r.status,
+      r.buyer || '',
+      r.amount == null ? '' : Number(r.amount).toFixed(2),
+      r.currency || '',
+      r.converted == null ? '' : Number(r.converted).toFixed(2),
+      r.reporting_currency || '',
+    ],
+  ]);
+}
+
+function printRow(r, format) {
+  if (format === 'jsonl') console.log(jsonRow(r));
+  else if (format === 'csv') process.stdout.write(csvRow(r));
+  else console.log(formatRow(r));
+}
+
+// running per-store totals, fed row by row so --follow can keep adding.
+// Only completed rows count: a pending or failed charge, a Stripe inquiry or a
+// won dispute (reversed) moved no money.
+function createTotals() {
+  const byStore = new Map();
+
+  return {
+    byStore,
+    add(r) {
+      const s = byStore.get(r.store) || {
+        currency: r.reporting_currency,
+        gross: 0,
+        refunded: 0,
+        unconverted: 0,
+        notCompleted: 0,
+      };
+      const n = convertedAmount(r);
+      if (r.status !== 'completed') s.notCompleted += 1;
+      else if (n === null) s.unconverted += 1;
+      else if (n >= 0) s.gross += n;
+      else s.refunded += -n;
+      byStore.set(r.store, s);
+      return s;
+    },
+  };
+}
+
+function footer(totals, log = console.log) {
+  const col = (n, c) => money(n, c).padStart(16);
+  const byCurrency = new Map(); // reporting currency -> { gross, refunded }
+  let unconverted = 0;
+  let notCompleted = 0;
+
+  log('--------------------------------------------------------------------------------------------------------');
+  log(`${'store'.padEnd(25)} | ${'gross'.padStart(16)} | ${'refunded'.padStart(16)} | ${'net'.padStart(16)}`);
+
+  for (const [store, s] of totals.byStore) {
+    const t = byCurrency.get(s.currency) || { gross: 0, refunded: 0 };
+    t.gross += s.gross;
+    t.refunded += s.refunded;
+    byCurrency.set(s.currency, t);
+    unconverted += s.unconverted;
+    notCompleted += s.notCompleted;
 
-  return `${ts} | ${provider} | ${buyer} | ${store} | ${amount}`;
+    log(
+      `${store.padEnd(25)} | ${col(s.gross, s.currency)} | ${col(s.refunded, s.currency)} | ${col(s.gross - s.refunded, s.currency)}`
+    );
+  }
+
+  // stores reporting in different currencies are never added together
+  for (const [currency, t] of byCurrency) {
+    log(
+      `${'TOTAL'.padEnd(25)} | ${col(t.gross, currency)} | ${col(t.refunded, currency)} | ${col(t.gross - t.refunded, currency)}`
+    );
+  }
+
+  if (unconverted) {
+    log(`⚠️ ${unconverted} row(s) have no FX rate for their date and are left out of the totals`);
+  }
+  if (notCompleted) {
+    log(`ℹ️ ${notCompleted} pending, failed or reversed row(s) are listed but left out of the totals`);
+  }
+}
+
+/* ===============================
+   Follow
+   =============================== */
+
+// row key, as in the NOTIFY payload
+function rowKey(r) {
+  return `${r.provider}:${r.provider_event_id}`;
+}
+
+// LISTENs before the history query runs, so a row inserted in between is not
+// missed; notifications queue up until start() and rows already printed from
+// the history (seen) are skipped.
+async function listen(opts) {
+  const client = await pool.connect();
+  let pending = [];
+  let timer = null;
+  let stream = null;
+  let stopping = false;
+  let failure = null;
+  let done = null;
+
+  const flush = async () => {
+    timer = null;
+    const keys = pending.filter((k) => !stream.seen.has(rowKey(k)));
+    pending = [];
+    if (!keys.length) return;
+
+    try {
+      for (const r of await fetchByKeys(keys, opts)) {
+        if (stream.seen.has(rowKey(r))) continue;
+        stream.seen.add(rowKey(r));
+        printRow(r, opts.format);
+        const s = stream.totals.add(r);
+        if (opts.format === 'table') {
+          console.log(`    ↳ ${r.store}: net ${money(s.gross - s.refunded, s.currency)}`);
+        }
+      }
+    } catch (err) {
+      console.error(`⚠️ could not load new transactions: ${err.message}`);
+    }
+  };
+
+  const schedule = () => {
+    if (stream && pending.length && !timer) timer = setTimeout(flush, FOLLOW_BATCH_MS);
+  };
+
+  const stop = async (err) => {
+    if (stopping) return;
+    stopping = true;
+    failure = err || null;
+    if (timer) clearTimeout(timer);
+    client.removeAllListeners('notification');
+    await client.query(`UNLISTEN ${TRANSACTIONS_CHANNEL}`).catch(() => {});
+    client.release(err);
+    if (done) {
+      if (err) done.reject(err);
+      else done.resolve();
+    }
+  };
+
+  client.on('notification', (msg) => {
+    try {
+      pending.push(JSON.parse(msg.payload));
+    } catch (e) {
+      return;
+    }
+    schedule();
+  });
+  client.on('error', (err) => stop(err));
+
+  try {
+    await client.query(`LISTEN ${TRANSACTIONS_CHANNEL}`);
+  } catch (err) {
+    await stop(err);
+    throw err;
+  }
+
+  // streams until Ctrl+C
+  const start = (totals, seen) =>
+    new Promise((resolve, reject) => {
+      done = { resolve, reject };
+      if (stopping) return failure ? reject(failure) : resolve();
+      stream = { totals, seen };
+      process.once('SIGINT', () => stop());
+      process.once('SIGTERM', () => stop());
+      (opts.format === 'table' ? console.log : console.error)('👀 following new transactions — Ctrl+C to stop');
+      schedule();
+    });
+
+  return { start, stop };
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      provider: { type: 'string' },
+      store: { type: 'string' },
+      'min-amount': { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      follow: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  if (values.follow && values.until) throw new Error('--until cannot be combined with --follow');
+
+  const until = values.until ? parseDateArg('until', values.until) : null;
+  const since = values.since
+    ? parseDateArg('since', values.since)
+    : new Date((until || new Date()).getTime() - 7 * 24 * 60 * 60 * 1000);
+  if (until && since >= until) throw new Error('--since must be before --until');
+
+  let minAmount = null;
+  if (values['min-amount'] != null) {
+    minAmount = Number(values['min-amount']);
+    if (!Number.isFinite(minAmount) || minAmount < 0) throw new Error('--min-amount must be a non-negative number');
+  }
+
+  return {
+    since,
+    sinceArg: values.since || null,
+    until,
+    providers: values.provider
+      ? values.provider.split(',').map((p) => p.trim().toLowerCase()).filter(Boolean)
+      : null,
+    store: values.store || null,
+    minAmount,
+    format: values.format,
+    follow: values.follow,
+  };
 }
 
 async function run() {
-  header();
+  const opts = parseOptions();
+
+  await ensureFxSchema(pool);
+  if (opts.follow) await ensureTransactionColumns(pool); // installs the NOTIFY trigger
 
-  const rows = await fetchRows();
+  const feed = opts.follow ? await listen(opts) : null;
+  const totals = createTotals();
+  const seen = new Set();
 
-  if (!rows.length) {
-    console.log('no rows');
-    return;
+  let rows;
+  try {
+    rows = await fetchRows(opts);
+  } catch (err) {
+    if (feed) await feed.stop();
+    throw err;
   }
 
+  if (opts.format === 'table') header(opts);
+  if (opts.format === 'csv') process.stdout.write(toCsv([], CSV_COLUMNS));
+
+  if (!rows.length && opts.format === 'table') console.log('no rows');
+
   for (const r of rows) {
-    console.log(formatRow(r));
+    printRow(r, opts.format);
+    totals.add(r);
+    if (feed) seen.add(rowKey(r));
   }
+
+  if (feed) await feed.start(totals, seen);
+
+  if (!totals.byStore.size) return;
+  footer(totals, opts.format === 'table' ? console.log : console.error);
 }
 
 run()
   .catch(err => {
     console.error(err.message);
-    process.exit(1);
+    process.exitCode = 1;
   })
   .finally(() => pool.end());
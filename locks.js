@@ -0,0 +1,31 @@
+// locks.js — Postgres advisory locks, so two workers never poll the same
+// account at once (scheduler.js, cron-run pollers, manual backfills)
+
+// Runs fn() while holding a session advisory lock on (namespace, key).
+// Resolves to { locked: false } without running fn when another session
+// holds it. The lock lives on a dedicated connection and dies with it, so a
+// crashed worker can't leave an account locked.
+async function withAdvisoryLock(pool, namespace, key, fn) {
+  const client = await pool.connect();
+  const args = [namespace, String(key)];
+  let held = false;
+  let releaseErr;
+
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1), hashtext($2)) AS ok', args);
+    held = rows[0].ok === true;
+    if (!held) return { locked: false };
+
+    return { locked: true, result: await fn() };
+  } finally {
+    if (held) {
+      // if the unlock fails, drop the connection instead — that releases it too
+      await client.query('SELECT pg_advisory_unlock(hashtext($1), hashtext($2))', args).catch((err) => {
+        releaseErr = err;
+      });
+    }
+    client.release(releaseErr);
+  }
+}
+
+module.exports = { withAdvisoryLock };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// migrate-ad-conversion-ids.js — one-off rewrite of order conversion ids in
+// ad_conversion_exports from 'order:<order_id>' (which two stores can share)
+// to 'order:<account_id>:<order_id>', the id conversions.js now gives them,
+// so ad-conversions.js keeps skipping what it already sent.
+//
+//   node migrate-ad-conversion-ids.js
+//
+// Safe to rerun. An old row whose new id was already exported again is dropped.
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function run() {
+  const { rows: found } = await pool.query(`SELECT to_regclass('public.ad_conversion_exports') AS t`);
+  if (!found[0].t) {
+    console.log('✅ Nothing to do — ad_conversion_exports does not exist yet');
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rowCount: dropped } = await client.query(`
+      DELETE FROM ad_conversion_exports e
+      WHERE e.conversion_id ~ '^order:[0-9]+$'
+        AND EXISTS (
+          SELECT 1 FROM ad_conversion_exports n
+          WHERE n.platform = e.platform
+            AND n.conversion_id = 'order:' || e.account_id || ':' || substr(e.conversion_id, 7)
+        )
+    `);
+    const { rowCount: updated } = await client.query(`
+      UPDATE ad_conversion_exports
+      SET conversion_id = 'order:' || account_id || ':' || substr(conversion_id, 7)
+      WHERE conversion_id ~ '^order:[0-9]+$'
+    `);
+
+    await client.query('COMMIT');
+    console.log(`✅ Done — ${updated} rows rewritten, ${dropped} duplicates dropped`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
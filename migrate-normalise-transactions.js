@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// migrate-normalise-transactions.js — one-off backfill of the normalised
+// transactions columns (amount_gross/fee/net, currency, status, buyer_*,
+// payment_method) from payload_json, using the same rules the pollers apply
+// at insert time. Every run first tags untyped Stripe charges / PayPal T0006
+// rows as payments and maps Stripe dispute statuses stored before
+// STRIPE_DISPUTE_STATUS (transactions.js) existed.
+//
+//   node migrate-normalise-transactions.js          rows not normalised yet
+//   node migrate-normalise-transactions.js --all    re-derive every row
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const {
+  NORMALISED_COLUMNS,
+  STRIPE_DISPUTE_STATUS,
+  kindFor,
+  normalisedParams,
+  ensureTransactionColumns,
+} = require('./transactions');
+
+const BATCH_SIZE = 500;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function run() {
+  const { values } = parseArgs({
+    options: { all: { type: 'boolean', default: false } },
+  });
+
+  await ensureTransactionColumns(pool);
+
+  const { rowCount: tagged } = await pool.query(`
+    UPDATE transactions
+    SET kind = 'payment'
+    WHERE kind IS NULL
+      AND ((provider = 'stripe' AND event_type = 'charge') OR (provider = 'paypal' AND event_type = 'T0006'))
+  `);
+  const { rowCount: disputes } = await pool.query(
+    `
+    UPDATE transactions
+    SET status = ($1::jsonb)->>status
+    WHERE provider = 'stripe' AND event_type = 'dispute' AND ($1::jsonb) ? status
+    `,
+    [JSON.stringify(STRIPE_DISPUTE_STATUS)]
+  );
+  console.log(`🏷️  ${tagged} rows tagged as payments, ${disputes} dispute statuses mapped`);
+
+  const onlyMissing = values.all ? '' : 'AND amount_gross IS NULL';
+  const setList = NORMALISED_COLUMNS.map((c, i) => `${c} = $${i + 4}`).join(', ');
+
+  let after = ['', ''];
+  let scanned = 0;
+  let updated = 0;
+
+  console.log(`🚀 Normalising transactions (${values.all ? 'all rows' : 'missing only'})`);
+
+  while (true) {
+    // keyset over the dedupe key so updated rows don't shift the window
+    const { rows } = await pool.query(
+      `
+      SELECT provider, provider_event_id, event_type, payload_json
+      FROM transactions
+      WHERE (provider, provider_event_id) > ($1, $2)
+        ${onlyMissing}
+      ORDER BY provider, provider_event_id
+      LIMIT ${BATCH_SIZE}
+      `,
+      after
+    );
+    if (!rows.length) break;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const r of rows) {
+        const res = await client.query(
+          `
+          UPDATE transactions
+          SET kind = COALESCE(kind, $3), ${setList}
+          WHERE provider = $1 AND provider_event_id = $2
+          `,
+          [
+            r.provider,
+            r.provider_event_id,
+            kindFor(r.provider, r.event_type),
+            ...normalisedParams(r.provider, r.event_type, r.payload_json),
+          ]
+        );
+        updated += res.rowCount || 0;
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    scanned += rows.length;
+    const last = rows[rows.length - 1];
+    after = [last.provider, last.provider_event_id];
+    console.log(`  ${scanned} rows processed`);
+  }
+
+  console.log(`✅ Done — ${updated} rows updated`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,85 @@
+// notify.js — outbound messages: email over SMTP and a generic JSON webhook
+//
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for implicit TLS, port 465),
+//   SMTP_USER / SMTP_PASS (optional), MAIL_FROM
+//
+// Any local SMTP catcher stands in for the real server (MailHog, smtp4dev:
+// SMTP_HOST=localhost SMTP_PORT=1025), and any local HTTP listener or
+// request bin for the webhook. NOTIFY_DRY_RUN=true prints instead of sending.
+
+const nodemailer = require('nodemailer');
+const { fetchWithTimeout } = require('./provider-http');
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS || 10000);
+
+let transport = null;
+
+function dryRun() {
+  return process.env.NOTIFY_DRY_RUN === 'true';
+}
+
+function smtpConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function mailTransport() {
+  if (!transport) {
+    const port = Number(process.env.SMTP_PORT || 587);
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+// to: comma-separated string or array; html is optional
+async function sendMail({ to, subject, text, html }) {
+  const recipients = Array.isArray(to) ? to : String(to || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (!recipients.length) throw new Error('sendMail: no recipients');
+
+  if (dryRun()) {
+    console.log(`📧 [dry run] to ${recipients.join(', ')}: ${subject}\n${text}`);
+    return;
+  }
+  if (!smtpConfigured()) throw new Error('SMTP_HOST is not set');
+
+  await mailTransport().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER || 'veyrapay@localhost',
+    to: recipients.join(', '),
+    subject,
+    text,
+    html,
+  });
+}
+
+// POSTs body as JSON; anything but a 2xx is an error
+async function postWebhook(url, body) {
+  if (dryRun()) {
+    console.log(`🪝 [dry run] POST ${url}\n${JSON.stringify(body, null, 2)}`);
+    return;
+  }
+
+  const resp = await fetchWithTimeout(
+    url,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+    WEBHOOK_TIMEOUT_MS
+  );
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`webhook ${url} answered ${resp.status} ${text}`.slice(0, 300));
+  }
+}
+
+function closeMail() {
+  if (transport) transport.close();
+  transport = null;
+}
+
+module.exports = { smtpConfigured, sendMail, postWebhook, closeMail };
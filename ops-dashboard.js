@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+// ops-dashboard.js — live operations view: revenue, sessions, conversion, poller health
+//
+//   node ops-dashboard.js                       terminal, redraws every --interval seconds (60)
+//   node ops-dashboard.js --once                print once and exit
+//   node ops-dashboard.js --serve [--port 8090] local HTML page on 127.0.0.1
+//
+// Revenue and orders come from `transactions` (converted to each store's
+// reporting currency), sessions from the GA4 realtime API — per store when
+// accounts.ga4_property_id is set, else GA4_PROPERTY_ID for the portfolio.
+// GA4 responses are cached in .ops-cache.json for OPS_GA4_CACHE_SECONDS (300)
+// to stay inside the realtime quota.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { ensureFxSchema, convertedAmountSql } = require('./fx');
+const { ensureTransactionColumns } = require('./transactions');
+const { ensurePollerStatusTable } = require('./poller-status');
+const { realtimeSessionsBySource } = require('./ga4');
+const { ensureGa4PropertyColumn } = require('./traffic');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const CACHE_FILE = path.join(__dirname, '.ops-cache.json');
+const GA4_CACHE_MS = Number(process.env.OPS_GA4_CACHE_SECONDS || 300) * 1000;
+// a poller that hasn't succeeded for this long is shown as stale
+const STALE_AFTER_MINUTES = Number(process.env.OPS_STALE_AFTER_MINUTES || 30);
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function ensureSchema() {
+  await ensureFxSchema(pool);
+  await ensureTransactionColumns(pool);
+  await ensurePollerStatusTable(pool);
+  await ensureGa4PropertyColumn(pool);
+}
+
+/* ===============================
+   Data
+   =============================== */
+
+async function loadRevenue() {
+  const { rows } = await pool.query(
+    `
+    WITH bounds AS (
+      SELECT
+        date_trunc('day', now() AT TIME ZONE $1) AT TIME ZONE $1 AS day_start,
+        now() - interval '1 hour' AS hour_start
+    )
+    SELECT
+      a.id AS account_id,
+      a.label AS store,
+      a.reporting_currency AS currency,
+      a.ga4_property_id,
+      COALESCE(SUM(${convertedAmountSql()}) FILTER (WHERE t.occurred_at >= b.day_start), 0) AS today_revenue,
+      COUNT(*) FILTER (WHERE t.occurred_at >= b.day_start AND COALESCE(t.kind, 'payment') = 'payment') AS today_orders,
+      COALESCE(SUM(${convertedAmountSql()}) FILTER (WHERE t.occurred_at >= b.hour_start), 0) AS hour_revenue,
+      COUNT(*) FILTER (WHERE t.occurred_at >= b.hour_start AND COALESCE(t.kind, 'payment') = 'payment') AS hour_orders,
+      MAX(t.occurred_at) AS last_txn_at
+    FROM accounts a
+    CROSS JOIN bounds b
+    LEFT JOIN transactions t
+      ON t.account_id = a.id
+     AND t.occurred_at >= LEAST(b.day_start, b.hour_start)
+     AND COALESCE(t.status, 'completed') = 'completed'
+    GROUP BY a.id, a.label, a.reporting_currency, a.ga4_property_id
+    ORDER BY today_revenue DESC, a.label
+    `,
+    [REPORT_TIMEZONE]
+  );
+  return rows;
+}
+
+async function loadPollerStatus() {
+  const { rows } = await pool.query(`
+    SELECT poller, last_success_at, last_failure_at, last_error, last_summary
+    FROM poller_status
+    ORDER BY poller
+  `);
+  return rows;
+}
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  try {
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache));
+  } catch (e) {
+    // cache is an optimisation only
+  }
+}
+
+// property id -> { totalSessions, bySource, fetchedAt, error? }
+async function loadSessions(propertyIds) {
+  const cache = readCache();
+  const out = {};
+
+  for (const id of propertyIds) {
+    const hit = cache[id];
+    if (hit && Date.now() - hit.fetchedAt < GA4_CACHE_MS) {
+      out[id] = hit;
+      continue;
+    }
+
+    try {
+      const data = await realtimeSessionsBySource(id, 60);
+      out[id] = cache[id] = { ...data, fetchedAt: Date.now() };
+    } catch (err) {
+      // keep showing the last good numbers, flagged
+      out[id] = hit
+        ? { ...hit, error: String(err.message || err) }
+        : { totalSessions: null, bySource: {}, fetchedAt: null, error: String(err.message || err) };
+    }
+  }
+
+  writeCache(cache);
+  return out;
+}
+
+function conversionRate(orders, sessions) {
+  if (!sessions) return null;
+  return (Number(orders) / sessions) * 100;
+}
+
+async function buildSnapshot() {
+  const stores = await loadRevenue();
+  const pollers = await loadPollerStatus();
+
+  const storeProps = [...new Set(stores.map((s) => s.ga4_property_id).filter(Boolean))];
+  const portfolioProp = !storeProps.length && process.env.GA4_PROPERTY_ID ? process.env.GA4_PROPERTY_ID : null;
+  const sessions = await loadSessions(portfolioProp ? [portfolioProp] : storeProps);
+
+  for (const s of stores) {
+    const ga = s.ga4_property_id ? sessions[s.ga4_property_id] : null;
+    s.sessions = ga ? ga.totalSessions : null;
+    s.conversion = conversionRate(s.hour_orders, s.sessions);
+  }
+
+  const bySource = {};
+  let totalSessions = null;
+  const gaErrors = [];
+  for (const [id, ga] of Object.entries(sessions)) {
+    if (ga.error) gaErrors.push(`property ${id}: ${ga.error}`);
+    if (ga.totalSessions == null) continue;
+    totalSessions = (totalSessions || 0) + ga.totalSessions;
+    for (const [src, n] of Object.entries(ga.bySource)) bySource[src] = (bySource[src] || 0) + n;
+  }
+
+  // stores reporting in different currencies are never added together
+  const totals = new Map();
+  for (const s of stores) {
+    const t = totals.get(s.currency) || { currency: s.currency, today_revenue: 0, today_orders: 0, hour_revenue: 0, hour_orders: 0 };
+    t.today_revenue += Number(s.today_revenue);
+    t.today_orders += Number(s.today_orders);
+    t.hour_revenue += Number(s.hour_revenue);
+    t.hour_orders += Number(s.hour_orders);
+    totals.set(s.currency, t);
+  }
+
+  const hourOrders = stores.reduce((n, s) => n + Number(s.hour_orders), 0);
+
+  return {
+    generatedAt: new Date(),
+    stores,
+    totals: [...totals.values()],
+    totalSessions,
+    totalConversion: conversionRate(hourOrders, totalSessions),
+    bySource: Object.entries(bySource).sort((a, b) => b[1] - a[1]),
+    gaErrors,
+    pollers: pollers.map((p) => ({
+      ...p,
+      stale:
+        !p.last_success_at ||
+        Date.now() - new Date(p.last_success_at).getTime() > STALE_AFTER_MINUTES * 60 * 1000,
+    })),
+  };
+}
+
+/* ===============================
+   Rendering
+   =============================== */
+
+function money(n, currency) {
+  return `${Number(n).toFixed(2)} ${currency || ''}`.trim();
+}
+
+function pct(n) {
+  return n == null ? '-' : `${n.toFixed(2)}%`;
+}
+
+function ago(ts) {
+  if (!ts) return 'never';
+  const mins = Math.round((Date.now() - new Date(ts).getTime()) / 60000);
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 48 * 60) return `${Math.round(mins / 60)}h ago`;
+  return `${Math.round(mins / 1440)}d ago`;
+}
+
+function localTime(ts) {
+  return new Date(ts).toLocaleString('en-AU', { timeZone: REPORT_TIMEZONE });
+}
+
+function renderText(snap) {
+  const lines = [];
+  const rule = '-'.repeat(118);
+
+  lines.push(`VeyraPay ops — ${localTime(snap.generatedAt)} (${REPORT_TIMEZONE})`);
+  lines.push(rule);
+  lines.push(
+    `${'store'.padEnd(25)} | ${'today'.padStart(16)} | ${'orders'.padStart(6)} | ${'last hour'.padStart(16)} | ` +
+      `${'orders'.padStart(6)} | ${'sessions'.padStart(8)} | ${'conv'.padStart(7)} | last txn`
+  );
+  lines.push(rule);
+
+  for (const s of snap.stores) {
+    lines.push(
+      `${s.store.padEnd(25)} | ${money(s.today_revenue, s.currency).padStart(16)} | ${String(s.today_orders).padStart(6)} | ` +
+        `${money(s.hour_revenue, s.currency).padStart(16)} | ${String(s.hour_orders).padStart(6)} | ` +
+        `${(s.sessions == null ? '-' : String(s.sessions)).padStart(8)} | ${pct(s.conversion).padStart(7)} | ${ago(s.last_txn_at)}`
+    );
+  }
+
+  lines.push(rule);
+  for (const t of snap.totals) {
+    lines.push(
+      `${'TOTAL'.padEnd(25)} | ${money(t.today_revenue, t.currency).padStart(16)} | ${String(t.today_orders).padStart(6)} | ` +
+        `${money(t.hour_revenue, t.currency).padStart(16)} | ${String(t.hour_orders).padStart(6)} | ` +
+        `${(snap.totalSessions == null ? '-' : String(snap.totalSessions)).padStart(8)} | ${pct(snap.totalConversion).padStart(7)} |`
+    );
+  }
+
+  lines.push('');
+  lines.push('Realtime sessions by source (last 60 min)');
+  if (!snap.bySource.length) lines.push('  (no GA4 data)');
+  for (const [src, n] of snap.bySource.slice(0, 15)) lines.push(`  ${src.padEnd(40)} ${n}`);
+  for (const e of snap.gaErrors) lines.push(`  ⚠️ ${e}`);
+
+  lines.push('');
+  lines.push('Pollers');
+  if (!snap.pollers.length) lines.push('  (no runs recorded yet)');
+  for (const p of snap.pollers) {
+    const icon = p.stale ? '🛑' : '✅';
+    const failure =
+      p.last_failure_at && (!p.last_success_at || new Date(p.last_failure_at) > new Date(p.last_success_at))
+        ? `  last error ${ago(p.last_failure_at)}: ${String(p.last_error || '').slice(0, 60)}`
+        : '';
+    lines.push(`  ${icon} ${p.poller.padEnd(10)} last success ${ago(p.last_success_at)}${failure}`);
+  }
+
+  return lines.join('\n');
+}
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderHtml(snap, refreshSeconds) {
+  const storeRows = snap.stores
+    .map(
+      (s) => `<tr><td>${esc(s.store)}</td><td>${esc(money(s.today_revenue, s.currency))}</td><td>${esc(s.today_orders)}</td>
+        <td>${esc(money(s.hour_revenue, s.currency))}</td><td>${esc(s.hour_orders)}</td>
+        <td>${esc(s.sessions ?? '-')}</td><td>${esc(pct(s.conversion))}</td><td>${esc(ago(s.last_txn_at))}</td></tr>`
+    )
+    .join('\n');
+
+  const totalRows = snap.totals
+    .map(
+      (t) => `<tr class="total"><td>TOTAL</td><td>${esc(money(t.today_revenue, t.currency))}</td><td>${esc(t.today_orders)}</td>
+        <td>${esc(money(t.hour_revenue, t.currency))}</td><td>${esc(t.hour_orders)}</td>
+        <td>${esc(snap.totalSessions ?? '-')}</td><td>${esc(pct(snap.totalConversion))}</td><td></td></tr>`
+    )
+    .join('\n');
+
+  const sourceRows = snap.bySource
+    .slice(0, 15)
+    .map(([src, n]) => `<tr><td>${esc(src)}</td><td>${esc(n)}</td></tr>`)
+    .join('\n');
+
+  const pollerRows = snap.pollers
+    .map(
+      (p) => `<tr class="${p.stale ? 'bad' : 'ok'}"><td>${esc(p.poller)}</td><td>${esc(ago(p.last_success_at))}</td>
+        <td>${esc(p.last_failure_at ? ago(p.last_failure_at) : '-')}</td><td>${esc(String(p.last_error || '').slice(0, 120))}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${refreshSeconds}">
+<title>VeyraPay ops</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { padding: 4px 10px; border-bottom: 1px solid #ddd; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tr.total td { font-weight: 600; }
+  tr.bad td { color: #b00020; }
+  .muted { color: #777; }
+</style>
+</head>
+<body>
+<h1>VeyraPay ops</h1>
+<p class="muted">${esc(localTime(snap.generatedAt))} (${esc(REPORT_TIMEZONE)}) — refreshes every ${refreshSeconds}s</p>
+<table>
+<tr><th>store</th><th>today</th><th>orders</th><th>last hour</th><th>orders</th><th>sessions</th><th>conv</th><th>last txn</th></tr>
+${storeRows}
+${totalRows}
+</table>
+<h2>Realtime sessions by source (last 60 min)</h2>
+<table>
+<tr><th>source / medium</th><th>sessions</th></tr>
+${sourceRows || '<tr><td colspan="2" class="muted">no GA4 data</td></tr>'}
+</table>
+${snap.gaErrors.map((e) => `<p class="muted">⚠️ ${esc(e)}</p>`).join('\n')}
+<h2>Pollers</h2>
+<table>
+<tr><th>poller</th><th>last success</th><th>last failure</th><th>error</th></tr>
+${pollerRows || '<tr><td colspan="4" class="muted">no runs recorded yet</td></tr>'}
+</table>
+</body>
+</html>`;
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+// --once fails on a DB error; the live view shows it and tries again next refresh
+async function runTerminal(intervalSeconds, once) {
+  while (true) {
+    if (once) {
+      console.log(renderText(await buildSnapshot()));
+      return;
+    }
+
+    let text;
+    try {
+      text = renderText(await buildSnapshot());
+    } catch (err) {
+      text = `⚠️ refresh failed at ${new Date().toISOString()}: ${err.message}`;
+    }
+
+    process.stdout.write('\x1b[2J\x1b[H');
+    console.log(text);
+    console.log(`\n(refreshing every ${intervalSeconds}s — Ctrl+C to quit)`);
+    await new Promise((r) => setTimeout(r, intervalSeconds * 1000));
+  }
+}
+
+function runServer(port, intervalSeconds) {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/' && req.url !== '/index.html') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const html = renderHtml(await buildSnapshot(), intervalSeconds);
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(html);
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`dashboard error: ${err.message}`);
+    }
+  });
+
+  server.on('error', (err) => {
+    console.error(`❌ dashboard server: ${err.code === 'EADDRINUSE' ? `port ${port} is already in use` : err.message}`);
+    process.exitCode = 1;
+    pool.end();
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`📊 ops dashboard on http://127.0.0.1:${port}/`);
+  });
+
+  const stop = () => server.close(() => pool.end().then(() => process.exit(0)));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      once: { type: 'boolean', default: false },
+      serve: { type: 'boolean', default: false },
+      port: { type: 'string', default: process.env.OPS_DASHBOARD_PORT || '8090' },
+      interval: { type: 'string', default: '60' },
+    },
+  });
+
+  const interval = Math.max(10, Number(values.interval) || 60);
+
+  await ensureSchema();
+
+  if (values.serve) return runServer(Number(values.port), interval);
+
+  await runTerminal(interval, values.once);
+  await pool.end();
+}
+
+main().catch(err => {
+  console.error('❌ Dashboard crashed:', err.message || err);
+  process.exit(1);
+});
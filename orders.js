@@ -0,0 +1,187 @@
+// orders.js — WooCommerce orders schema + export parsing
+// (woo-import.js writes these tables; reports read them)
+
+const { accountIdType } = require('./accounts');
+const { hashEmail } = require('./transactions');
+
+// WooCommerce order statuses that mean the customer actually paid
+const PAID_STATUSES = new Set(['processing', 'completed']);
+
+async function ensureOrderTables(db) {
+  const idType = await accountIdType(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      account_id ${idType} NOT NULL REFERENCES accounts(id),
+      order_id bigint NOT NULL,
+      order_number text,
+      order_key text,
+      status text NOT NULL,
+      currency char(3),
+      total numeric(14,2),
+      total_shipping numeric(14,2),
+      total_discount numeric(14,2),
+      total_tax numeric(14,2),
+      total_fees numeric(14,2),
+      total_refunds numeric(14,2),
+      net numeric(14,2),
+      billing_first_name text,
+      billing_last_name text,
+      billing_email_hash text,
+      billing_city text,
+      billing_state text,
+      billing_postcode text,
+      billing_country text,
+      shipping_country text,
+      payment_method text,
+      payment_method_title text,
+      shipping_method text,
+      transaction_id text,
+      customer_id text,
+      created_via text,
+      referring_site text,
+      landing_path text,
+      utm_source text,
+      utm_medium text,
+      utm_campaign text,
+      utm_term text,
+      utm_content text,
+      utm_id text,
+      coupon_codes text,
+      cogs numeric(14,2),
+      gross_profit numeric(14,2),
+      product_cost numeric(14,2),
+      transaction_cost numeric(14,2),
+      shipping_cost numeric(14,2),
+      extra_cost numeric(14,2),
+      created_at timestamptz,
+      source_updated_at timestamptz,
+      paid_at timestamptz,
+      completed_at timestamptz,
+      status_changed_at timestamptz,
+      imported_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (account_id, order_id)
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS orders_transaction_id_idx
+      ON orders (transaction_id) WHERE transaction_id IS NOT NULL
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS orders_created_at_idx ON orders (account_id, created_at)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS orders_email_hash_idx ON orders (billing_email_hash)`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_line_items (
+      account_id ${idType} NOT NULL,
+      order_id bigint NOT NULL,
+      line_no integer NOT NULL,
+      product_name text NOT NULL,
+      quantity integer NOT NULL,
+      PRIMARY KEY (account_id, order_id, line_no),
+      FOREIGN KEY (account_id, order_id) REFERENCES orders (account_id, order_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      account_id ${idType} NOT NULL,
+      order_id bigint NOT NULL,
+      old_status text,
+      new_status text NOT NULL,
+      seen_at timestamptz NOT NULL DEFAULT now(),
+      source_updated_at timestamptz,
+      FOREIGN KEY (account_id, order_id) REFERENCES orders (account_id, order_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// "Line Items" holds one "<product name> x<qty>" per line
+function parseLineItems(text) {
+  const items = [];
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const m = line.match(/^(.*\S)\s+x(\d+)$/);
+    if (m) items.push({ product_name: m[1], quantity: Number(m[2]) });
+    else items.push({ product_name: line, quantity: 1 });
+  }
+
+  return items;
+}
+
+function money(v) {
+  if (v === undefined || v === null || String(v).trim() === '') return null;
+  const n = Number(String(v).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function text(v) {
+  const s = v === undefined || v === null ? '' : String(v).trim();
+  return s || null;
+}
+
+// One export row -> orders columns. Dates stay as the export's local
+// "YYYY-MM-DD HH:MM:SS"; the importer applies the store timezone in SQL.
+function orderFromExportRow(r) {
+  const orderId = Number(r['Order ID']);
+  if (!Number.isInteger(orderId) || orderId <= 0) return null;
+
+  return {
+    order_id: orderId,
+    order_number: text(r['Order Number']),
+    order_key: text(r['Order Key']),
+    status: text(r.Status) || 'unknown',
+    currency: text(r.Currency),
+    total: money(r.Total),
+    total_shipping: money(r['Total Shipping']),
+    total_discount: money(r['Total Discount']),
+    total_tax: money(r['Total Tax']),
+    total_fees: money(r['Total Fees']),
+    total_refunds: money(r['Total Refunds']),
+    net: money(r.Net),
+    billing_first_name: text(r['Billing Address First Name']),
+    billing_last_name: text(r['Billing Address Last Name']),
+    billing_email_hash: hashEmail(r['Billing Address Email']),
+    billing_city: text(r['Billing Address City']),
+    billing_state: text(r['Billing Address State']),
+    billing_postcode: text(r['Billing Address Postcode']),
+    billing_country: text(r['Billing Address Country']),
+    shipping_country: text(r['Shipping Address Country']),
+    payment_method: text(r['Payment Method']),
+    payment_method_title: text(r['Payment Method Title']),
+    shipping_method: text(r['Shipping Method']),
+    transaction_id: text(r['Transaction ID']),
+    customer_id: text(r['Customer ID']),
+    created_via: text(r['Created Via']),
+    referring_site: text(r['Referring Site']),
+    landing_path: text(r['Landing Path']),
+    utm_source: text(r['UTM Source']),
+    utm_medium: text(r['UTM Medium']),
+    utm_campaign: text(r['UTM Campaign']),
+    utm_term: text(r['UTM Term']),
+    utm_content: text(r['UTM Content']),
+    utm_id: text(r['UTM ID']),
+    coupon_codes: text(r['Coupon Codes']),
+    cogs: money(r.Cogs),
+    gross_profit: money(r['Gross Profit']),
+    product_cost: money(r['Product Cost']),
+    transaction_cost: money(r['Transaction Cost']),
+    shipping_cost: money(r['Shipping Cost']),
+    extra_cost: money(r['Extra Cost']),
+    created_at: text(r['Order Created At']),
+    source_updated_at: text(r['Order Updated At']),
+    paid_at: text(r['Order Paid At']),
+    completed_at: text(r['Order Completed At']),
+    line_items: parseLineItems(r['Line Items']),
+  };
+}
+
+module.exports = {
+  PAID_STATUSES,
+  ensureOrderTables,
+  parseLineItems,
+  orderFromExportRow,
+};
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+// payout-ledger.js — did what we sold actually land in the bank?
+//
+//   node payout-ledger.js sync [--account <id>] [--days 35]
+//   node payout-ledger.js report [--account <id>] [--since 2026-01-01] [--until 2026-02-01]
+//                                [--mismatches] [--csv out.csv]
+//
+// sync fetches Stripe payouts created in the last --days (their status moves
+// from pending to paid over a few days, so recent ones are re-read every
+// time) and, once a payout is paid, the balance transactions it settled
+// (payout_items). Their fees are copied onto matching transactions that have
+// none. PayPal withdrawals need no sync: poller-paypal.js stores them as it
+// polls. scheduler.js runs sync + report every SCHEDULE_PAYOUTS_SECONDS (3600).
+//
+// report checks every payout in range:
+//   Stripe  amount paid out = sum of its items' net; every charge / refund /
+//           dispute it settled is in `transactions`; our fee = Stripe's fee
+//   PayPal  amount withdrawn = balance after the previous withdrawal
+//           + net PayPal transactions since − balance after this one
+// and totals matched / mismatched payouts per account.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { getAdapter, ensureProviderSchema, loadCredentials } = require('./providers');
+const { decryptCredential } = require('./credential-crypto');
+const { upsertPayout, savePayoutItems } = require('./payouts');
+const { withAdvisoryLock } = require('./locks');
+const { trackPollRun } = require('./poller-status');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+const SYNC_DAYS = Number(process.env.PAYOUT_SYNC_DAYS || 35);
+// item types that should each match a transactions row
+const PAYMENT_ITEM_TYPES = ['charge', 'payment', 'refund', 'payment_refund', 'adjustment'];
+
+const CSV_COLUMNS = [
+  'store',
+  'provider',
+  'payout_id',
+  'created_at',
+  'arrival_date',
+  'status',
+  'amount',
+  'expected',
+  'difference',
+  'currency',
+  'items',
+  'missing_payments',
+  'missing_value',
+  'fee_mismatches',
+  'result',
+];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+let schemaReady = null;
+
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      for (const provider of ['stripe', 'paypal']) await ensureProviderSchema(pool, getAdapter(provider));
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/* ===============================
+   Sync
+   =============================== */
+
+async function syncCredentialPayouts(adapter, row, since) {
+  const session = await adapter.authenticate(decryptCredential(row));
+  const counts = { payouts: 0, new: 0, itemised: 0, feesFilled: 0 };
+
+  for await (const page of adapter.listPayouts(session, { since })) {
+    for (const p of page) {
+      if (await upsertPayout(pool, adapter.provider, row.account_id, row.credential_id, p)) counts.new += 1;
+      counts.payouts += 1;
+    }
+  }
+
+  // items are final once the money has landed
+  const { rows: pending } = await pool.query(
+    `
+    SELECT payout_id FROM payouts
+    WHERE provider = $1 AND credential_id = $2 AND status = 'paid' AND automatic AND items_synced_at IS NULL
+    ORDER BY created_at
+    `,
+    [adapter.provider, String(row.credential_id)]
+  );
+
+  for (const { payout_id: payoutId } of pending) {
+    const items = await adapter.listPayoutItems(session, payoutId);
+    const r = await savePayoutItems(pool, adapter.provider, payoutId, items);
+    counts.itemised += 1;
+    counts.feesFilled += r.feesFilled;
+  }
+
+  console.log(
+    `   ${counts.payouts} payout(s), ${counts.new} new, ${counts.itemised} itemised` +
+      (counts.feesFilled ? `, ${counts.feesFilled} transaction fee(s) filled in` : '')
+  );
+  return counts;
+}
+
+// every adapter that can list payouts; resolves to a poll_runs summary
+async function syncPayouts({ accountId = null, days = SYNC_DAYS, shouldStop = () => false } = {}) {
+  await ensureSchema();
+  const since = new Date(Date.now() - days * DAY_MS);
+  const summary = { accounts: 0, failed: 0, locked: 0, fetched: 0, inserted: 0 };
+
+  for (const provider of ['stripe']) {
+    const adapter = getAdapter(provider);
+    const rows = await loadCredentials(pool, adapter, accountId);
+    summary.accounts += rows.length;
+
+    for (const row of rows) {
+      if (shouldStop()) break;
+      console.log(`\n📦 ${row.label} — ${adapter.label} payouts since ${since.toISOString().slice(0, 10)}`);
+      try {
+        const { locked, result } = await withAdvisoryLock(pool, `${provider}:payouts`, row.account_id, () =>
+          syncCredentialPayouts(adapter, row, since)
+        );
+        if (!locked) {
+          summary.locked += 1;
+          console.log('   🔒 being synced by another worker, skipped');
+          continue;
+        }
+        summary.fetched += result.payouts;
+        summary.inserted += result.new;
+      } catch (err) {
+        summary.failed += 1;
+        console.log(`   ${adapter.mapError(err).message}`);
+      }
+    }
+  }
+  return summary;
+}
+
+/* ===============================
+   Reconcile
+   =============================== */
+
+async function loadStripePayouts(opts) {
+  const { rows } = await pool.query(
+    `
+    WITH items AS (
+      SELECT
+        i.payout_id,
+        COUNT(*) FILTER (WHERE i.type <> 'payout') AS items,
+        COALESCE(SUM(i.net) FILTER (WHERE i.type <> 'payout'), 0) AS items_net,
+        COUNT(*) FILTER (WHERE i.type = ANY($4) AND t.provider_event_id IS NULL) AS missing_payments,
+        COALESCE(SUM(i.net) FILTER (WHERE i.type = ANY($4) AND t.provider_event_id IS NULL), 0) AS missing_value,
+        COUNT(*) FILTER (
+          WHERE t.amount_fee IS NOT NULL AND t.currency = i.currency AND abs(t.amount_fee - i.fee) > $5
+        ) AS fee_mismatches
+      FROM payout_items i
+      LEFT JOIN transactions t ON t.provider = i.provider AND t.provider_event_id = i.source_id
+      WHERE i.provider = 'stripe'
+      GROUP BY i.payout_id
+    )
+    SELECT p.*, a.label AS store, i.items, i.items_net, i.missing_payments, i.missing_value, i.fee_mismatches
+    FROM payouts p
+    JOIN accounts a ON a.id = p.account_id
+    LEFT JOIN items i ON i.payout_id = p.payout_id
+    WHERE p.provider = 'stripe'
+      AND p.created_at >= $1 AND p.created_at < $2
+      AND ($3::text IS NULL OR p.account_id::text = $3::text)
+    ORDER BY a.label, p.created_at
+    `,
+    [opts.since, opts.until, opts.account, PAYMENT_ITEM_TYPES, AMOUNT_TOLERANCE]
+  );
+
+  return rows.map((p) => {
+    const row = baseRow(p);
+    if (['failed', 'canceled'].includes(p.status)) return { ...row, result: p.status };
+    if (p.status !== 'paid') return { ...row, result: 'pending' };
+    if (!p.automatic) return { ...row, result: 'manual' };
+    if (!p.items_synced_at) return { ...row, result: 'not_itemised' };
+
+    const expected = Number(p.items_net);
+    const difference = Number(p.amount) - expected;
+    const result =
+      Math.abs(difference) > AMOUNT_TOLERANCE
+        ? 'amount_mismatch'
+        : Number(p.missing_payments)
+          ? 'missing_payments'
+          : Number(p.fee_mismatches)
+            ? 'fee_mismatch'
+            : 'matched';
+
+    return {
+      ...row,
+      expected: expected.toFixed(2),
+      difference: difference.toFixed(2),
+      items: Number(p.items),
+      missing_payments: Number(p.missing_payments),
+      missing_value: Number(p.missing_value).toFixed(2),
+      fee_mismatches: Number(p.fee_mismatches),
+      result,
+    };
+  });
+}
+
+// Each withdrawal against the previous one for the same account and currency:
+// what PayPal held after it, plus what came in since, minus what it holds now
+async function loadPaypalPayouts(opts) {
+  const { rows } = await pool.query(
+    `
+    WITH w AS (
+      SELECT
+        p.*,
+        lag(p.created_at) OVER win AS prev_at,
+        lag(p.ending_balance) OVER win AS prev_balance
+      FROM payouts p
+      WHERE p.provider = 'paypal' AND p.status = 'paid'
+      WINDOW win AS (PARTITION BY p.account_id, p.currency ORDER BY p.created_at)
+    )
+    SELECT
+      w.*,
+      a.label AS store,
+      (
+        SELECT COALESCE(SUM(COALESCE(t.amount_net, t.amount_gross)), 0)
+        FROM transactions t
+        WHERE t.provider = 'paypal'
+          AND t.account_id = w.account_id
+          AND t.currency = w.currency
+          AND COALESCE(t.status, 'completed') = 'completed'
+          AND t.occurred_at > w.prev_at
+          AND t.occurred_at <= w.created_at
+      ) AS activity
+    FROM w
+    JOIN accounts a ON a.id = w.account_id
+    WHERE w.created_at >= $1 AND w.created_at < $2
+      AND ($3::text IS NULL OR w.account_id::text = $3::text)
+    ORDER BY a.label, w.created_at
+    `,
+    [opts.since, opts.until, opts.account]
+  );
+
+  const { rows: other } = await pool.query(
+    `
+    SELECT p.*, a.label AS store
+    FROM payouts p
+    JOIN accounts a ON a.id = p.account_id
+    WHERE p.provider = 'paypal' AND p.status IS DISTINCT FROM 'paid'
+      AND p.created_at >= $1 AND p.created_at < $2
+      AND ($3::text IS NULL OR p.account_id::text = $3::text)
+    `,
+    [opts.since, opts.until, opts.account]
+  );
+
+  const checked = rows.map((p) => {
+    const row = baseRow(p);
+    // the first withdrawal we know of, or one without a balance, has nothing to start from
+    if (!p.prev_at || p.prev_balance == null || p.ending_balance == null) return { ...row, result: 'no_balance' };
+
+    const expected = Number(p.prev_balance) + Number(p.activity) - Number(p.ending_balance);
+    const difference = Number(p.amount) - expected;
+    return {
+      ...row,
+      expected: expected.toFixed(2),
+      difference: difference.toFixed(2),
+      result: Math.abs(difference) > AMOUNT_TOLERANCE ? 'amount_mismatch' : 'matched',
+    };
+  });
+
+  return [...checked, ...other.map((p) => ({ ...baseRow(p), result: p.status || 'pending' }))];
+}
+
+function baseRow(p) {
+  return {
+    store: p.store,
+    account_id: String(p.account_id),
+    provider: p.provider,
+    payout_id: p.payout_id,
+    created_at: new Date(p.created_at).toISOString(),
+    arrival_date: p.arrival_date ? new Date(p.arrival_date).toISOString().slice(0, 10) : '',
+    status: p.status || '',
+    amount: Number(p.amount).toFixed(2),
+    expected: '',
+    difference: '',
+    currency: p.currency.trim(),
+    items: '',
+    missing_payments: '',
+    missing_value: '',
+    fee_mismatches: '',
+  };
+}
+
+// results that need someone to look at them
+const PROBLEMS = new Set(['amount_mismatch', 'missing_payments', 'fee_mismatch', 'failed', 'canceled', 'reversed']);
+
+function summarise(rows) {
+  const byAccount = new Map();
+
+  for (const r of rows) {
+    const key = `${r.store}|${r.provider}|${r.currency}`;
+    const s = byAccount.get(key) || {
+      store: r.store,
+      provider: r.provider,
+      currency: r.currency,
+      payouts: 0,
+      paid_out: 0,
+      matched: 0,
+      problems: 0,
+      unchecked: 0,
+      difference: 0,
+    };
+
+    s.payouts += 1;
+    if (r.status === 'paid') s.paid_out += Number(r.amount);
+    if (r.result === 'matched') s.matched += 1;
+    else if (PROBLEMS.has(r.result)) s.problems += 1;
+    else s.unchecked += 1;
+    if (r.difference) s.difference += Number(r.difference);
+
+    byAccount.set(key, s);
+  }
+
+  return [...byAccount.values()];
+}
+
+function printReport(summary, rows) {
+  console.log('');
+  console.log(
+    'store                     | provider | ccy | payouts |      paid out | matched | problems | unchecked |   difference'
+  );
+  console.log('-'.repeat(113));
+
+  for (const s of summary) {
+    console.log(
+      `${s.store.padEnd(25)} | ${s.provider.padEnd(8)} | ${s.currency} | ${String(s.payouts).padStart(7)} | ` +
+        `${s.paid_out.toFixed(2).padStart(13)} | ${String(s.matched).padStart(7)} | ${String(s.problems).padStart(8)} | ` +
+        `${String(s.unchecked).padStart(9)} | ${s.difference.toFixed(2).padStart(12)}`
+    );
+  }
+
+  const problems = rows.filter((r) => PROBLEMS.has(r.result));
+  if (!problems.length) {
+    console.log('\n✅ every checked payout matches');
+    return;
+  }
+
+  console.log(`\n⚠️ ${problems.length} payout(s) need a look:`);
+  for (const r of problems) {
+    const detail = [
+      r.expected !== '' && `expected ${r.expected}, difference ${r.difference}`,
+      Number(r.missing_payments) && `${r.missing_payments} payment(s) worth ${r.missing_value} not in transactions`,
+      Number(r.fee_mismatches) && `${r.fee_mismatches} fee(s) differ from ours`,
+    ]
+      .filter(Boolean)
+      .join('; ');
+    console.log(
+      `  ${r.result.padEnd(16)} ${r.store} ${r.provider} ${r.payout_id} ${r.created_at.slice(0, 10)} ` +
+        `${r.amount} ${r.currency}${detail ? ` — ${detail}` : ''}`
+    );
+  }
+}
+
+async function reconcile(opts) {
+  await ensureSchema();
+  const rows = [...(await loadStripePayouts(opts)), ...(await loadPaypalPayouts(opts))];
+  return { rows, summary: summarise(rows) };
+}
+
+// scheduler job: sync, then log how the last --days look
+async function syncAndReconcile({ shouldStop } = {}) {
+  const summary = await syncPayouts({ shouldStop });
+  const { rows } = await reconcile({ since: new Date(Date.now() - SYNC_DAYS * DAY_MS), until: new Date(), account: null });
+  const problems = rows.filter((r) => PROBLEMS.has(r.result)).length;
+  if (problems) console.log(`⚠️ ${problems} payout(s) don't reconcile — node payout-ledger.js report --mismatches`);
+  return { ...summary, problems };
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      account: { type: 'string' },
+      days: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      mismatches: { type: 'boolean', default: false },
+      csv: { type: 'string' },
+    },
+  });
+
+  const mode = positionals[0];
+
+  if (mode === 'sync') {
+    const days = values.days ? Number(values.days) : SYNC_DAYS;
+    if (!Number.isFinite(days) || days <= 0) throw new Error('--days must be a positive number');
+    const { failed } = await trackPollRun(pool, 'payouts', () => syncPayouts({ accountId: values.account || null, days }));
+    if (failed) process.exitCode = 2;
+    return;
+  }
+
+  if (mode !== 'report') throw new Error('usage: payout-ledger.js sync [--account] [--days] | report [--account] [--since] [--until] [--mismatches] [--csv]');
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since ? parseDateArg('since', values.since) : new Date(until.getTime() - 30 * DAY_MS);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const { rows, summary } = await reconcile({ since, until, account: values.account || null });
+  if (!rows.length) {
+    console.log('No payouts in range — run `node payout-ledger.js sync` (Stripe) or poll PayPal first');
+    return;
+  }
+
+  printReport(summary, rows);
+
+  if (values.csv) {
+    const out = values.mismatches ? rows.filter((r) => PROBLEMS.has(r.result)) : rows;
+    fs.writeFileSync(values.csv, toCsv(out, CSV_COLUMNS));
+    console.log(`\n✅ CSV written to ${values.csv}`);
+  }
+  if (rows.some((r) => PROBLEMS.has(r.result))) process.exitCode = 2;
+}
+
+module.exports = { syncPayouts, syncAndReconcile, close: () => pool.end() };
+
+if (require.main === module) {
+  run()
+    .catch(err => {
+      console.error(`❌ ${err.message || err}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
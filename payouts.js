@@ -0,0 +1,130 @@
+// payouts.js — money leaving the processor for the bank, and what made it up
+//
+// payouts       one row per Stripe payout / PayPal withdrawal; amount is what
+//               was sent to the bank (positive), in the payout currency
+// payout_items  Stripe only: the balance transactions settled by a payout
+//               (charges, refunds, disputes, fees ...), source_id pointing at
+//               transactions.provider_event_id. PayPal doesn't itemise
+//               withdrawals; payout-ledger.js reconciles those against the
+//               balance instead (ending_balance).
+
+const { accountIdType } = require('./accounts');
+
+async function ensurePayoutTables(db) {
+  const idType = await accountIdType(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payouts (
+      provider text NOT NULL,
+      payout_id text NOT NULL,
+      account_id ${idType} NOT NULL REFERENCES accounts(id),
+      credential_id text,
+      amount numeric(14,2) NOT NULL,
+      currency char(3) NOT NULL,
+      status text,
+      automatic boolean,
+      created_at timestamptz NOT NULL,
+      arrival_date date,
+      ending_balance numeric(14,2),
+      payload_json jsonb,
+      items_synced_at timestamptz,
+      updated_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (provider, payout_id)
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS payouts_account_idx ON payouts (account_id, created_at)`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payout_items (
+      provider text NOT NULL,
+      payout_id text NOT NULL,
+      item_id text NOT NULL,
+      source_id text,
+      type text NOT NULL,
+      amount numeric(14,2) NOT NULL,
+      fee numeric(14,2) NOT NULL,
+      net numeric(14,2) NOT NULL,
+      currency char(3) NOT NULL,
+      PRIMARY KEY (provider, payout_id, item_id),
+      FOREIGN KEY (provider, payout_id) REFERENCES payouts (provider, payout_id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS payout_items_source_idx ON payout_items (provider, source_id)`);
+}
+
+// p = { id, amount, currency, status, automatic, createdAt, arrivalDate,
+// endingBalance, payload } from an adapter. Resolves to true when it was new.
+async function upsertPayout(db, provider, accountId, credentialId, p) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO payouts (
+      provider, payout_id, account_id, credential_id, amount, currency, status, automatic,
+      created_at, arrival_date, ending_balance, payload_json
+    )
+    VALUES ($1, $2, $3, $4, $5, upper($6), $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (provider, payout_id) DO UPDATE SET
+      amount = EXCLUDED.amount,
+      status = EXCLUDED.status,
+      arrival_date = EXCLUDED.arrival_date,
+      ending_balance = COALESCE(EXCLUDED.ending_balance, payouts.ending_balance),
+      payload_json = EXCLUDED.payload_json,
+      updated_at = now()
+    RETURNING (xmax = 0) AS inserted
+    `,
+    [
+      provider,
+      p.id,
+      accountId,
+      credentialId == null ? null : String(credentialId),
+      p.amount,
+      p.currency,
+      p.status || null,
+      p.automatic ?? null,
+      p.createdAt,
+      p.arrivalDate || null,
+      p.endingBalance ?? null,
+      p.payload || null,
+    ]
+  );
+  return rows[0].inserted;
+}
+
+// Replaces a payout's items (they never change once it is paid) and copies
+// their fees onto matching transactions that have none yet
+async function savePayoutItems(db, provider, payoutId, items) {
+  await db.query(`DELETE FROM payout_items WHERE provider = $1 AND payout_id = $2`, [provider, payoutId]);
+
+  for (const i of items) {
+    await db.query(
+      `
+      INSERT INTO payout_items (provider, payout_id, item_id, source_id, type, amount, fee, net, currency)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, upper($9))
+      `,
+      [provider, payoutId, i.id, i.sourceId || null, i.type, i.amount, i.fee, i.net, i.currency]
+    );
+  }
+
+  const { rowCount: feesFilled } = await db.query(
+    `
+    UPDATE transactions t SET
+      amount_fee = i.fee,
+      amount_net = t.amount_gross - i.fee
+    FROM payout_items i
+    WHERE i.provider = $1
+      AND i.payout_id = $2
+      AND t.provider = i.provider
+      AND t.provider_event_id = i.source_id
+      AND t.amount_fee IS NULL
+      AND t.currency = i.currency
+    `,
+    [provider, payoutId]
+  );
+
+  await db.query(`UPDATE payouts SET items_synced_at = now() WHERE provider = $1 AND payout_id = $2`, [
+    provider,
+    payoutId,
+  ]);
+  return { items: items.length, feesFilled };
+}
+
+module.exports = { ensurePayoutTables, upsertPayout, savePayoutItems };
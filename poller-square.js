@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// poller-square.js — Square polling worker (provider-square.js via providers.js)
+//
+//   node poller-square.js                                  incremental poll, all access tokens
+//   node poller-square.js --backfill --account <id> \
+//        --from 2025-10-01 --to 2026-01-01                 walk a date range for one account
+//
+// Payments and refunds for every active location of each token, checkpointed
+// after every page. SQUARE_API=http://localhost:8091 runs it against
+// square-mock-server.js.
+//
+// Each account is polled under an advisory lock (locks.js), and every run is
+// recorded in poll_runs. scheduler.js calls pollSquare() on an interval.
+// Repeated 401 / 403 failures disable the credential (credential-health.js).
+
+require('dotenv').config();
+
+const { createPoller } = require('./providers');
+
+const poller = createPoller(require('./provider-square'));
+
+module.exports = { pollSquare: poller.poll, close: poller.close };
+
+if (require.main === module) poller.run();
@@ -0,0 +1,148 @@
+// poller-status.js — poller health
+//
+// poller_status  last success / failure per poller (ops-dashboard.js)
+// poll_runs      one row per run with status, counts, duration and error
+
+const os = require('os');
+
+async function ensurePollerStatusTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS poller_status (
+      poller text PRIMARY KEY,
+      last_success_at timestamptz,
+      last_failure_at timestamptz,
+      last_error text,
+      last_summary jsonb,
+      updated_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function recordPollerSuccess(db, poller, summary = {}) {
+  await ensurePollerStatusTable(db);
+  await db.query(
+    `
+    INSERT INTO poller_status (poller, last_success_at, last_summary, updated_at)
+    VALUES ($1, now(), $2, now())
+    ON CONFLICT (poller) DO UPDATE SET
+      last_success_at = now(),
+      last_summary = EXCLUDED.last_summary,
+      updated_at = now()
+    `,
+    [poller, summary]
+  );
+}
+
+async function recordPollerFailure(db, poller, err) {
+  await ensurePollerStatusTable(db);
+  await db.query(
+    `
+    INSERT INTO poller_status (poller, last_failure_at, last_error, updated_at)
+    VALUES ($1, now(), $2, now())
+    ON CONFLICT (poller) DO UPDATE SET
+      last_failure_at = now(),
+      last_error = EXCLUDED.last_error,
+      updated_at = now()
+    `,
+    [poller, String(err?.message || err).slice(0, 1000)]
+  );
+}
+
+async function ensurePollRunsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS poll_runs (
+      id bigserial PRIMARY KEY,
+      job text NOT NULL,
+      status text NOT NULL,
+      started_at timestamptz NOT NULL DEFAULT now(),
+      finished_at timestamptz,
+      duration_ms integer,
+      accounts integer,
+      failed integer,
+      locked integer,
+      fetched integer,
+      inserted integer,
+      summary jsonb,
+      error text,
+      host text,
+      pid integer
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS poll_runs_job_started_idx ON poll_runs (job, started_at DESC)`);
+}
+
+// success | partial (some accounts failed) | failed (all failed, or threw)
+// | skipped (every account was locked by another worker)
+function runStatus(summary) {
+  const accounts = Number(summary.accounts || 0);
+  const failed = Number(summary.failed || 0);
+  const locked = Number(summary.locked || 0);
+
+  if (accounts && failed >= accounts) return 'failed';
+  if (failed) return 'partial';
+  if (accounts && locked >= accounts) return 'skipped';
+  return 'success';
+}
+
+// Runs fn() as one poll_runs row. fn resolves to a summary
+// ({ accounts, failed, locked, fetched, inserted, ... }); a throw is recorded
+// and rethrown.
+async function trackPollRun(db, job, fn) {
+  await ensurePollRunsTable(db);
+
+  const started = Date.now();
+  const { rows } = await db.query(
+    `INSERT INTO poll_runs (job, status, host, pid) VALUES ($1, 'running', $2, $3) RETURNING id`,
+    [job, os.hostname(), process.pid]
+  );
+  const id = rows[0].id;
+
+  const finish = (status, summary, err) =>
+    db.query(
+      `
+      UPDATE poll_runs SET
+        status = $2,
+        finished_at = now(),
+        duration_ms = $3,
+        accounts = $4,
+        failed = $5,
+        locked = $6,
+        fetched = $7,
+        inserted = $8,
+        summary = $9,
+        error = $10
+      WHERE id = $1
+      `,
+      [
+        id,
+        status,
+        Date.now() - started,
+        summary.accounts ?? null,
+        summary.failed ?? null,
+        summary.locked ?? null,
+        summary.fetched ?? null,
+        summary.inserted ?? null,
+        summary,
+        err ? String(err?.message || err).slice(0, 1000) : summary.error || null,
+      ]
+    );
+
+  let summary;
+  try {
+    summary = (await fn()) || {};
+  } catch (err) {
+    await finish('failed', {}, err);
+    throw err;
+  }
+
+  await finish(runStatus(summary), summary, null);
+  return summary;
+}
+
+module.exports = {
+  ensurePollerStatusTable,
+  recordPollerSuccess,
+  recordPollerFailure,
+  ensurePollRunsTable,
+  trackPollRun,
+};
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// product-costs.js — maintain the product cost catalogue (costs.js)
+//
+//   node product-costs.js set --product "Peak Burn – Month One" --cost 18.40 [--currency AUD]
+//                             [--from 2026-01-01] [--account <id>] [--note "new supplier"]
+//   node product-costs.js list [--product peak] [--account <id>] [--history]
+//   node product-costs.js import costs.csv      product,unit_cost,currency,effective_from[,account_id,note]
+//   node product-costs.js missing [--since 2026-01-01]
+//   node product-costs.js suggest [--since 2026-01-01] [--account <id>] [--apply]
+//
+// A cost applies from --from (default today, in REPORT_TIMEZONE) until a
+// later entry for the same product replaces it; --account limits it to one
+// store, otherwise it covers every store. --currency defaults to
+// REPORTING_CURRENCY.
+//
+// `missing` lists products sold in paid orders with no cost on the order day.
+// `suggest` derives unit costs from the export's own Product Cost (or Cogs)
+// column: the median per unit over single-product orders, per store and
+// month, keeping a month only when it differs from the one before. --apply
+// writes them with source "woo-export"; manual entries for the same date win.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { parseCsvObjects } = require('./csv');
+const { ensureFxSchema, DEFAULT_REPORTING_CURRENCY } = require('./fx');
+const { PAID_STATUSES, ensureOrderTables } = require('./orders');
+const { ensureProductCostTable, upsertProductCost, unitCostLateralSql } = require('./costs');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+// suggested costs closer than this to the previous month's are not a change
+const SUGGEST_TOLERANCE = 0.01;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+async function ensureSchema() {
+  await ensureFxSchema(pool);
+  await ensureOrderTables(pool);
+  await ensureProductCostTable(pool);
+}
+
+function today() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+function parseDayArg(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`--${name} must be YYYY-MM-DD, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/* ===============================
+   Commands
+   =============================== */
+
+async function setCost(values) {
+  if (!values.product || values.cost === undefined) throw new Error('set needs --product and --cost');
+
+  const row = await upsertProductCost(pool, {
+    accountId: values.account || null,
+    product: values.product,
+    effectiveFrom: values.from ? parseDayArg('from', values.from) : today(),
+    unitCost: values.cost,
+    currency: values.currency || DEFAULT_REPORTING_CURRENCY,
+    note: values.note || null,
+  });
+  console.log(`✅ ${row.inserted ? 'added' : 'updated'} cost ${row.id} for ${values.product}`);
+}
+
+async function listCosts(values) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      pc.id, pc.product_name, COALESCE(a.label, 'all stores') AS store, pc.effective_from::text AS effective_from,
+      pc.unit_cost, pc.currency, pc.source, pc.note,
+      row_number() OVER (
+        PARTITION BY COALESCE(pc.account_id::text, ''), lower(btrim(pc.product_name))
+        ORDER BY pc.effective_from DESC
+      ) AS rn
+    FROM product_costs pc
+    LEFT JOIN accounts a ON a.id = pc.account_id
+    WHERE ($1::text IS NULL OR pc.product_name ILIKE '%' || $1 || '%')
+      AND ($2::text IS NULL OR pc.account_id::text = $2::text OR pc.account_id IS NULL)
+    ORDER BY lower(pc.product_name), store, pc.effective_from DESC
+    `,
+    [values.product || null, values.account || null]
+  );
+
+  // without --history, only the entry in force from the latest date
+  const shown = values.history ? rows : rows.filter((r) => Number(r.rn) === 1);
+  if (!shown.length) {
+    console.log('No product costs yet — add some with `set` or `import`, or see `suggest`');
+    return;
+  }
+  console.table(
+    shown.map((r) => ({
+      id: Number(r.id),
+      product: r.product_name,
+      store: r.store,
+      from: r.effective_from,
+      unit_cost: `${Number(r.unit_cost).toFixed(2)} ${r.currency}`,
+      source: r.source,
+      note: r.note || '',
+    }))
+  );
+}
+
+async function importCosts(file) {
+  const rows = parseCsvObjects(fs.readFileSync(file, 'utf8'));
+  console.log(`📄 ${file}: ${rows.length} rows`);
+
+  const counts = { inserted: 0, updated: 0, invalid: 0 };
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    for (const [i, r] of rows.entries()) {
+      try {
+        const row = await upsertProductCost(client, {
+          accountId: r.account_id || null,
+          product: r.product,
+          effectiveFrom: r.effective_from || today(),
+          unitCost: r.unit_cost,
+          currency: r.currency || DEFAULT_REPORTING_CURRENCY,
+          source: 'import',
+          note: r.note || null,
+        });
+        counts[row.inserted ? 'inserted' : 'updated'] += 1;
+      } catch (err) {
+        // a bad value is reported and skipped; a database error aborts the import
+        if (err.code) throw err;
+        counts.invalid += 1;
+        console.log(`   ⚠️ row ${i + 2}: ${err.message}`);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`   ✅ new ${counts.inserted} | updated ${counts.updated} | invalid ${counts.invalid}`);
+}
+
+async function listMissing(values) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      a.label AS store,
+      li.product_name,
+      COUNT(DISTINCT o.order_id) AS orders,
+      SUM(li.quantity) AS units,
+      MIN(o.created_at) AS first_sold,
+      MAX(o.created_at) AS last_sold
+    FROM orders o
+    JOIN accounts a ON a.id = o.account_id
+    JOIN order_line_items li ON li.account_id = o.account_id AND li.order_id = o.order_id
+    ${unitCostLateralSql('$3')}
+    WHERE o.status = ANY($1)
+      AND ($2::date IS NULL OR o.created_at >= ($2::date)::timestamp AT TIME ZONE $3)
+      AND pc.unit_cost IS NULL
+    GROUP BY a.label, li.product_name
+    ORDER BY units DESC
+    `,
+    [[...PAID_STATUSES], values.since ? parseDayArg('since', values.since) : null, REPORT_TIMEZONE]
+  );
+
+  if (!rows.length) {
+    console.log('✅ Every product sold has a cost');
+    return;
+  }
+  console.log(`⚠️ ${rows.length} product(s) sold without a cost:`);
+  console.table(
+    rows.map((r) => ({
+      store: r.store,
+      product: r.product_name,
+      orders: Number(r.orders),
+      units: Number(r.units),
+      first_sold: new Date(r.first_sold).toISOString().slice(0, 10),
+      last_sold: new Date(r.last_sold).toISOString().slice(0, 10),
+    }))
+  );
+}
+
+// median unit cost per store / product / month from single-product orders
+async function suggestCosts(values) {
+  const { rows } = await pool.query(
+    `
+    WITH single AS (
+      SELECT
+        o.account_id,
+        li.product_name,
+        COALESCE(o.currency, a.reporting_currency) AS currency,
+        to_char(o.created_at AT TIME ZONE $3, 'YYYY-MM') AS month,
+        COALESCE(o.product_cost, o.cogs) / li.quantity AS unit_cost
+      FROM orders o
+      JOIN accounts a ON a.id = o.account_id
+      JOIN order_line_items li ON li.account_id = o.account_id AND li.order_id = o.order_id
+      WHERE o.status = ANY($1)
+        AND ($2::date IS NULL OR o.created_at >= ($2::date)::timestamp AT TIME ZONE $3)
+        AND ($4::text IS NULL OR o.account_id::text = $4::text)
+        AND COALESCE(o.product_cost, o.cogs) > 0
+        AND li.quantity > 0
+        AND (SELECT COUNT(*) FROM order_line_items x WHERE x.account_id = o.account_id AND x.order_id = o.order_id) = 1
+    )
+    SELECT
+      s.account_id::text AS account_id,
+      a.label AS store,
+      s.product_name,
+      s.currency,
+      s.month,
+      COUNT(*) AS orders,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY s.unit_cost) AS unit_cost
+    FROM single s
+    JOIN accounts a ON a.id = s.account_id
+    GROUP BY s.account_id, a.label, s.product_name, s.currency, s.month
+    ORDER BY a.label, s.product_name, s.currency, s.month
+    `,
+    [[...PAID_STATUSES], values.since ? parseDayArg('since', values.since) : null, REPORT_TIMEZONE, values.account || null]
+  );
+
+  const suggestions = [];
+  let prev = null;
+  for (const r of rows) {
+    const key = [r.account_id, r.product_name.trim().toLowerCase(), r.currency].join('\u0000');
+    const cost = Math.round(Number(r.unit_cost) * 100) / 100;
+    if (prev && prev.key === key && Math.abs(prev.cost - cost) < SUGGEST_TOLERANCE) continue;
+    prev = { key, cost };
+    suggestions.push({ ...r, unit_cost: cost, effective_from: `${r.month}-01` });
+  }
+
+  if (!suggestions.length) {
+    console.log('No single-product orders with Product Cost / Cogs to learn from');
+    return;
+  }
+  console.table(
+    suggestions.map((s) => ({
+      store: s.store,
+      product: s.product_name,
+      from: s.effective_from,
+      unit_cost: `${s.unit_cost.toFixed(2)} ${s.currency}`,
+      orders: Number(s.orders),
+    }))
+  );
+
+  if (!values.apply) {
+    console.log('ℹ️ Nothing written — rerun with --apply to save these');
+    return;
+  }
+
+  let written = 0;
+  for (const s of suggestions) {
+    // never overwrite a cost someone entered by hand
+    const { rowCount } = await pool.query(
+      `
+      SELECT 1 FROM product_costs
+      WHERE COALESCE(account_id::text, '') = $1
+        AND lower(btrim(product_name)) = lower(btrim($2))
+        AND effective_from = $3
+        AND source <> 'woo-export'
+      `,
+      [s.account_id, s.product_name, s.effective_from]
+    );
+    if (rowCount) continue;
+
+    await upsertProductCost(pool, {
+      accountId: s.account_id,
+      product: s.product_name,
+      effectiveFrom: s.effective_from,
+      unitCost: s.unit_cost,
+      currency: s.currency,
+      source: 'woo-export',
+      note: `median of ${s.orders} single-product order(s)`,
+    });
+    written += 1;
+  }
+  console.log(`✅ ${written} cost(s) saved`);
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+const USAGE = 'usage: product-costs.js set|list|import|missing|suggest (see header of product-costs.js)';
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      product: { type: 'string' },
+      cost: { type: 'string' },
+      currency: { type: 'string' },
+      from: { type: 'string' },
+      account: { type: 'string' },
+      note: { type: 'string' },
+      since: { type: 'string' },
+      history: { type: 'boolean', default: false },
+      apply: { type: 'boolean', default: false },
+    },
+  });
+
+  const [command, file] = positionals;
+
+  await ensureSchema();
+
+  if (command === 'set') return setCost(values);
+  if (command === 'list') return listCosts(values);
+  if (command === 'missing') return listMissing(values);
+  if (command === 'suggest') return suggestCosts(values);
+  if (command === 'import') {
+    if (!file) throw new Error('usage: product-costs.js import <costs.csv>');
+    return importCosts(file);
+  }
+
+  throw new Error(USAGE);
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message || err}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+// profit-report.js — where the margin goes, per product / store / payment method / day
+//
+//   node profit-report.js [--by product|store|payment_method|day[,...]] [--since 2026-01-01]
+//                         [--until 2026-01-08] [--account <id>] [--currency AUD] [--csv out.csv]
+//
+// For each paid WooCommerce order (orders, see woo-import.js) in range:
+//   revenue       total − tax − refunds
+//   product cost  quantity × unit cost from the catalogue (product-costs.js) on
+//                 the order day; lines without one share the export's Product
+//                 Cost (or Cogs) less what the catalogue covered
+//   fees          the processor fee on the matching payment in `transactions`
+//                 (Transaction ID, as in reconcile-orders.js), else the
+//                 export's Transaction Cost
+//   shipping      the export's Shipping Cost (what we paid, not what we charged)
+//   other         the export's Extra Cost
+// Order-level amounts are split across its line items by units. Everything is
+// converted to --currency (REPORTING_CURRENCY) at the order date; orders with
+// no FX rate for that date are counted and left out.
+//
+// Each row shows profit, margin, and each cost as a share of revenue, plus
+// units with no cost at all (they make the margin look better than it is) and
+// orders whose fee came from the export instead of the processor.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { ensureFxSchema, normaliseCurrency, DEFAULT_REPORTING_CURRENCY } = require('./fx');
+const { PAID_STATUSES, ensureOrderTables } = require('./orders');
+const { ensureTransactionColumns } = require('./transactions');
+const { ensureProductCostTable, unitCostLateralSql } = require('./costs');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const DIMENSIONS = ['product', 'store', 'payment_method', 'day'];
+const NO_LINE_ITEMS = '(no line items)';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// payments are looked up this far either side of the order range
+const PAYMENT_SLACK_MS = 3 * DAY_MS;
+
+// CSV columns after the --by dimensions
+const METRIC_COLUMNS = [
+  'orders',
+  'units',
+  'revenue',
+  'product_cost',
+  'fees',
+  'shipping_cost',
+  'other_cost',
+  'profit',
+  'margin_pct',
+  'product_cost_pct',
+  'fees_pct',
+  'shipping_pct',
+  'other_pct',
+  'uncosted_units',
+  'estimated_fee_orders',
+  'currency',
+];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+function dayOf(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+/* ===============================
+   Data
+   =============================== */
+
+// One row per order line item, with the order's amounts in the report currency
+async function loadLines(opts) {
+  const conv = (expr) =>
+    `fx_convert(${expr}, COALESCE(o.currency, o.reporting_currency), $5, (o.created_at AT TIME ZONE 'UTC')::date)`;
+
+  const { rows } = await pool.query(
+    `
+    WITH o AS (
+      SELECT o.*, a.label AS store, a.reporting_currency
+      FROM orders o
+      JOIN accounts a ON a.id = o.account_id
+      WHERE o.status = ANY($1)
+        AND o.created_at >= $2
+        AND o.created_at < $3
+        AND ($4::text IS NULL OR o.account_id::text = $4::text)
+    )
+    SELECT
+      o.account_id::text AS account_id,
+      o.store,
+      o.order_id,
+      o.created_at,
+      o.transaction_id,
+      COALESCE(o.payment_method_title, o.payment_method, 'unknown') AS payment_method,
+      ${conv('COALESCE(o.total, 0) - COALESCE(o.total_tax, 0) - COALESCE(o.total_refunds, 0)')} AS revenue,
+      ${conv('COALESCE(o.product_cost, o.cogs)')} AS export_product_cost,
+      ${conv('o.transaction_cost')} AS export_fee,
+      ${conv('o.shipping_cost')} AS shipping_cost,
+      ${conv('o.extra_cost')} AS other_cost,
+      li.product_name,
+      li.quantity,
+      fx_convert(pc.unit_cost * li.quantity, pc.currency, $5, (o.created_at AT TIME ZONE 'UTC')::date) AS line_cost
+    FROM o
+    LEFT JOIN order_line_items li ON li.account_id = o.account_id AND li.order_id = o.order_id
+    ${unitCostLateralSql('$6')}
+    ORDER BY o.account_id, o.order_id, li.line_no
+    `,
+    [[...PAID_STATUSES], opts.since, opts.until, opts.account, opts.currency, REPORT_TIMEZONE]
+  );
+  return rows;
+}
+
+// Processor fee per order, in the report currency, from the payment whose id
+// (or Stripe payment_intent) is the order's Transaction ID. Payments are read
+// once for the range and matched here, as in reconcile-orders.js.
+async function loadProcessorFees(opts, lines) {
+  const accountIds = [...new Set(lines.filter((l) => l.transaction_id).map((l) => l.account_id))];
+  if (!accountIds.length) return new Map();
+
+  const { rows } = await pool.query(
+    `
+    SELECT
+      t.account_id::text AS account_id,
+      t.provider_event_id,
+      t.payload_json->>'payment_intent' AS payment_intent,
+      fx_convert(t.amount_fee, t.currency, $4, (t.occurred_at AT TIME ZONE 'UTC')::date) AS fee
+    FROM transactions t
+    WHERE COALESCE(t.kind, 'payment') = 'payment'
+      AND t.account_id::text = ANY($1)
+      AND t.occurred_at >= $2
+      AND t.occurred_at < $3
+    `,
+    [
+      accountIds,
+      new Date(opts.since.getTime() - PAYMENT_SLACK_MS),
+      new Date(opts.until.getTime() + PAYMENT_SLACK_MS),
+      opts.currency,
+    ]
+  );
+
+  // a payment's own id wins over another payment's payment_intent
+  const byId = new Map();
+  for (const r of rows) {
+    if (r.payment_intent && !byId.has(`${r.account_id}|${r.payment_intent}`)) {
+      byId.set(`${r.account_id}|${r.payment_intent}`, r);
+    }
+  }
+  for (const r of rows) byId.set(`${r.account_id}|${r.provider_event_id}`, r);
+
+  const fees = new Map();
+  for (const l of lines) {
+    const p = l.transaction_id ? byId.get(`${l.account_id}|${l.transaction_id}`) : null;
+    if (p) fees.set(`${l.account_id}:${l.order_id}`, p.fee);
+  }
+  return fees;
+}
+
+/* ===============================
+   Costing
+   =============================== */
+
+function num(v) {
+  return v === null || v === undefined ? null : Number(v);
+}
+
+// lines of one order -> per-line { product, units, revenue, productCost, fees, ... }
+function costOrder(lines, processorFees) {
+  const o = lines[0];
+  const items = lines[0].product_name
+    ? lines.map((l) => ({ product: l.product_name, units: Number(l.quantity), lineCost: num(l.line_cost) }))
+    : [{ product: NO_LINE_ITEMS, units: 1, lineCost: null }];
+
+  const totalUnits = items.reduce((s, i) => s + i.units, 0) || 1;
+  const catalogueCost = items.reduce((s, i) => s + (i.lineCost ?? 0), 0);
+  const uncostedUnits = items.filter((i) => i.lineCost === null).reduce((s, i) => s + i.units, 0);
+
+  // what the export says the products cost, beyond what the catalogue priced
+  const exportCost = num(o.export_product_cost);
+  const remainder = uncostedUnits && exportCost !== null ? Math.max(0, exportCost - catalogueCost) : 0;
+
+  const processorFee = num(processorFees.get(`${o.account_id}:${o.order_id}`));
+  const fees = processorFee ?? num(o.export_fee) ?? 0;
+  const order = {
+    revenue: num(o.revenue),
+    fees,
+    shipping: num(o.shipping_cost) ?? 0,
+    other: num(o.other_cost) ?? 0,
+  };
+
+  return items.map((i) => {
+    const share = i.units / totalUnits;
+    const productCost = i.lineCost ?? (uncostedUnits ? (remainder * i.units) / uncostedUnits : 0);
+    return {
+      accountId: o.account_id,
+      orderId: o.order_id,
+      product: i.product,
+      store: o.store,
+      payment_method: o.payment_method,
+      day: dayOf(o.created_at),
+      units: i.units,
+      revenue: order.revenue * share,
+      productCost,
+      fees: order.fees * share,
+      shipping: order.shipping * share,
+      other: order.other * share,
+      // neither the catalogue nor the export had a cost for these
+      uncosted: i.lineCost === null && (exportCost === null || remainder === 0) ? i.units : 0,
+      estimatedFee: processorFee === null,
+    };
+  });
+}
+
+function groupLines(costed, by) {
+  const groups = new Map();
+
+  for (const l of costed) {
+    const key = by.map((d) => l[d]).join('\u0000');
+    const g = groups.get(key) || {
+      ...Object.fromEntries(by.map((d) => [d, l[d]])),
+      orders: new Set(),
+      feeOrders: new Set(),
+      units: 0,
+      revenue: 0,
+      productCost: 0,
+      fees: 0,
+      shipping: 0,
+      other: 0,
+      uncosted: 0,
+    };
+
+    const orderKey = `${l.accountId}:${l.orderId}`;
+    g.orders.add(orderKey);
+    if (l.estimatedFee) g.feeOrders.add(orderKey);
+    g.units += l.units;
+    g.revenue += l.revenue;
+    g.productCost += l.productCost;
+    g.fees += l.fees;
+    g.shipping += l.shipping;
+    g.other += l.other;
+    g.uncosted += l.uncosted;
+
+    groups.set(key, g);
+  }
+
+  return [...groups.values()];
+}
+
+function pct(part, whole) {
+  return whole ? ((part / whole) * 100).toFixed(1) : '';
+}
+
+function toRow(g, currency) {
+  const profit = g.revenue - g.productCost - g.fees - g.shipping - g.other;
+  return {
+    product: g.product ?? '',
+    store: g.store ?? '',
+    payment_method: g.payment_method ?? '',
+    day: g.day ?? '',
+    orders: g.orders.size,
+    units: g.units,
+    revenue: g.revenue.toFixed(2),
+    product_cost: g.productCost.toFixed(2),
+    fees: g.fees.toFixed(2),
+    shipping_cost: g.shipping.toFixed(2),
+    other_cost: g.other.toFixed(2),
+    profit: profit.toFixed(2),
+    margin_pct: pct(profit, g.revenue),
+    product_cost_pct: pct(g.productCost, g.revenue),
+    fees_pct: pct(g.fees, g.revenue),
+    shipping_pct: pct(g.shipping, g.revenue),
+    other_pct: pct(g.other, g.revenue),
+    uncosted_units: g.uncosted,
+    estimated_fee_orders: g.feeOrders.size,
+    currency,
+  };
+}
+
+function printTable(rows, total, by) {
+  const label = (r) => by.map((d) => r[d]).join(' | ');
+  const width = Math.min(48, Math.max(12, ...rows.map((r) => label(r).length)));
+
+  console.log('');
+  console.log(
+    `${by.join(' | ').padEnd(width)} | orders |  units |      revenue |       profit | margin | product |   fees |  ship |  other`
+  );
+  console.log('-'.repeat(width + 100));
+
+  for (const r of [...rows, total]) {
+    if (r === total) console.log('-'.repeat(width + 100));
+    console.log(
+      `${(r === total ? 'TOTAL' : label(r)).slice(0, width).padEnd(width)} | ${String(r.orders).padStart(6)} | ` +
+        `${String(r.units).padStart(6)} | ${r.revenue.padStart(12)} | ${r.profit.padStart(12)} | ` +
+        `${`${r.margin_pct}%`.padStart(6)} | ${`${r.product_cost_pct}%`.padStart(7)} | ${`${r.fees_pct}%`.padStart(6)} | ` +
+        `${`${r.shipping_pct}%`.padStart(5)} | ${`${r.other_pct}%`.padStart(6)}`
+    );
+  }
+
+  if (total.uncosted_units) {
+    console.log(
+      `\n⚠️ ${total.uncosted_units} unit(s) have no product cost — run product-costs.js missing; their margin is overstated`
+    );
+  }
+  if (total.estimated_fee_orders) {
+    console.log(`ℹ️ ${total.estimated_fee_orders} order(s) use the export's Transaction Cost (no matching payment found)`);
+  }
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      by: { type: 'string', default: 'product' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      account: { type: 'string' },
+      currency: { type: 'string', default: DEFAULT_REPORTING_CURRENCY },
+      csv: { type: 'string' },
+    },
+  });
+
+  const by = values.by.split(',').map((s) => s.trim()).filter(Boolean);
+  for (const d of by) {
+    if (!DIMENSIONS.includes(d)) throw new Error(`Unknown --by ${d} (want ${DIMENSIONS.join(', ')})`);
+  }
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since
+    ? parseDateArg('since', values.since)
+    : new Date(until.getTime() - 30 * DAY_MS);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const opts = { since, until, account: values.account || null, currency: normaliseCurrency(values.currency) };
+
+  await ensureFxSchema(pool);
+  await ensureTransactionColumns(pool);
+  await ensureOrderTables(pool);
+  await ensureProductCostTable(pool);
+
+  console.log(`🚀 Profit by ${by.join(', ')} ${since.toISOString()} → ${until.toISOString()} (${opts.currency})`);
+
+  const lines = await loadLines(opts);
+  const byOrder = new Map();
+  for (const l of lines) {
+    const key = `${l.account_id}:${l.order_id}`;
+    if (!byOrder.has(key)) byOrder.set(key, []);
+    byOrder.get(key).push(l);
+  }
+  // without a rate the revenue is unknown, but the costs are not: counting the
+  // order would show a loss it never made
+  const orders = [...byOrder.values()];
+  const priced = orders.filter((orderLines) => orderLines[0].revenue != null);
+  const noFx = orders.length - priced.length;
+
+  const processorFees = await loadProcessorFees(opts, lines);
+  const costed = priced.flatMap((orderLines) => costOrder(orderLines, processorFees));
+
+  if (noFx) console.log(`⚠️ ${noFx} order(s) have no FX rate for their date and are left out of the report`);
+  if (!costed.length) {
+    if (!noFx) console.log('No paid orders in range — import some with woo-import.js');
+    return;
+  }
+
+  const rows = groupLines(costed, by)
+    .map((g) => toRow(g, opts.currency))
+    .sort((a, b) => (by[0] === 'day' ? a.day.localeCompare(b.day) : Number(b.revenue) - Number(a.revenue)));
+  const total = toRow(groupLines(costed, [])[0], opts.currency);
+
+  printTable(rows, total, by);
+
+  if (values.csv) {
+    fs.writeFileSync(values.csv, toCsv(rows, [...by, ...METRIC_COLUMNS]));
+    console.log(`\n✅ CSV written to ${values.csv}`);
+  }
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message || err}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
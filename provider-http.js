@@ -0,0 +1,109 @@
+// provider-http.js — HTTP plumbing shared by the provider adapters
+// (provider-paypal.js, provider-square.js): request timeouts, 429 / network
+// backoff with Retry-After, and errors that keep the HTTP status so
+// mapError() and credential-health.js can tell auth failures apart.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const DEFAULTS = {
+  timeoutMs: 20000,
+  maxRetries: 6, // 429s
+  maxNetworkRetries: 3,
+  baseBackoffMs: 5000,
+  maxBackoffMs: 120000,
+};
+
+function jitter(ms) {
+  // +/- 20%
+  const j = ms * (0.8 + Math.random() * 0.4);
+  return Math.floor(j);
+}
+
+function backoffMs(attempt, opts) {
+  return Math.min(opts.maxBackoffMs, jitter(opts.baseBackoffMs * Math.pow(2, attempt - 1)));
+}
+
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULTS.timeoutMs) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        Accept: 'application/json',
+        ...(options.headers || {}),
+      },
+    });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function parseRetryAfterMs(resp) {
+  const ra = resp.headers?.get?.('retry-after');
+  if (!ra) return null;
+  const sec = Number(ra);
+  if (Number.isFinite(sec) && sec > 0) return sec * 1000;
+  return null;
+}
+
+// fetchWithTimeout, retrying network hangs and 429s with exponential backoff
+// (Retry-After wins when the API sends one). Resolves to the first non-429
+// response, whatever its status. opts: label for log lines plus any DEFAULTS.
+async function fetchWithBackoff(url, options = {}, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const label = o.label || 'request';
+  let attempt = 0;
+
+  while (true) {
+    attempt += 1;
+
+    let resp;
+    try {
+      resp = await fetchWithTimeout(url, options, o.timeoutMs);
+    } catch (e) {
+      if (attempt >= o.maxNetworkRetries) throw new Error(`${label}: network timeout/hang`);
+      const wait = backoffMs(attempt, o);
+      console.log(`   ⏳ ${label}: network issue, retry in ${Math.round(wait / 1000)}s...`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (resp.status !== 429) return resp;
+
+    const retryAfter = parseRetryAfterMs(resp);
+    const wait = retryAfter ?? backoffMs(attempt, o);
+    const body = await resp.text().catch(() => '');
+    console.log(
+      `   🛑 429 rate limited (${label}) — wait ${Math.round(wait / 1000)}s` + (retryAfter ? ' (Retry-After)' : '')
+    );
+    if (body) console.log(`   ↳ ${body.slice(0, 200)}`);
+
+    if (attempt >= o.maxRetries) {
+      const err = new Error(`RATE_LIMIT_REACHED (too many 429 retries, ${label})`);
+      err.statusCode = 429;
+      throw err;
+    }
+    await sleep(wait);
+  }
+}
+
+// Error for a non-2xx response: "<label> failed (<status>) <body>", with
+// statusCode set like the Stripe SDK's errors
+async function httpError(label, resp) {
+  const text = await resp.text().catch(() => '');
+  const err = new Error(`${label} failed (${resp.status}) ${text}`.slice(0, 350));
+  err.statusCode = resp.status;
+  return err;
+}
+
+module.exports = {
+  sleep,
+  jitter,
+  fetchWithTimeout,
+  parseRetryAfterMs,
+  fetchWithBackoff,
+  httpError,
+};
@@ -0,0 +1,294 @@
+// provider-paypal.js — PayPal adapter (interface in providers.js), Reporting API
+//
+// Incremental polls fetch a small capped window (PAYPAL_MAX_WINDOW_HOURS back
+// at most, from the end of the last fully fetched window minus
+// PAYPAL_OVERLAP_MINUTES): the Reporting API lags and rate-limits hard. The
+// cursor ({ synced_through }) only moves once the whole window is in.
+// Backfills walk the range in chunks of at most 31 days, the API's limit,
+// with a fresh token per chunk; the cursor records the last finished chunk
+// ({ done_through }) so a rerun picks up after it. A range first started by
+// the old poller-paypal.js resumes from its paypal_backfill_chunks rows.
+//
+// Withdrawals to the bank (event codes T04xx) come through the same pages and
+// are handed back as payouts (payouts.js), with PayPal's balance after each
+// one, which payout-ledger.js reconciles against.
+
+const { normalise, EVENT_KINDS } = require('./transactions');
+const { realtimeWindow } = require('./providers');
+const { sleep, fetchWithTimeout, fetchWithBackoff, httpError } = require('./provider-http');
+
+const PAYPAL_API = process.env.PAYPAL_API || 'https://api-m.paypal.com';
+
+// “Realtime mode” — keep it small to avoid rate limits
+const MAX_WINDOW_HOURS = Number(process.env.PAYPAL_MAX_WINDOW_HOURS || 6); // cap window to last N hours
+const OVERLAP_MINUTES = Number(process.env.PAYPAL_OVERLAP_MINUTES || 120);
+
+// Request tuning
+const PAGE_SIZE = Number(process.env.PAYPAL_PAGE_SIZE || 100); // smaller pages reduce payload
+const BETWEEN_ACCOUNT_SLEEP_MS = Number(process.env.PAYPAL_BETWEEN_ACCOUNT_SLEEP_MS || 1500);
+const BETWEEN_PAGE_SLEEP_MS = Number(process.env.PAYPAL_BETWEEN_PAGE_SLEEP_MS || 500);
+
+const HTTP = {
+  timeoutMs: Number(process.env.PAYPAL_REQ_TIMEOUT_MS || 20000),
+  maxRetries: Number(process.env.PAYPAL_MAX_429_RETRIES || 6),
+  baseBackoffMs: Number(process.env.PAYPAL_BASE_BACKOFF_MS || 5000),
+  maxBackoffMs: Number(process.env.PAYPAL_MAX_BACKOFF_MS || 120000),
+};
+
+// Backfill — the Reporting API rejects ranges longer than 31 days
+const BACKFILL_CHUNK_DAYS = Math.min(31, Number(process.env.PAYPAL_BACKFILL_CHUNK_DAYS || 31));
+
+// PayPal Reporting event codes
+// T0006 = payment received (we treat as “capture/inflow” only if amount > 0)
+// T1106 = payment reversal, T1107 = refund, T1201 = chargeback, T1202 = chargeback reversal
+// — these carry the original transaction in paypal_reference_id
+const PAYPAL_EVENTS = new Set(Object.keys(EVENT_KINDS.paypal));
+
+// T0400 general withdrawal, T0401 AutoSweep, T0403 withdrawal via bank transfer ...
+const WITHDRAWAL_EVENT = /^T04\d\d$/;
+const WITHDRAWAL_STATUS = { S: 'paid', P: 'pending', D: 'failed', V: 'reversed' };
+
+/* ===============================
+   Auth
+   =============================== */
+
+async function getAccessToken(clientId, clientSecret) {
+  const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  const resp = await fetchWithTimeout(
+    `${PAYPAL_API}/v1/oauth2/token`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${auth}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: 'grant_type=client_credentials',
+    },
+    HTTP.timeoutMs
+  );
+
+  if (!resp.ok) throw await httpError('OAuth', resp);
+
+  const json = await resp.json();
+  if (!json?.access_token) throw new Error('OAuth response missing access_token');
+  return json.access_token;
+}
+
+async function authenticate(cred) {
+  const token = await getAccessToken(cred.paypal_client_id, cred.paypal_client_secret);
+  return { cred, token };
+}
+
+async function check() {
+  return 'OAuth token issued';
+}
+
+/* ===============================
+   Reporting API
+   =============================== */
+
+async function* reportingPages(token, startISO, endISO) {
+  let page = 1;
+  let total = 0;
+
+  while (true) {
+    const url =
+      `${PAYPAL_API}/v1/reporting/transactions` +
+      `?start_date=${encodeURIComponent(startISO)}` +
+      `&end_date=${encodeURIComponent(endISO)}` +
+      `&fields=transaction_info,payer_info` +
+      `&page_size=${PAGE_SIZE}` +
+      `&page=${page}`;
+
+    console.log(`   📡 reporting page ${page} (timeout ${HTTP.timeoutMs}ms)`);
+    const resp = await fetchWithBackoff(
+      url,
+      { headers: { Authorization: `Bearer ${token}` } },
+      { ...HTTP, label: `reporting page ${page}` }
+    );
+    if (!resp.ok) throw await httpError('Reporting API', resp);
+
+    const json = await resp.json();
+    const details = Array.isArray(json?.transaction_details) ? json.transaction_details : [];
+    total += details.length;
+
+    const totalPages = Number(json?.total_pages || 1);
+    console.log(`   ✅ page ${page}/${totalPages}  +${details.length}  total=${total}`);
+    yield details;
+
+    if (page >= totalPages) break;
+    page += 1;
+
+    await sleep(BETWEEN_PAGE_SLEEP_MS);
+  }
+}
+
+function toEvents(details) {
+  const events = [];
+
+  for (const t of details) {
+    const info = t?.transaction_info;
+    if (!info) continue;
+
+    const eventType = info.transaction_event_code;
+    if (!PAYPAL_EVENTS.has(eventType)) continue;
+
+    const id = info.transaction_id;
+    const occurredAt =
+      info.transaction_initiation_date ||
+      info.transaction_updated_date ||
+      info.transaction_event_date;
+
+    if (!id || !occurredAt) continue;
+
+    const relatedId =
+      eventType !== 'T0006' && info.paypal_reference_id_type === 'TXN' ? info.paypal_reference_id : null;
+
+    events.push({ id, eventType, payload: t, occurredAt, relatedId });
+  }
+
+  return events;
+}
+
+function toPayouts(details) {
+  const payouts = [];
+
+  for (const t of details) {
+    const info = t?.transaction_info;
+    if (!info || !WITHDRAWAL_EVENT.test(info.transaction_event_code || '')) continue;
+
+    const amount = Number(info.transaction_amount?.value);
+    const createdAt = info.transaction_initiation_date || info.transaction_updated_date;
+    if (!info.transaction_id || !Number.isFinite(amount) || !createdAt) continue;
+
+    const ending = Number(info.ending_balance?.value);
+    payouts.push({
+      id: info.transaction_id,
+      // withdrawals are negative in the report
+      amount: Math.abs(amount),
+      currency: info.transaction_amount.currency_code,
+      status: WITHDRAWAL_STATUS[info.transaction_status] || info.transaction_status || null,
+      createdAt,
+      endingBalance:
+        info.ending_balance?.currency_code === info.transaction_amount.currency_code && Number.isFinite(ending)
+          ? ending
+          : null,
+      payload: t,
+    });
+  }
+
+  return payouts;
+}
+
+// Split [from, to) into consecutive chunks of at most BACKFILL_CHUNK_DAYS.
+// Chunk boundaries only depend on the requested range, so a rerun with the
+// same arguments lines up with the saved cursor.
+function splitRange(from, to) {
+  const chunkMs = BACKFILL_CHUNK_DAYS * 24 * 60 * 60 * 1000;
+  const chunks = [];
+  for (let s = from.getTime(); s < to.getTime(); s += chunkMs) {
+    chunks.push({
+      startISO: new Date(s).toISOString(),
+      endISO: new Date(Math.min(to.getTime(), s + chunkMs)).toISOString(),
+    });
+  }
+  return chunks;
+}
+
+// Backfills used to checkpoint in paypal_backfill_chunks, one row per chunk
+// with the same boundaries as splitRange(); the finished chunks at the start
+// of the range become this run's done_through
+async function legacyDoneThrough(db, accountId, chunks) {
+  const { rows: found } = await db.query(`SELECT to_regclass('public.paypal_backfill_chunks') AS t`);
+  if (!found[0].t) return null;
+
+  const { rows } = await db.query(
+    `SELECT range_start, range_end FROM paypal_backfill_chunks WHERE account_id = $1 AND status = 'done'`,
+    [String(accountId)]
+  );
+  const done = new Set(rows.map((r) => `${new Date(r.range_start).toISOString()}|${new Date(r.range_end).toISOString()}`));
+
+  let doneThrough = null;
+  for (const chunk of chunks) {
+    if (!done.has(`${chunk.startISO}|${chunk.endISO}`)) break;
+    doneThrough = chunk.endISO;
+  }
+  if (doneThrough) console.log(`   ↻ carried over checkpoints from paypal_backfill_chunks (done through ${doneThrough})`);
+  return doneThrough;
+}
+
+async function* listEvents(session, cursor, ctx) {
+  if (!ctx.range) {
+    const { start, end } = realtimeWindow(cursor, {
+      maxWindowHours: MAX_WINDOW_HOURS,
+      overlapMinutes: OVERLAP_MINUTES,
+    });
+    const synced = { synced_through: cursor?.synced_through || null };
+    console.log(`   🕒 window ${start.toISOString()} → ${end.toISOString()}`);
+
+    for await (const details of reportingPages(session.token, start.toISOString(), end.toISOString())) {
+      yield { events: toEvents(details), payouts: toPayouts(details), cursor: synced };
+    }
+    yield { events: [], cursor: { synced_through: end.toISOString() } };
+    return;
+  }
+
+  const chunks = splitRange(ctx.range.from, ctx.range.to);
+  let doneThrough = cursor?.done_through || (await legacyDoneThrough(ctx.db, ctx.accountId, chunks));
+  console.log(`   ${chunks.length} chunk(s) of ≤${BACKFILL_CHUNK_DAYS}d`);
+
+  for (const [i, chunk] of chunks.entries()) {
+    console.log(`\n🕒 chunk ${chunk.startISO} → ${chunk.endISO}`);
+    if (doneThrough && chunk.endISO <= doneThrough) {
+      console.log('   ✅ already done (checkpoint)');
+      continue;
+    }
+
+    // Fresh token per chunk — long backfills outlive a single token
+    const token = i ? await getAccessToken(session.cred.paypal_client_id, session.cred.paypal_client_secret) : session.token;
+
+    for await (const details of reportingPages(token, chunk.startISO, chunk.endISO)) {
+      yield { events: toEvents(details), payouts: toPayouts(details), cursor: { done_through: doneThrough } };
+    }
+
+    doneThrough = chunk.endISO;
+    yield { events: [], cursor: { done_through: doneThrough } };
+    await sleep(BETWEEN_PAGE_SLEEP_MS);
+  }
+}
+
+function mapError(err) {
+  const msg = String(err?.message || err);
+
+  if (msg.includes('invalid_client')) {
+    return { auth: true, rateLimited: false, message: '❌ OAuth failed (invalid_client) — bad PayPal creds for this account' };
+  }
+  if (msg.includes('NOT_AUTHORIZED') || msg.includes('insufficient permissions') || err?.statusCode === 403) {
+    return {
+      auth: true,
+      rateLimited: false,
+      message: '❌ Reporting API 403 — PayPal app lacks reporting permissions/scopes',
+    };
+  }
+  if (err?.statusCode === 401) {
+    return { auth: true, rateLimited: false, message: `❌ PayPal rejected the token: ${msg}` };
+  }
+  if (msg.includes('RATE_LIMIT_REACHED') || err?.statusCode === 429) {
+    return { auth: false, rateLimited: true, message: '🛑 PayPal rate limited — poll slowed/backed off (try again shortly)' };
+  }
+  return { auth: false, rateLimited: false, message: `❌ PayPal poll failed: ${msg}` };
+}
+
+module.exports = {
+  provider: 'paypal',
+  label: 'PayPal',
+  credentialColumns: ['paypal_client_id', 'paypal_client_secret'],
+  betweenAccountsMs: BETWEEN_ACCOUNT_SLEEP_MS,
+  authenticate,
+  check,
+  listEvents,
+  normalise: (eventType, payload) => normalise('paypal', eventType, payload),
+  mapError,
+  getAccessToken,
+};
@@ -0,0 +1,174 @@
+// provider-square.js — Square adapter (interface in providers.js), Payments API
+//
+// Lists payments and refunds for every active location by created_at
+// (begin_time / end_time) and Square's page cursor. Refunds are linked to
+// their payment through related_provider_event_id.
+//
+// Incremental polls use a capped, overlapping window like PayPal's
+// (SQUARE_MAX_WINDOW_HOURS back at most, from the end of the last fully
+// fetched window, { synced_through }, minus SQUARE_OVERLAP_MINUTES). A
+// backfill walks the whole range; its cursor ({ done, key, page }) records
+// finished location/resource pairs and Square's cursor for the one in progress.
+//
+// SQUARE_API defaults to production. Point it at
+// https://connect.squareupsandbox.com for a sandbox token, or at
+// square-mock-server.js (http://localhost:8091) to try it without an account.
+
+const { normalise } = require('./transactions');
+const { realtimeWindow } = require('./providers');
+const { fetchWithBackoff, httpError } = require('./provider-http');
+
+const SQUARE_API = process.env.SQUARE_API || 'https://connect.squareup.com';
+const SQUARE_VERSION = process.env.SQUARE_VERSION || '2024-10-17';
+
+const MAX_WINDOW_HOURS = Number(process.env.SQUARE_MAX_WINDOW_HOURS || 24);
+const OVERLAP_MINUTES = Number(process.env.SQUARE_OVERLAP_MINUTES || 60);
+const PAGE_SIZE = Number(process.env.SQUARE_PAGE_SIZE || 100); // Square max is 100
+
+const HTTP = {
+  timeoutMs: Number(process.env.SQUARE_REQ_TIMEOUT_MS || 20000),
+  maxRetries: Number(process.env.SQUARE_MAX_429_RETRIES || 6),
+  baseBackoffMs: Number(process.env.SQUARE_BASE_BACKOFF_MS || 2000),
+  maxBackoffMs: Number(process.env.SQUARE_MAX_BACKOFF_MS || 60000),
+};
+
+// What we pull from Square and how each object maps onto a transactions row
+const RESOURCES = {
+  payments: { path: '/v2/payments', key: 'payments', eventType: 'payment', related: () => null },
+  refunds: { path: '/v2/refunds', key: 'refunds', eventType: 'refund', related: (r) => r.payment_id },
+};
+
+async function ensureSchema(db) {
+  await db.query(`ALTER TABLE credentials ADD COLUMN IF NOT EXISTS square_access_token text`);
+}
+
+function headers(token) {
+  return {
+    Authorization: `Bearer ${token}`,
+    'Square-Version': SQUARE_VERSION,
+  };
+}
+
+// the access token is checked by listing locations, which we need anyway
+async function authenticate(cred) {
+  const token = cred.square_access_token;
+  const resp = await fetchWithBackoff(`${SQUARE_API}/v2/locations`, { headers: headers(token) }, {
+    ...HTTP,
+    label: 'locations',
+  });
+  if (!resp.ok) throw await httpError('Square Locations API', resp);
+
+  const json = await resp.json();
+  const locations = (json.locations || []).filter((l) => l.status === 'ACTIVE');
+  return { token, locations };
+}
+
+async function check(session) {
+  const names = session.locations.map((l) => `${l.name} (${l.currency})`);
+  return `${names.length} active location(s)${names.length ? `: ${names.join(', ')}` : ''}`;
+}
+
+function toEvent(spec, obj) {
+  return {
+    id: obj.id,
+    eventType: spec.eventType,
+    payload: obj,
+    occurredAt: obj.created_at,
+    relatedId: spec.related(obj) || null,
+  };
+}
+
+async function* listEvents(session, cursor, ctx) {
+  let start;
+  let end;
+  if (ctx.range) {
+    ({ from: start, to: end } = ctx.range);
+  } else {
+    ({ start, end } = realtimeWindow(cursor, {
+      maxWindowHours: MAX_WINDOW_HOURS,
+      overlapMinutes: OVERLAP_MINUTES,
+    }));
+    console.log(`   🕒 window ${start.toISOString()} → ${end.toISOString()}`);
+  }
+
+  // only a backfill resumes; an incremental window is recomputed every run and
+  // keeps the previous synced_through until it is finished
+  const saved = (ctx.range && cursor) || {};
+  const done = new Set(saved.done || []);
+  const base = ctx.range ? {} : { synced_through: cursor?.synced_through || null };
+
+  for (const location of session.locations) {
+    for (const [resource, spec] of Object.entries(RESOURCES)) {
+      const key = `${location.id}:${resource}`;
+      if (done.has(key)) continue;
+
+      let page = saved.key === key ? saved.page : null;
+      if (page) console.log(`   ↻ ${location.name} ${resource}: resuming from checkpoint`);
+      let fetched = 0;
+
+      while (true) {
+        const params = new URLSearchParams({
+          begin_time: start.toISOString(),
+          end_time: end.toISOString(),
+          sort_order: 'ASC',
+          location_id: location.id,
+          limit: String(PAGE_SIZE),
+        });
+        if (page) params.set('cursor', page);
+
+        const resp = await fetchWithBackoff(`${SQUARE_API}${spec.path}?${params}`, { headers: headers(session.token) }, {
+          ...HTTP,
+          label: `${resource} ${location.id}`,
+        });
+        if (!resp.ok) throw await httpError(`Square ${resource} API`, resp);
+
+        const json = await resp.json();
+        const items = json[spec.key] || [];
+        page = json.cursor || null;
+        fetched += items.length;
+
+        if (items.length) console.log(`   ${location.name} ${resource} page +${items.length}  total=${fetched}`);
+        yield { events: items.map((obj) => toEvent(spec, obj)), cursor: { ...base, done: [...done], key, page } };
+
+        if (!page) break;
+      }
+
+      done.add(key);
+      yield { events: [], cursor: { ...base, done: [...done], key: null, page: null } };
+    }
+  }
+
+  if (!ctx.range) yield { events: [], cursor: { synced_through: end.toISOString() } };
+}
+
+// Square errors: { errors: [{ category, code, detail }] } with the HTTP status
+function mapError(err) {
+  const msg = String(err?.message || err);
+
+  if (err?.statusCode === 401) {
+    return { auth: true, rateLimited: false, message: '❌ Square rejected the access token (401) — revoked or expired' };
+  }
+  if (err?.statusCode === 403) {
+    return {
+      auth: true,
+      rateLimited: false,
+      message: '❌ Square 403 — token lacks PAYMENTS_READ / MERCHANT_PROFILE_READ',
+    };
+  }
+  if (msg.includes('RATE_LIMIT_REACHED') || err?.statusCode === 429) {
+    return { auth: false, rateLimited: true, message: '🛑 Square rate limited — try again shortly' };
+  }
+  return { auth: false, rateLimited: false, message: `❌ Square poll failed: ${msg}` };
+}
+
+module.exports = {
+  provider: 'square',
+  label: 'Square',
+  credentialColumns: ['square_access_token'],
+  ensureSchema,
+  authenticate,
+  check,
+  listEvents,
+  normalise: (eventType, payload) => normalise('square', eventType, payload),
+  mapError,
+};
@@ -0,0 +1,299 @@
+// provider-stripe.js — Stripe adapter (interface in providers.js)
+//
+// Pages through charges, refunds and disputes with created[gte]/created[lt]
+// and starting_after. Refunds and disputes are stored as their own rows,
+// linked to the charge through related_provider_event_id. Charges and refunds
+// come with their balance_transaction expanded, which is where the fee is.
+// Regular polls also re-read disputes still open, so won / lost lands.
+//
+// listPayouts / listPayoutItems serve payout-ledger.js: payouts by created
+// date, and the balance transactions a payout settled (automatic payouts only;
+// Stripe can't itemise manual ones).
+//
+// Cursor, one entry per resource:
+//   { charges: { cursor_created, window_start, window_end, starting_after, completed }, refunds: ..., disputes: ... }
+// cursor_created is the high-water mark of the last completed walk. A walk
+// covers window_start <= created < window_end newest first, and starting_after
+// lets an interrupted walk resume mid-window instead of starting over.
+
+const Stripe = require('stripe');
+const { normalise, minorToMajor } = require('./transactions');
+
+const PAGE_SIZE = Number(process.env.STRIPE_PAGE_SIZE || 100); // Stripe max is 100
+const OVERLAP_SECONDS = Number(process.env.STRIPE_OVERLAP_SECONDS || 300);
+const INITIAL_LOOKBACK_HOURS = Number(process.env.STRIPE_INITIAL_LOOKBACK_HOURS || 24);
+const OPEN_DISPUTE_STATUSES = ['needs_response', 'under_review', 'warning_needs_response', 'warning_under_review'];
+
+// What we pull from Stripe and how each object maps onto a transactions row
+const RESOURCES = {
+  charges: {
+    eventType: 'charge',
+    list: (stripe) => stripe.charges,
+    related: () => null,
+    expand: ['data.balance_transaction'],
+  },
+  refunds: {
+    eventType: 'refund',
+    list: (stripe) => stripe.refunds,
+    related: (o) => o.charge,
+    expand: ['data.balance_transaction'],
+  },
+  // balance_transactions are always included on disputes
+  disputes: { eventType: 'dispute', list: (stripe) => stripe.disputes, related: (o) => o.charge },
+};
+
+// Cursors used to live in stripe_sync_state (one row per resource, with
+// ':refunds' / ':disputes' appended to the scope); carry them over so the
+// first run after the move doesn't lose its place
+async function ensureSchema(db) {
+  const { rows: found } = await db.query(`SELECT to_regclass('public.stripe_sync_state') AS t`);
+  if (!found[0].t) return;
+
+  const { rows } = await db.query(`SELECT * FROM stripe_sync_state`);
+  const byScope = new Map();
+
+  for (const r of rows) {
+    const [, scope, resource = 'charges'] = /^(.*?)(?::(refunds|disputes))?$/.exec(r.scope);
+    const key = `${r.credential_id}\n${scope}`;
+    if (!byScope.has(key)) byScope.set(key, { credentialId: r.credential_id, scope, cursor: {} });
+
+    const n = (v) => (v == null ? null : Number(v));
+    byScope.get(key).cursor[resource] = {
+      cursor_created: n(r.cursor_created),
+      window_start: n(r.window_start),
+      window_end: n(r.window_end),
+      starting_after: r.starting_after || null,
+      completed: Boolean(r.completed_at),
+    };
+  }
+
+  for (const { credentialId, scope, cursor } of byScope.values()) {
+    const done = Object.keys(RESOURCES).every((res) => cursor[res]?.completed);
+    await db.query(
+      `
+      INSERT INTO provider_sync_state (provider, credential_id, scope, cursor, completed_at)
+      VALUES ('stripe', $1, $2, $3, $4)
+      ON CONFLICT (provider, credential_id, scope) DO NOTHING
+      `,
+      [credentialId, scope, JSON.stringify(cursor), done && scope !== 'incremental' ? new Date() : null]
+    );
+  }
+}
+
+async function authenticate(cred) {
+  return new Stripe(cred.stripe_secret_key);
+}
+
+async function check(stripe) {
+  const balance = await stripe.balance.retrieve();
+  const available = balance.available
+    .map((b) => `${(b.amount / 100).toFixed(2)} ${b.currency.toUpperCase()}`)
+    .join(', ');
+  return `balance available: ${available || 'none'}${balance.livemode ? '' : ' (test mode)'}`;
+}
+
+function toEvent(spec, obj) {
+  const related = spec.related(obj);
+  return {
+    id: obj.id,
+    eventType: spec.eventType,
+    payload: obj,
+    occurredAt: new Date(obj.created * 1000),
+    relatedId: typeof related === 'string' ? related : related?.id || null,
+  };
+}
+
+// the window this run walks for one resource, given its saved cursor entry
+function startWalk(resource, saved, range) {
+  if (range) {
+    if (saved.starting_after) console.log(`   ↻ ${resource}: resuming from checkpoint after ${saved.starting_after}`);
+    return {
+      window_start: Math.floor(range.from.getTime() / 1000),
+      window_end: Math.floor(range.to.getTime() / 1000),
+      starting_after: saved.starting_after || null,
+      completed: false,
+    };
+  }
+
+  if (saved.window_end != null && !saved.completed) {
+    console.log(`   ↻ ${resource}: resuming interrupted walk after ${saved.starting_after || '(start)'}`);
+    return { ...saved };
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  const from = saved.cursor_created ?? nowSec - INITIAL_LOOKBACK_HOURS * 3600;
+  return {
+    cursor_created: saved.cursor_created ?? null,
+    window_start: Math.max(0, from - OVERLAP_SECONDS),
+    window_end: nowSec + 1,
+    starting_after: null,
+    completed: false,
+  };
+}
+
+async function* listEvents(stripe, cursor, ctx) {
+  const next = { ...(cursor || {}) };
+
+  for (const [resource, spec] of Object.entries(RESOURCES)) {
+    const saved = next[resource] || {};
+    if (ctx.range && saved.completed) {
+      console.log(`   ✅ ${resource} already completed`);
+      continue;
+    }
+
+    const state = startWalk(resource, saved, ctx.range);
+    next[resource] = state;
+    let fetched = 0;
+
+    while (true) {
+      const params = {
+        limit: PAGE_SIZE,
+        created: { gte: state.window_start, lt: state.window_end },
+      };
+      if (state.starting_after) params.starting_after = state.starting_after;
+      if (spec.expand) params.expand = spec.expand;
+
+      const page = await spec.list(stripe).list(params);
+      if (!page.data.length) break;
+
+      state.starting_after = page.data[page.data.length - 1].id;
+      fetched += page.data.length;
+      console.log(`   ${resource} page +${page.data.length}  total=${fetched}`);
+      yield { events: page.data.map((obj) => toEvent(spec, obj)), cursor: next };
+
+      if (!page.has_more) break;
+    }
+
+    // Only move the cursor once the whole window has been walked
+    state.cursor_created = state.window_end;
+    state.starting_after = null;
+    state.completed = true;
+    yield { events: [], cursor: next };
+  }
+
+  if (!ctx.range) yield* refreshOpenDisputes(stripe, next, ctx);
+}
+
+// Disputes are won or lost weeks after they open, long after the walk has
+// passed them; re-read the ones still open so their status catches up
+async function* refreshOpenDisputes(stripe, cursor, ctx) {
+  const { rows } = await ctx.db.query(
+    `
+    SELECT provider_event_id FROM transactions
+    WHERE provider = 'stripe' AND event_type = 'dispute' AND account_id = $1
+      AND payload_json->>'status' = ANY($2)
+    ORDER BY occurred_at
+    LIMIT $3
+    `,
+    [ctx.accountId, OPEN_DISPUTE_STATUSES, PAGE_SIZE]
+  );
+  if (!rows.length) return;
+
+  const events = [];
+  for (const { provider_event_id: id } of rows) {
+    try {
+      events.push(toEvent(RESOURCES.disputes, await stripe.disputes.retrieve(id)));
+    } catch (err) {
+      // another credential's Stripe account (one store can have several)
+      if (err?.code !== 'resource_missing') throw err;
+    }
+  }
+  console.log(`   disputes: re-read ${events.length} open`);
+  yield { events, cursor };
+}
+
+/* ===============================
+   Payouts
+   =============================== */
+
+function toPayout(po) {
+  const currency = po.currency.toUpperCase();
+  return {
+    id: po.id,
+    amount: minorToMajor(po.amount, currency),
+    currency,
+    status: po.status,
+    automatic: po.automatic,
+    createdAt: new Date(po.created * 1000),
+    arrivalDate: po.arrival_date ? new Date(po.arrival_date * 1000).toISOString().slice(0, 10) : null,
+    payload: po,
+  };
+}
+
+// payouts created since `since` (Date), a page at a time
+async function* listPayouts(stripe, { since }) {
+  let startingAfter = null;
+
+  while (true) {
+    const params = { limit: PAGE_SIZE, created: { gte: Math.floor(since.getTime() / 1000) } };
+    if (startingAfter) params.starting_after = startingAfter;
+
+    const page = await stripe.payouts.list(params);
+    if (!page.data.length) break;
+
+    yield page.data.map(toPayout);
+    startingAfter = page.data[page.data.length - 1].id;
+    if (!page.has_more) break;
+  }
+}
+
+// every balance transaction the payout settled, including the payout's own
+async function listPayoutItems(stripe, payoutId) {
+  const items = [];
+  let startingAfter = null;
+
+  while (true) {
+    const params = { payout: payoutId, limit: PAGE_SIZE };
+    if (startingAfter) params.starting_after = startingAfter;
+
+    const page = await stripe.balanceTransactions.list(params);
+    for (const bt of page.data) {
+      const currency = bt.currency.toUpperCase();
+      items.push({
+        id: bt.id,
+        sourceId: typeof bt.source === 'string' ? bt.source : bt.source?.id || null,
+        type: bt.type,
+        amount: minorToMajor(bt.amount, currency),
+        fee: minorToMajor(bt.fee, currency),
+        net: minorToMajor(bt.net, currency),
+        currency,
+      });
+    }
+
+    if (!page.has_more || !page.data.length) break;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+  return items;
+}
+
+function mapError(err) {
+  const type = err?.type;
+  if (type === 'StripeAuthenticationError') {
+    return { auth: true, rateLimited: false, message: '❌ Stripe rejected the API key — revoked, or from another account' };
+  }
+  if (type === 'StripePermissionError') {
+    return {
+      auth: true,
+      rateLimited: false,
+      message: '❌ Stripe 403 — restricted key lacks read access to charges/refunds/disputes/payouts/balance',
+    };
+  }
+  if (type === 'StripeRateLimitError') {
+    return { auth: false, rateLimited: true, message: '🛑 Stripe rate limited — try again shortly' };
+  }
+  return { auth: false, rateLimited: false, message: `❌ ${err?.message || err}` };
+}
+
+module.exports = {
+  provider: 'stripe',
+  label: 'Stripe',
+  credentialColumns: ['stripe_secret_key'],
+  ensureSchema,
+  authenticate,
+  check,
+  listEvents,
+  listPayouts,
+  listPayoutItems,
+  normalise: (eventType, payload) => normalise('stripe', eventType, payload),
+  mapError,
+};
@@ -0,0 +1,390 @@
+// providers.js — payment processor adapters and the poll loop they share
+//
+// An adapter (provider-stripe.js, provider-paypal.js, provider-square.js)
+// only knows its own API:
+//
+//   provider           'stripe' — transactions.provider, poller name, lock namespace
+//   label              'Stripe', for log lines
+//   credentialColumns  credentials columns it needs, all non-null; secrets
+//                      among them may be encrypted (credential-crypto.js)
+//   ensureSchema(db)   optional — its own columns / tables
+//   authenticate(cred) decrypted credentials row -> session for the calls below
+//   check(session)     live check for accounts-cli.js, resolves to a one-line description
+//   listEvents(session, cursor, ctx)
+//                      async iterable of pages { events, cursor }. An event is
+//                      { id, eventType, payload, occurredAt, relatedId }. The
+//                      cursor is the adapter's own JSON: it is saved after each
+//                      page's events are stored and handed back on the next run
+//                      (null the first time). ctx = { db, accountId, range },
+//                      range = { from, to } (Dates) for a backfill, else null.
+//                      A page may also carry payouts: [{ id, amount, currency,
+//                      status, createdAt, ... }] (see payouts.js), for APIs
+//                      that report withdrawals alongside payments.
+//   normalise(eventType, payload)   NORMALISED_COLUMNS values (transactions.js)
+//   mapError(err)      { auth, rateLimited, message } — auth failures count
+//                      towards auto-disable (credential-health.js)
+//   betweenAccountsMs  optional pause between accounts
+//   listPayouts(session, { since })   optional async iterable of payout
+//                      pages, and listPayoutItems(session, payoutId) for what
+//                      a payout settled — payout-ledger.js syncs these
+//
+// Everything else lives here: loading credentials, advisory locks, cursors,
+// the insert, credential health, poller status and poll_runs. createPoller()
+// wraps it all up for poller.js / poller-paypal.js / poller-square.js.
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { insertVerifiedTransaction, ensureTransactionColumns } = require('./transactions');
+const { ensurePayoutTables, upsertPayout } = require('./payouts');
+const { recordPollerSuccess, recordPollerFailure, trackPollRun } = require('./poller-status');
+const { withAdvisoryLock } = require('./locks');
+const { decryptCredential, ensureCredentialCryptoColumns } = require('./credential-crypto');
+const {
+  ensureCredentialHealthColumns,
+  recordCredentialSuccess,
+  recordCredentialFailure,
+} = require('./credential-health');
+const { sleep } = require('./provider-http');
+
+// loaded on first use so the Stripe poller doesn't need PayPal's config and so on
+const ADAPTERS = {
+  stripe: () => require('./provider-stripe'),
+  paypal: () => require('./provider-paypal'),
+  square: () => require('./provider-square'),
+};
+
+const PROVIDERS = Object.keys(ADAPTERS);
+
+function getAdapter(provider) {
+  if (!ADAPTERS[provider]) throw new Error(`Unknown provider ${provider} (want ${PROVIDERS.join(', ')})`);
+  return ADAPTERS[provider]();
+}
+
+async function ensureProviderSchema(db, adapter) {
+  await ensureTransactionColumns(db);
+  await ensureCredentialCryptoColumns(db);
+  await ensureCredentialHealthColumns(db);
+  await ensurePayoutTables(db);
+
+  // One row per credential and scope: 'incremental' for the regular poll,
+  // 'backfill:<from>:<to>' (epoch seconds) for a backfill range
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS provider_sync_state (
+      provider text NOT NULL,
+      credential_id text NOT NULL,
+      scope text NOT NULL,
+      cursor jsonb,
+      completed_at timestamptz,
+      updated_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (provider, credential_id, scope)
+    )
+  `);
+
+  if (adapter.ensureSchema) await adapter.ensureSchema(db);
+}
+
+/* ===============================
+   Credentials + cursors
+   =============================== */
+
+async function loadCredentials(db, adapter, accountId = null) {
+  const cols = adapter.credentialColumns;
+  const { rows } = await db.query(
+    `
+    SELECT
+      c.id AS credential_id,
+      a.id AS account_id,
+      a.label,
+      ${cols.map((c) => `c.${c}`).join(',\n      ')},
+      c.dek_wrapped
+    FROM credentials c
+    JOIN accounts a ON a.id = c.account_id
+    WHERE c.provider = $1
+      AND c.is_active = true
+      AND ${cols.map((c) => `c.${c} IS NOT NULL`).join(' AND ')}
+      AND ($2::text IS NULL OR a.id::text = $2::text)
+    ORDER BY a.label ASC, c.id
+    `,
+    [adapter.provider, accountId == null ? null : String(accountId)]
+  );
+  return rows;
+}
+
+async function loadSyncState(db, provider, credentialId, scope) {
+  const { rows } = await db.query(
+    `SELECT cursor, completed_at FROM provider_sync_state WHERE provider = $1 AND credential_id = $2 AND scope = $3`,
+    [provider, String(credentialId), scope]
+  );
+  return rows[0] || null;
+}
+
+async function saveSyncState(db, provider, credentialId, scope, cursor, completedAt = null) {
+  await db.query(
+    `
+    INSERT INTO provider_sync_state (provider, credential_id, scope, cursor, completed_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, now())
+    ON CONFLICT (provider, credential_id, scope) DO UPDATE SET
+      cursor = EXCLUDED.cursor,
+      completed_at = EXCLUDED.completed_at,
+      updated_at = now()
+    `,
+    [provider, String(credentialId), scope, cursor == null ? null : JSON.stringify(cursor), completedAt]
+  );
+}
+
+// Capped, overlapping window for APIs without a reliable change cursor: from
+// the end of the last window that was fully fetched (cursor.synced_through,
+// kept in provider_sync_state) minus overlapMinutes, but never further back
+// than maxWindowHours. Not from the newest stored transaction: webhooks and
+// email-ingest.js insert rows as they happen, long before a lagging report API
+// has them. Resolves to { start, end } Dates; an adapter yields
+// { synced_through: end.toISOString() } as its last cursor once the window is done.
+function realtimeWindow(cursor, { maxWindowHours, overlapMinutes }) {
+  const now = Date.now();
+  const lastMs = cursor?.synced_through ? new Date(cursor.synced_through).getTime() : null;
+
+  const overlapMs = overlapMinutes * 60 * 1000;
+  const capStartMs = now - maxWindowHours * 60 * 60 * 1000;
+
+  // Start from last window end - overlap, but never earlier than capStart
+  const startMs = Math.max(capStartMs, (lastMs ?? capStartMs) - overlapMs);
+
+  return { start: new Date(startMs), end: new Date(now) };
+}
+
+/* ===============================
+   Sync
+   =============================== */
+
+// Walks one credential's events for scope; resolves to { fetched, inserted }
+async function syncCredential(db, adapter, row, scope, range = null) {
+  const saved = await loadSyncState(db, adapter.provider, row.credential_id, scope);
+  if (range && saved?.completed_at) {
+    console.log(`   ✅ already completed at ${new Date(saved.completed_at).toISOString()}`);
+    return { fetched: 0, inserted: 0 };
+  }
+
+  const session = await adapter.authenticate(decryptCredential(row));
+  const ctx = { db, accountId: row.account_id, range };
+  let cursor = saved?.cursor ?? null;
+  let fetched = 0;
+  let inserted = 0;
+  let payouts = 0;
+
+  for await (const page of adapter.listEvents(session, cursor, ctx)) {
+    for (const e of page.events) {
+      inserted += await insertVerifiedTransaction(db, {
+        ...e,
+        accountId: row.account_id,
+        provider: adapter.provider,
+        normalised: adapter.normalise(e.eventType, e.payload),
+      });
+    }
+    for (const p of page.payouts || []) {
+      await upsertPayout(db, adapter.provider, row.account_id, row.credential_id, p);
+      payouts += 1;
+    }
+    fetched += page.events.length;
+    cursor = page.cursor;
+    await saveSyncState(db, adapter.provider, row.credential_id, scope, cursor);
+  }
+
+  await saveSyncState(db, adapter.provider, row.credential_id, scope, cursor, new Date());
+  console.log(`   ${fetched} fetched, ${inserted} new${payouts ? `, ${payouts} payout(s)` : ''}`);
+  return { fetched, inserted };
+}
+
+// Incremental poll of every active credential. opts.shouldStop() is checked
+// between accounts, so a shutdown finishes the account in hand and leaves the
+// rest for the next run. Resolves to a poll_runs summary.
+async function pollProvider(db, adapter, opts = {}) {
+  const shouldStop = opts.shouldStop || (() => false);
+
+  console.log(`🚀 Starting ${adapter.label} poller...`);
+
+  const rows = await loadCredentials(db, adapter);
+  console.log(`🔑 Found ${rows.length} ${adapter.label} credential(s)`);
+
+  const summary = { accounts: rows.length, failed: 0, locked: 0, disabled: 0, fetched: 0, inserted: 0 };
+  let lastError = null;
+
+  for (const [i, row] of rows.entries()) {
+    if (shouldStop()) {
+      console.log('⏹️  stop requested, leaving remaining accounts for the next run');
+      break;
+    }
+    // throttle between accounts to avoid 429s across merchants
+    if (i && adapter.betweenAccountsMs) await sleep(adapter.betweenAccountsMs);
+
+    console.log(`\n📦 ${row.label}`);
+
+    try {
+      const { locked, result } = await withAdvisoryLock(db, adapter.provider, row.account_id, () =>
+        syncCredential(db, adapter, row, 'incremental')
+      );
+
+      if (locked) {
+        summary.fetched += result.fetched;
+        summary.inserted += result.inserted;
+        await recordCredentialSuccess(db, row.credential_id);
+      } else {
+        summary.locked += 1;
+        console.log('   🔒 being polled by another worker, skipped');
+      }
+    } catch (err) {
+      summary.failed += 1;
+      lastError = err;
+      const mapped = adapter.mapError(err);
+      console.log(`   ${mapped.message}`);
+
+      const health = await recordCredentialFailure(db, row.credential_id, err, mapped.auth);
+      if (health.disabled) {
+        summary.disabled += 1;
+        console.log(`   🚫 credential ${row.credential_id} disabled after ${health.failures} auth failures`);
+      }
+    }
+  }
+
+  // a run where every account failed is a failed run
+  if (rows.length && summary.failed === rows.length) {
+    await recordPollerFailure(db, adapter.provider, lastError);
+  } else {
+    await recordPollerSuccess(db, adapter.provider, summary);
+  }
+
+  console.log(`\n🏁 ${adapter.label} poll complete`);
+  return summary;
+}
+
+// One account's credentials over [from, to). Checkpointed per page, so a
+// rerun with the same range resumes where a failed or interrupted one
+// stopped. Resolves to a poll_runs summary.
+async function backfillProvider(db, adapter, { accountId, from, to }) {
+  const rows = await loadCredentials(db, adapter, accountId);
+  if (!rows.length) throw new Error(`No active ${adapter.label} credential for account ${accountId}`);
+
+  console.log(`🚀 ${adapter.label} backfill ${from.toISOString()} → ${to.toISOString()}`);
+  const scope = `backfill:${Math.floor(from.getTime() / 1000)}:${Math.floor(to.getTime() / 1000)}`;
+
+  const { locked, result } = await withAdvisoryLock(db, adapter.provider, accountId, async () => {
+    const summary = { accounts: 1, failed: 0, fetched: 0, inserted: 0 };
+
+    for (const row of rows) {
+      console.log(`\n📦 ${row.label} (credential ${row.credential_id})`);
+      try {
+        const r = await syncCredential(db, adapter, row, scope, { from, to });
+        summary.fetched += r.fetched;
+        summary.inserted += r.inserted;
+      } catch (err) {
+        summary.failed = 1;
+        summary.error = String(err?.message || err).slice(0, 500);
+        console.log(`   ${adapter.mapError(err).message}`);
+        console.log('\n⏸️  Backfill stopped — rerun the same command to resume from the last checkpoint');
+        return summary;
+      }
+    }
+
+    console.log(`\n✅ ${adapter.label} backfill complete`);
+    return summary;
+  });
+
+  if (!locked) throw new Error(`Account ${accountId} is being polled by another worker; try again shortly`);
+  return result;
+}
+
+/* ===============================
+   Poller scripts
+   =============================== */
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (!value || Number.isNaN(ms)) {
+    throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  }
+  return new Date(ms);
+}
+
+// Pool, schema and CLI for one adapter:
+//   node <poller> [--backfill --account <id> --from 2025-10-01 --to 2026-01-01]
+function createPoller(adapter) {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+  });
+
+  let schemaReady = null;
+
+  function ensureSchema() {
+    if (!schemaReady) {
+      schemaReady = ensureProviderSchema(pool, adapter).catch((err) => {
+        schemaReady = null;
+        throw err;
+      });
+    }
+    return schemaReady;
+  }
+
+  async function poll(opts = {}) {
+    await ensureSchema();
+    return pollProvider(pool, adapter, opts);
+  }
+
+  async function backfill(range) {
+    await ensureSchema();
+    return backfillProvider(pool, adapter, range);
+  }
+
+  async function main() {
+    const { values } = parseArgs({
+      options: {
+        backfill: { type: 'boolean', default: false },
+        account: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+      },
+    });
+
+    await ensureSchema();
+
+    if (!values.backfill) {
+      await trackPollRun(pool, adapter.provider, () => poll());
+      return 0;
+    }
+
+    if (!values.account) throw new Error('--backfill needs --account <account_id>');
+    const from = parseDateArg('from', values.from);
+    // the range names the checkpoint scope, so it must not move between runs
+    if (!values.to) throw new Error('--backfill needs --to as well as --from, so a rerun resumes the same range');
+    const to = parseDateArg('to', values.to);
+    if (from >= to) throw new Error('--from must be before --to');
+
+    const summary = await trackPollRun(pool, `${adapter.provider}:backfill`, () =>
+      backfill({ accountId: values.account, from, to })
+    );
+    return summary.failed ? 2 : 0;
+  }
+
+  return {
+    poll,
+    backfill,
+    close: () => pool.end(),
+    // exits when done: SDK keep-alive sockets would otherwise hold the process open
+    run: () =>
+      main()
+        .then((code) => process.exit(code))
+        .catch((err) => {
+          console.error('❌ Poller crashed:', err);
+          process.exit(1);
+        }),
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getAdapter,
+  ensureProviderSchema,
+  loadCredentials,
+  realtimeWindow,
+  pollProvider,
+  backfillProvider,
+  createPoller,
+};
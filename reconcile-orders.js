@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+// reconcile-orders.js — which WooCommerce orders were really paid?
+//
+//   node reconcile-orders.js [--account <id>] [--since 2026-01-01] [--until 2026-01-08]
+//                            [--window-minutes 30] [--csv out.csv]
+//
+// Matches paid orders (orders table, see woo-import.js) to payment rows in
+// `transactions` (poller.js / poller-paypal.js):
+//   1. by Transaction ID — PayPal transaction id, Stripe charge or payment_intent id
+//   2. otherwise same account + provider (from mecom_stripe / mecom_paypal),
+//      same amount and currency, closest payment within ±window of the paid time
+// and reports unmatched orders, unmatched payments and amount mismatches per
+// store and day. Refunded orders are matched too: they were paid first, so
+// their original payment is not an orphan. The refund itself is a separate
+// transactions row and is not reconciled here.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { toCsv } = require('./csv');
+const { PAID_STATUSES, ensureOrderTables } = require('./orders');
+const { ensureTransactionColumns } = require('./transactions');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const AMOUNT_TOLERANCE = 0.01;
+// paid, then refunded; the order keeps its original total
+const MATCHED_STATUSES = [...PAID_STATUSES, 'refunded'];
+
+// WooCommerce payment method -> provider in transactions
+const PAYMENT_METHOD_PROVIDERS = {
+  mecom_stripe: 'stripe',
+  mecom_paypal: 'paypal',
+};
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+function dayOf(ts) {
+  // en-CA formats as YYYY-MM-DD
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+function parseDateArg(name, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${name} must be a date (YYYY-MM-DD or ISO), got ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+async function loadOrders(opts) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      o.account_id,
+      a.label AS store,
+      o.order_id,
+      o.order_number,
+      o.status,
+      o.total,
+      o.currency,
+      o.payment_method,
+      o.transaction_id,
+      COALESCE(o.paid_at, o.created_at) AS paid_at
+    FROM orders o
+    JOIN accounts a ON a.id = o.account_id
+    WHERE o.status = ANY($1)
+      AND o.payment_method = ANY($2)
+      AND COALESCE(o.paid_at, o.created_at) >= $3
+      AND COALESCE(o.paid_at, o.created_at) < $4
+      AND ($5::text IS NULL OR o.account_id::text = $5::text)
+    ORDER BY paid_at
+    `,
+    [MATCHED_STATUSES, Object.keys(PAYMENT_METHOD_PROVIDERS), opts.since, opts.until, opts.account]
+  );
+  return rows;
+}
+
+async function loadPayments(opts, accountIds) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      t.account_id,
+      a.label AS store,
+      t.provider,
+      t.provider_event_id,
+      t.payload_json->>'payment_intent' AS payment_intent,
+      t.amount_gross,
+      t.currency,
+      t.occurred_at
+    FROM transactions t
+    JOIN accounts a ON a.id = t.account_id
+    WHERE COALESCE(t.kind, 'payment') = 'payment'
+      AND COALESCE(t.status, 'completed') = 'completed'
+      AND t.provider = ANY($1)
+      AND t.occurred_at >= $2
+      AND t.occurred_at < $3
+      AND t.account_id::text = ANY($4)
+    ORDER BY t.occurred_at
+    `,
+    [
+      Object.values(PAYMENT_METHOD_PROVIDERS),
+      new Date(opts.since.getTime() - opts.windowMs),
+      new Date(opts.until.getTime() + opts.windowMs),
+      accountIds,
+    ]
+  );
+  return rows;
+}
+
+function sameMoney(order, payment) {
+  if (order.total == null || payment.amount_gross == null) return false;
+  if (order.currency && payment.currency && order.currency.trim() !== payment.currency.trim()) return false;
+  return Math.abs(Number(order.total) - Number(payment.amount_gross)) <= AMOUNT_TOLERANCE;
+}
+
+function reconcile(orders, payments, opts) {
+  const results = [];
+  const used = new Set();
+
+  const byId = new Map();
+  for (const p of payments) {
+    const key = `${p.account_id}|${p.provider}`;
+    byId.set(`${key}|${p.provider_event_id}`, p);
+    if (p.payment_intent) byId.set(`${key}|${p.payment_intent}`, p);
+  }
+
+  // 1. explicit Transaction ID
+  const pending = [];
+  for (const o of orders) {
+    const provider = PAYMENT_METHOD_PROVIDERS[o.payment_method];
+    const p = o.transaction_id ? byId.get(`${o.account_id}|${provider}|${o.transaction_id}`) : null;
+
+    if (p && !used.has(p)) {
+      used.add(p);
+      results.push({ type: sameMoney(o, p) ? 'matched' : 'amount_mismatch', rule: 'transaction_id', order: o, payment: p });
+    } else {
+      pending.push(o);
+    }
+  }
+
+  // 2. amount + time window, closest payment first
+  for (const o of pending) {
+    const provider = PAYMENT_METHOD_PROVIDERS[o.payment_method];
+    const t = new Date(o.paid_at).getTime();
+    let best = null;
+    let bestDelta = Infinity;
+
+    for (const p of payments) {
+      if (used.has(p) || String(p.account_id) !== String(o.account_id) || p.provider !== provider) continue;
+      const delta = Math.abs(new Date(p.occurred_at).getTime() - t);
+      if (delta <= opts.windowMs && delta < bestDelta && sameMoney(o, p)) {
+        best = p;
+        bestDelta = delta;
+      }
+    }
+
+    if (best) {
+      used.add(best);
+      results.push({ type: 'matched', rule: 'amount_window', order: o, payment: best });
+    } else {
+      results.push({ type: 'unmatched_order', rule: null, order: o, payment: null });
+    }
+  }
+
+  // payments nobody claimed, inside the requested range only
+  for (const p of payments) {
+    const t = new Date(p.occurred_at).getTime();
+    if (used.has(p) || t < opts.since.getTime() || t >= opts.until.getTime()) continue;
+    results.push({ type: 'unmatched_payment', rule: null, order: null, payment: p });
+  }
+
+  return results;
+}
+
+function toRow(r) {
+  const o = r.order;
+  const p = r.payment;
+  const when = o ? o.paid_at : p.occurred_at;
+
+  return {
+    type: r.type,
+    store: (o || p).store,
+    day: dayOf(when),
+    match_rule: r.rule || '',
+    order_id: o?.order_id ?? '',
+    order_number: o?.order_number || '',
+    order_status: o?.status || '',
+    order_total: o?.total ?? '',
+    order_currency: o?.currency?.trim() || '',
+    payment_method: o?.payment_method || '',
+    order_transaction_id: o?.transaction_id || '',
+    order_paid_at: o ? new Date(o.paid_at).toISOString() : '',
+    provider: p?.provider || '',
+    provider_event_id: p?.provider_event_id || '',
+    payment_amount: p?.amount_gross ?? '',
+    payment_currency: p?.currency?.trim() || '',
+    payment_at: p ? new Date(p.occurred_at).toISOString() : '',
+    difference: o && p ? (Number(p.amount_gross) - Number(o.total)).toFixed(2) : '',
+  };
+}
+
+const CSV_COLUMNS = [
+  'type', 'store', 'day', 'match_rule',
+  'order_id', 'order_number', 'order_status', 'order_total', 'order_currency',
+  'payment_method', 'order_transaction_id', 'order_paid_at',
+  'provider', 'provider_event_id', 'payment_amount', 'payment_currency', 'payment_at', 'difference',
+];
+
+function summarise(rows) {
+  const byKey = new Map();
+
+  for (const r of rows) {
+    const key = `${r.store}|${r.day}`;
+    const s = byKey.get(key) || {
+      store: r.store,
+      day: r.day,
+      orders: 0,
+      matched: 0,
+      amount_mismatch: 0,
+      unmatched_order: 0,
+      unmatched_payment: 0,
+      unmatched_order_value: 0,
+      unmatched_payment_value: 0,
+    };
+
+    if (r.type !== 'unmatched_payment') s.orders += 1;
+    s[r.type] += 1;
+    if (r.type === 'unmatched_order') s.unmatched_order_value += Number(r.order_total) || 0;
+    if (r.type === 'unmatched_payment') s.unmatched_payment_value += Number(r.payment_amount) || 0;
+
+    byKey.set(key, s);
+  }
+
+  return [...byKey.values()].sort((a, b) => a.store.localeCompare(b.store) || a.day.localeCompare(b.day));
+}
+
+function printTable(summary, rows) {
+  console.log('');
+  console.log(
+    'store                     | day        | orders | matched | amt diff | unpaid orders |        value | orphan payments |        value'
+  );
+  console.log('-'.repeat(128));
+
+  for (const s of summary) {
+    console.log(
+      `${s.store.padEnd(25)} | ${s.day} | ${String(s.orders).padStart(6)} | ${String(s.matched).padStart(7)} | ` +
+        `${String(s.amount_mismatch).padStart(8)} | ${String(s.unmatched_order).padStart(13)} | ` +
+        `${s.unmatched_order_value.toFixed(2).padStart(12)} | ${String(s.unmatched_payment).padStart(15)} | ` +
+        `${s.unmatched_payment_value.toFixed(2).padStart(12)}`
+    );
+  }
+
+  const problems = rows.filter((r) => r.type !== 'matched');
+  if (!problems.length) {
+    console.log('\n✅ every paid order has a matching payment');
+    return;
+  }
+
+  console.log(`\n⚠️ ${problems.length} exception(s):`);
+  for (const r of problems) {
+    const order = r.order_id ? `order #${r.order_id} ${r.order_total} ${r.order_currency} (${r.payment_method})` : '-';
+    const payment = r.provider_event_id
+      ? `${r.provider} ${r.provider_event_id} ${r.payment_amount} ${r.payment_currency}`
+      : '-';
+    console.log(`  ${r.type.padEnd(17)} ${r.store} ${r.day}  ${order}  ↔  ${payment}`);
+  }
+}
+
+async function run() {
+  const { values } = parseArgs({
+    options: {
+      account: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      'window-minutes': { type: 'string', default: '30' },
+      csv: { type: 'string' },
+    },
+  });
+
+  const until = values.until ? parseDateArg('until', values.until) : new Date();
+  const since = values.since
+    ? parseDateArg('since', values.since)
+    : new Date(until.getTime() - 7 * 24 * 60 * 60 * 1000);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const opts = {
+    account: values.account || null,
+    since,
+    until,
+    windowMs: Number(values['window-minutes']) * 60 * 1000,
+  };
+
+  await ensureOrderTables(pool);
+  await ensureTransactionColumns(pool);
+
+  const orders = await loadOrders(opts);
+  const accountIds = [...new Set(orders.map((o) => String(o.account_id)))];
+  if (opts.account && !accountIds.includes(String(opts.account))) accountIds.push(String(opts.account));
+
+  const payments = accountIds.length ? await loadPayments(opts, accountIds) : [];
+
+  console.log(
+    `🔎 Reconciling ${orders.length} paid orders against ${payments.length} payments ` +
+      `(${since.toISOString()} → ${until.toISOString()}, ±${values['window-minutes']}m)`
+  );
+
+  const rows = reconcile(orders, payments, opts).map(toRow);
+  printTable(summarise(rows), rows);
+
+  if (values.csv) {
+    fs.writeFileSync(values.csv, toCsv(rows, CSV_COLUMNS));
+    console.log(`\n📄 ${rows.length} rows written to ${values.csv}`);
+  }
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// scheduler.js — one long-running worker for every poller, instead of cron
+//
+//   node scheduler.js [--only stripe,paypal,square,ga4,ga4:daily,alerts,reports,payouts,customers] [--once]
+//
+// Each job runs, then waits its interval before running again, so a slow run
+// never overlaps itself. Intervals are in seconds; 0 disables a job:
+//   SCHEDULE_STRIPE_SECONDS     (300)    poller.js
+//   SCHEDULE_PAYPAL_SECONDS     (900)    poller-paypal.js
+//   SCHEDULE_SQUARE_SECONDS     (300)    poller-square.js
+//   SCHEDULE_GA4_SECONDS        (300)    traffic-collector.js realtime snapshot
+//   SCHEDULE_GA4_DAILY_SECONDS  (21600)  traffic-collector.js daily history, last 3 days
+//   SCHEDULE_ALERTS_SECONDS     (300)    alerts.js rules + delivery
+//   SCHEDULE_REPORTS_SECONDS    (900)    store-report.js daily / weekly emails, when due
+//   SCHEDULE_PAYOUTS_SECONDS    (3600)   payout-ledger.js Stripe payout sync + reconciliation
+//   SCHEDULE_CUSTOMERS_SECONDS  (21600)  customer-report.js build (customers for LTV / cohorts)
+//
+// Accounts / properties are polled under advisory locks (locks.js), so a
+// second scheduler, or a manual run, skips whatever this one is working on.
+// Every run is a row in poll_runs. SIGINT / SIGTERM stop new runs and let the
+// running ones finish their current account; a second signal exits at once.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { trackPollRun, ensurePollRunsTable } = require('./poller-status');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SCHEDULER_SHUTDOWN_TIMEOUT_SECONDS || 120) * 1000;
+// spread the first runs out instead of hitting every API at once
+const START_STAGGER_MS = 5000;
+const GA4_DAILY_DAYS = 3; // GA4 keeps processing the last couple of days
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// modules are loaded on first use so --only stripe doesn't need the GA4 client
+const JOBS = {
+  stripe: {
+    env: 'SCHEDULE_STRIPE_SECONDS',
+    defaultSeconds: 300,
+    module: () => require('./poller'),
+    run: (mod, ctx) => mod.pollStripe(ctx),
+  },
+  paypal: {
+    env: 'SCHEDULE_PAYPAL_SECONDS',
+    defaultSeconds: 900,
+    module: () => require('./poller-paypal'),
+    run: (mod, ctx) => mod.pollPaypal(ctx),
+  },
+  square: {
+    env: 'SCHEDULE_SQUARE_SECONDS',
+    defaultSeconds: 300,
+    module: () => require('./poller-square'),
+    run: (mod, ctx) => mod.pollSquare(ctx),
+  },
+  ga4: {
+    env: 'SCHEDULE_GA4_SECONDS',
+    defaultSeconds: 300,
+    module: () => require('./traffic-collector'),
+    run: (mod) => mod.snapshotRealtime(),
+  },
+  'ga4:daily': {
+    env: 'SCHEDULE_GA4_DAILY_SECONDS',
+    defaultSeconds: 21600,
+    module: () => require('./traffic-collector'),
+    run: (mod) => {
+      const to = mod.yesterday();
+      const from = new Date(Date.parse(to) - (GA4_DAILY_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+      return mod.backfillDaily(from, to);
+    },
+  },
+  alerts: {
+    env: 'SCHEDULE_ALERTS_SECONDS',
+    defaultSeconds: 300,
+    module: () => require('./alerts'),
+    run: (mod) => mod.runAlerts(),
+  },
+  reports: {
+    env: 'SCHEDULE_REPORTS_SECONDS',
+    defaultSeconds: 900,
+    module: () => require('./store-report'),
+    run: (mod) => mod.sendDueReports(),
+  },
+  payouts: {
+    env: 'SCHEDULE_PAYOUTS_SECONDS',
+    defaultSeconds: 3600,
+    module: () => require('./payout-ledger'),
+    run: (mod, ctx) => mod.syncAndReconcile(ctx),
+  },
+  customers: {
+    env: 'SCHEDULE_CUSTOMERS_SECONDS',
+    defaultSeconds: 21600,
+    module: () => require('./customer-report'),
+    run: (mod) => mod.buildCustomers(),
+  },
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function intervalSeconds(name) {
+  const spec = JOBS[name];
+  const raw = process.env[spec.env];
+  const n = raw == null || raw === '' ? spec.defaultSeconds : Number(raw);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${spec.env} must be a number of seconds (0 disables)`);
+  return n;
+}
+
+/* ===============================
+   Scheduler
+   =============================== */
+
+function createScheduler(names, { once }) {
+  let stopping = false;
+  const state = new Map(); // name -> { timer, running, interval }
+  const modules = new Set();
+
+  const shouldStop = () => stopping;
+
+  async function runJob(name) {
+    const s = state.get(name);
+    s.timer = null;
+    if (stopping) return;
+
+    const spec = JOBS[name];
+    const mod = spec.module();
+    modules.add(mod);
+
+    s.running = true;
+    const started = Date.now();
+    console.log(`\n⏱️  [${name}] run started ${new Date(started).toISOString()}`);
+
+    try {
+      const summary = await trackPollRun(pool, name, () => spec.run(mod, { shouldStop }));
+      const secs = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(
+        `✅ [${name}] done in ${secs}s — accounts ${summary.accounts ?? '-'}, failed ${summary.failed ?? 0}, ` +
+          `locked ${summary.locked ?? 0}, inserted ${summary.inserted ?? '-'}` +
+          (summary.disabled ? `, 🚫 ${summary.disabled} credential(s) disabled` : '')
+      );
+    } catch (err) {
+      console.error(`❌ [${name}] run failed: ${err.message || err}`);
+    } finally {
+      s.running = false;
+    }
+
+    if (!stopping && !once) {
+      s.timer = setTimeout(() => runJob(name), s.interval * 1000);
+    }
+  }
+
+  return {
+    start() {
+      names.forEach((name, i) => {
+        const s = { timer: null, running: false, interval: intervalSeconds(name) };
+        state.set(name, s);
+        console.log(`📅 ${name}: every ${s.interval}s`);
+        s.timer = setTimeout(() => runJob(name), i * START_STAGGER_MS);
+      });
+    },
+
+    busy() {
+      return [...state.values()].some((s) => s.running || (once && s.timer));
+    },
+
+    async stop() {
+      stopping = true;
+      for (const s of state.values()) {
+        if (s.timer) clearTimeout(s.timer);
+        s.timer = null;
+      }
+
+      const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+      while ([...state.values()].some((s) => s.running)) {
+        if (Date.now() > deadline) throw new Error('jobs still running after shutdown timeout');
+        await sleep(500);
+      }
+
+      for (const mod of modules) await mod.close();
+    },
+  };
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      only: { type: 'string' },
+      once: { type: 'boolean', default: false },
+    },
+  });
+
+  const requested = values.only ? values.only.split(',').map((s) => s.trim()).filter(Boolean) : Object.keys(JOBS);
+  for (const name of requested) {
+    if (!JOBS[name]) throw new Error(`Unknown job ${name} (want ${Object.keys(JOBS).join(', ')})`);
+  }
+
+  const names = requested.filter((name) => intervalSeconds(name) > 0 || values.once);
+  if (!names.length) throw new Error('No jobs enabled');
+
+  await ensurePollRunsTable(pool);
+
+  console.log(`🚀 Scheduler starting (pid ${process.pid})`);
+  const scheduler = createScheduler(names, { once: values.once });
+
+  let signalled = false;
+  const shutdown = async (signal) => {
+    if (signalled) {
+      console.log(`\n🛑 ${signal} again — exiting without waiting`);
+      process.exit(1);
+    }
+    signalled = true;
+    console.log(`\n🛑 ${signal} — finishing running jobs, no new runs will start`);
+
+    try {
+      await scheduler.stop();
+      await pool.end();
+      console.log('🏁 Scheduler stopped');
+      process.exit(0);
+    } catch (err) {
+      console.error(`❌ Unclean shutdown: ${err.message || err}`);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  // a bug in one job must not take the others down with it
+  process.on('unhandledRejection', (err) => {
+    console.error('⚠️ Unhandled rejection:', err);
+  });
+
+  scheduler.start();
+
+  if (values.once) {
+    while (scheduler.busy()) await sleep(500);
+    await scheduler.stop();
+    await pool.end();
+    console.log('🏁 All jobs ran once');
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Scheduler crashed:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// square-mock-server.js — local stand-in for the Square endpoints provider-square.js uses
+//
+//   node square-mock-server.js [--port 8091] [--days 30] [--rate-limit-every 0]
+//
+// Serves GET /v2/locations, /v2/payments and /v2/refunds with made-up but
+// stable data: a payment every 3 hours per location over the last --days
+// days, every 10th one partly refunded. begin_time / end_time / location_id /
+// cursor / limit behave like Square's. Any token other than
+// SQUARE_MOCK_TOKEN (default "mock-token") gets a 401, and
+// --rate-limit-every N answers every Nth request with a 429.
+//
+// Try it:
+//   node square-mock-server.js &
+//   node accounts-cli.js credential add --account <id> --provider square --access-token mock-token
+//   SQUARE_API=http://localhost:8091 node poller-square.js
+
+const http = require('http');
+const { parseArgs } = require('util');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LOCATIONS = [
+  { id: 'LMOCK1', name: 'Mock Cafe', currency: 'AUD', status: 'ACTIVE' },
+  { id: 'LMOCK2', name: 'Mock Market Stall', currency: 'AUD', status: 'ACTIVE' },
+  { id: 'LMOCK3', name: 'Closed Popup', currency: 'AUD', status: 'INACTIVE' },
+];
+
+const BRANDS = ['VISA', 'MASTERCARD', 'AMERICAN_EXPRESS'];
+
+function buildData(days) {
+  const payments = [];
+  const refunds = [];
+  // whole hours, so every restart serves the same ids for the same times
+  const end = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+  for (const location of LOCATIONS.filter((l) => l.status === 'ACTIVE')) {
+    for (let t = end - days * 24 * HOUR_MS, i = 0; t <= end; t += 3 * HOUR_MS, i += 1) {
+      const amount = 1500 + ((t / HOUR_MS) % 17) * 250;
+      const created = new Date(t).toISOString();
+      const id = `mockpay_${location.id}_${t / HOUR_MS}`;
+
+      payments.push({
+        id,
+        created_at: created,
+        updated_at: created,
+        location_id: location.id,
+        amount_money: { amount, currency: location.currency },
+        total_money: { amount, currency: location.currency },
+        processing_fee: [{ amount_money: { amount: Math.round(amount * 0.016), currency: location.currency } }],
+        status: 'COMPLETED',
+        source_type: 'CARD',
+        card_details: { card: { card_brand: BRANDS[i % BRANDS.length], last_4: '1111' } },
+        buyer_email_address: `buyer${i % 40}@example.com`,
+        billing_address: { first_name: 'Mock', last_name: `Buyer ${i % 40}` },
+      });
+
+      if (i % 10 === 9) {
+        const refundAt = new Date(t + 2 * HOUR_MS).toISOString();
+        refunds.push({
+          id: `mockrefund_${id}`,
+          payment_id: id,
+          location_id: location.id,
+          created_at: refundAt,
+          updated_at: refundAt,
+          amount_money: { amount: Math.round(amount / 2), currency: location.currency },
+          processing_fee: [{ amount_money: { amount: -Math.round(amount * 0.008), currency: location.currency } }],
+          status: 'COMPLETED',
+        });
+      }
+    }
+  }
+
+  return { payments, refunds };
+}
+
+function send(res, status, body, extraHeaders = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
+  res.end(JSON.stringify(body));
+}
+
+function squareError(category, code, detail) {
+  return { errors: [{ category, code, detail }] };
+}
+
+// begin_time <= created_at < end_time, optional location, cursor = offset
+function listPage(items, query, key) {
+  const begin = query.get('begin_time') ? Date.parse(query.get('begin_time')) : 0;
+  const end = query.get('end_time') ? Date.parse(query.get('end_time')) : Infinity;
+  const location = query.get('location_id');
+  const limit = Math.min(100, Number(query.get('limit') || 100));
+  const offset = Number(query.get('cursor') || 0);
+
+  let matching = items.filter((x) => {
+    const at = Date.parse(x.created_at);
+    return at >= begin && at < end && (!location || x.location_id === location);
+  });
+  if (query.get('sort_order') !== 'ASC') matching = matching.slice().reverse();
+
+  const page = matching.slice(offset, offset + limit);
+  const body = { [key]: page };
+  if (offset + limit < matching.length) body.cursor = String(offset + limit);
+  return body;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8091' },
+      days: { type: 'string', default: '30' },
+      'rate-limit-every': { type: 'string', default: '0' },
+    },
+  });
+
+  const token = process.env.SQUARE_MOCK_TOKEN || 'mock-token';
+  const rateLimitEvery = Number(values['rate-limit-every']);
+  const data = buildData(Number(values.days));
+  let requests = 0;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests += 1;
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return send(res, 401, squareError('AUTHENTICATION_ERROR', 'UNAUTHORIZED', 'This request could not be authorized.'));
+    }
+    if (rateLimitEvery && requests % rateLimitEvery === 0) {
+      return send(res, 429, squareError('RATE_LIMIT_ERROR', 'RATE_LIMITED', 'Too many requests'), { 'Retry-After': '1' });
+    }
+    if (req.method !== 'GET') return send(res, 405, squareError('INVALID_REQUEST_ERROR', 'METHOD_NOT_ALLOWED', ''));
+
+    if (url.pathname === '/v2/locations') return send(res, 200, { locations: LOCATIONS });
+    if (url.pathname === '/v2/payments') return send(res, 200, listPage(data.payments, url.searchParams, 'payments'));
+    if (url.pathname === '/v2/refunds') return send(res, 200, listPage(data.refunds, url.searchParams, 'refunds'));
+
+    send(res, 404, squareError('INVALID_REQUEST_ERROR', 'NOT_FOUND', `No mock for ${url.pathname}`));
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log(
+      `🧪 Square mock on http://localhost:${values.port} — ${data.payments.length} payments, ` +
+        `${data.refunds.length} refunds, token "${token}"`
+    );
+  });
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main();
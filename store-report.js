@@ -0,0 +1,644 @@
+#!/usr/bin/env node
+// store-report.js — daily / weekly performance report per store and for the portfolio
+//
+//   node store-report.js daily  [--date 2026-01-05] [--account <id>] [--html out.html]
+//   node store-report.js weekly [--date 2026-01-04] [--send] [--to a@x.com,b@y.com]
+//   node store-report.js due                       send every report that is due and not yet sent
+//
+// Without --send the plain-text report is printed. --date is the last day of
+// the period in REPORT_TIMEZONE; it defaults to yesterday (daily) or last
+// Sunday (weekly, Monday–Sunday). Every number is compared with the period
+// just before.
+//
+// Payments, refunds and AOV come from `transactions`, in each store's
+// reporting currency; the portfolio is converted to REPORTING_CURRENCY. Rows
+// with no FX rate for their date are left out and counted in a note.
+// Stores with imported WooCommerce orders (woo-import.js) also get order
+// counts, order AOV and top products; traffic sources come from traffic_daily
+// (traffic-collector.js), so stores sharing a GA4 property share that table.
+//
+// Mail goes through notify.js (SMTP_* env) to REPORT_EMAIL_TO. "due" is what
+// scheduler.js runs every SCHEDULE_REPORTS_SECONDS (900): once local time is
+// past REPORT_SEND_HOUR (7), each period in REPORT_PERIODS (daily,weekly)
+// that has not been sent is built and sent, and recorded in
+// report_deliveries so it goes out once.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { ensureFxSchema, convertedAmountSql, DEFAULT_REPORTING_CURRENCY } = require('./fx');
+const { ensureTransactionColumns } = require('./transactions');
+const { PAID_STATUSES } = require('./orders');
+const { ensureTrafficTables } = require('./traffic');
+const { sendMail, smtpConfigured, closeMail } = require('./notify');
+const { withAdvisoryLock } = require('./locks');
+const { trackPollRun } = require('./poller-status');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Australia/Melbourne';
+const SEND_HOUR = Number(process.env.REPORT_SEND_HOUR || 7);
+const TOP_N = Number(process.env.REPORT_TOP_N || 5);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  daily: { days: 1, title: 'Daily' },
+  weekly: { days: 7, title: 'Weekly' },
+};
+
+// refunds and chargebacks, as opposed to payments
+const REFUND_KINDS = ['refund', 'chargeback', 'reversal'];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+let schemaReady = null;
+
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await ensureFxSchema(pool);
+      await ensureTransactionColumns(pool);
+      await ensureTrafficTables(pool);
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS report_deliveries (
+          period text NOT NULL,
+          period_end date NOT NULL,
+          sent_at timestamptz NOT NULL DEFAULT now(),
+          recipients text,
+          PRIMARY KEY (period, period_end)
+        )
+      `);
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/* ===============================
+   Periods
+   =============================== */
+
+function dayOf(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// last complete period: yesterday, or the Monday–Sunday week before this one
+function defaultEnd(period, now = new Date()) {
+  const today = dayOf(now);
+  if (period === 'daily') return addDays(today, -1);
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDays(today, -(weekday || 7));
+}
+
+// inclusive local days: { from, to, prevFrom, prevTo }
+function periodRange(period, end) {
+  const { days } = PERIODS[period];
+  const from = addDays(end, -(days - 1));
+  return { from, to: end, prevFrom: addDays(from, -days), prevTo: addDays(from, -1) };
+}
+
+/* ===============================
+   Data
+   =============================== */
+
+// $1 prevFrom, $2 from, $3 day after `to`, $4 timezone — as timestamps
+const BOUNDS_CTE = `
+  bounds AS (
+    SELECT
+      ($1::date)::timestamp AT TIME ZONE $4 AS prev_start,
+      ($2::date)::timestamp AT TIME ZONE $4 AS cur_start,
+      ($3::date)::timestamp AT TIME ZONE $4 AS cur_end
+  )
+`;
+
+function boundParams(range) {
+  return [range.prevFrom, range.from, addDays(range.to, 1), REPORT_TIMEZONE];
+}
+
+// an order total in the currency of `target` (an alias with reporting_currency)
+function orderAmountSql(expr, target) {
+  return `fx_convert(${expr}, COALESCE(o.currency, a.reporting_currency), ${target}.reporting_currency, (o.created_at AT TIME ZONE 'UTC')::date)`;
+}
+
+async function loadStores(account) {
+  const { rows } = await pool.query(
+    `
+    SELECT id::text AS account_id, label, reporting_currency, ga4_property_id
+    FROM accounts
+    WHERE $1::text IS NULL OR id::text = $1::text
+    ORDER BY label
+    `,
+    [account || null]
+  );
+  if (account && !rows.length) throw new Error(`Unknown account ${account}`);
+  return rows;
+}
+
+// Payments / refunds per store and period, in the store's currency and
+// (suffix _p) the portfolio currency
+async function loadPayments(range, portfolioCurrency) {
+  const isPayment = `COALESCE(t.kind, 'payment') = 'payment'`;
+  const isRefund = `t.kind = ANY($6::text[])`;
+  const sums = (p) => {
+    const conv = convertedAmountSql('t.amount_gross', 't', p);
+    const sfx = p === 'a' ? '' : '_p';
+    return `
+      COALESCE(SUM(${conv}) FILTER (WHERE ${isPayment}), 0) AS gross${sfx},
+      COALESCE(-SUM(${conv}) FILTER (WHERE ${isRefund}), 0) AS refunds${sfx},
+      COALESCE(SUM(${conv}), 0) AS net${sfx},
+      COUNT(*) FILTER (WHERE t.amount_gross IS NOT NULL AND ${conv} IS NULL) AS no_fx${sfx}`;
+  };
+
+  const { rows } = await pool.query(
+    `
+    WITH ${BOUNDS_CTE}
+    SELECT
+      t.account_id::text AS account_id,
+      CASE WHEN t.occurred_at >= b.cur_start THEN 'cur' ELSE 'prev' END AS period,
+      COUNT(*) FILTER (WHERE ${isPayment}) AS payments,
+      COUNT(*) FILTER (WHERE ${isRefund}) AS refund_count,
+      ${sums('a')},
+      ${sums('p')}
+    FROM bounds b
+    JOIN transactions t ON t.occurred_at >= b.prev_start AND t.occurred_at < b.cur_end
+    JOIN accounts a ON a.id = t.account_id
+    CROSS JOIN (SELECT $5::text AS reporting_currency) p
+    WHERE COALESCE(t.status, 'completed') = 'completed'
+    GROUP BY t.account_id, 2
+    `,
+    [...boundParams(range), portfolioCurrency, REFUND_KINDS]
+  );
+  return rows;
+}
+
+async function hasOrders() {
+  const { rows } = await pool.query(`SELECT to_regclass('public.orders') AS t`);
+  return Boolean(rows[0].t);
+}
+
+async function loadOrders(range, portfolioCurrency) {
+  const isPaid = `o.status = ANY($6::text[])`;
+  const { rows } = await pool.query(
+    `
+    WITH ${BOUNDS_CTE}
+    SELECT
+      o.account_id::text AS account_id,
+      CASE WHEN o.created_at >= b.cur_start THEN 'cur' ELSE 'prev' END AS period,
+      COUNT(*) AS orders,
+      COUNT(*) FILTER (WHERE ${isPaid}) AS paid_orders,
+      COALESCE(SUM(${orderAmountSql('o.total', 'a')}) FILTER (WHERE ${isPaid}), 0) AS revenue,
+      COALESCE(SUM(${orderAmountSql('o.total', 'p')}) FILTER (WHERE ${isPaid}), 0) AS revenue_p,
+      COUNT(*) FILTER (WHERE ${isPaid} AND o.total IS NOT NULL AND ${orderAmountSql('o.total', 'a')} IS NULL) AS no_fx,
+      COUNT(*) FILTER (WHERE ${isPaid} AND o.total IS NOT NULL AND ${orderAmountSql('o.total', 'p')} IS NULL) AS no_fx_p
+    FROM bounds b
+    JOIN orders o ON o.created_at >= b.prev_start AND o.created_at < b.cur_end
+    JOIN accounts a ON a.id = o.account_id
+    CROSS JOIN (SELECT $5::text AS reporting_currency) p
+    GROUP BY o.account_id, 2
+    `,
+    [...boundParams(range), portfolioCurrency, [...PAID_STATUSES]]
+  );
+  return rows;
+}
+
+// units sold per product name (line items carry no prices)
+async function loadProducts(range) {
+  const { rows } = await pool.query(
+    `
+    WITH ${BOUNDS_CTE}
+    SELECT
+      o.account_id::text AS account_id,
+      CASE WHEN o.created_at >= b.cur_start THEN 'cur' ELSE 'prev' END AS period,
+      li.product_name AS name,
+      SUM(li.quantity) AS units
+    FROM bounds b
+    JOIN orders o ON o.created_at >= b.prev_start AND o.created_at < b.cur_end
+    JOIN order_line_items li ON li.account_id = o.account_id AND li.order_id = o.order_id
+    WHERE o.status = ANY($5::text[])
+    GROUP BY o.account_id, 2, li.product_name
+    `,
+    [...boundParams(range), [...PAID_STATUSES]]
+  );
+  return rows;
+}
+
+async function loadSources(range, propertyIds) {
+  if (!propertyIds.length) return [];
+  const { rows } = await pool.query(
+    `
+    SELECT
+      property_id,
+      CASE WHEN day >= $3::date THEN 'cur' ELSE 'prev' END AS period,
+      lower(source_medium) AS name,
+      SUM(sessions) AS sessions
+    FROM traffic_daily
+    WHERE property_id = ANY($1) AND day >= $2::date AND day <= $4::date
+    GROUP BY property_id, 2, 3
+    `,
+    [propertyIds, range.prevFrom, range.from, range.to]
+  );
+  return rows;
+}
+
+/* ===============================
+   Report model
+   =============================== */
+
+function emptyTotals() {
+  return { gross: 0, refunds: 0, net: 0, payments: 0, refundCount: 0, orders: null, paidOrders: null, orderRevenue: null };
+}
+
+function emptySection(title, currency) {
+  return {
+    title,
+    currency,
+    cur: emptyTotals(),
+    prev: emptyTotals(),
+    products: new Map(), // name -> { cur, prev }
+    sources: new Map(),
+    note: null,
+    noFx: 0, // payments and paid orders (either period) left out for want of an FX rate
+  };
+}
+
+function addTo(map, name, period, n) {
+  const e = map.get(name) || { cur: 0, prev: 0 };
+  e[period] += Number(n);
+  map.set(name, e);
+}
+
+function addOrders(totals, r, suffix) {
+  totals.orders = (totals.orders || 0) + Number(r.orders);
+  totals.paidOrders = (totals.paidOrders || 0) + Number(r.paid_orders);
+  totals.orderRevenue = (totals.orderRevenue || 0) + Number(r[`revenue${suffix}`]);
+}
+
+async function buildReport(period, end, { account } = {}) {
+  await ensureSchema();
+  const range = periodRange(period, end);
+  const portfolioCurrency = DEFAULT_REPORTING_CURRENCY;
+
+  const stores = await loadStores(account);
+  const sections = new Map(stores.map((s) => [s.account_id, emptySection(s.label, s.reporting_currency)]));
+  const portfolio = emptySection('All stores', portfolioCurrency);
+
+  for (const r of await loadPayments(range, portfolioCurrency)) {
+    const s = sections.get(r.account_id);
+    if (!s) continue;
+    for (const [target, sfx] of [[s, ''], [portfolio, '_p']]) {
+      const t = target[r.period];
+      t.gross += Number(r[`gross${sfx}`]);
+      t.refunds += Number(r[`refunds${sfx}`]);
+      t.net += Number(r[`net${sfx}`]);
+      t.payments += Number(r.payments);
+      t.refundCount += Number(r.refund_count);
+      target.noFx += Number(r[`no_fx${sfx}`]);
+    }
+  }
+
+  if (await hasOrders()) {
+    for (const r of await loadOrders(range, portfolioCurrency)) {
+      const s = sections.get(r.account_id);
+      if (!s) continue;
+      addOrders(s[r.period], r, '');
+      addOrders(portfolio[r.period], r, '_p');
+      s.noFx += Number(r.no_fx);
+      portfolio.noFx += Number(r.no_fx_p);
+    }
+    for (const r of await loadProducts(range)) {
+      const s = sections.get(r.account_id);
+      if (!s) continue;
+      addTo(s.products, r.name, r.period, r.units);
+      addTo(portfolio.products, r.name, r.period, r.units);
+    }
+  }
+
+  // sessions belong to GA4 properties, not stores
+  const propertyOf = new Map();
+  for (const s of stores) {
+    const propertyId = s.ga4_property_id || process.env.GA4_PROPERTY_ID || null;
+    if (propertyId) propertyOf.set(s.account_id, propertyId);
+  }
+  const propertyIds = [...new Set(propertyOf.values())];
+  const byProperty = new Map();
+  for (const r of await loadSources(range, propertyIds)) {
+    const m = byProperty.get(r.property_id) || new Map();
+    addTo(m, r.name, r.period, r.sessions);
+    byProperty.set(r.property_id, m);
+    addTo(portfolio.sources, r.name, r.period, r.sessions);
+  }
+  for (const [accountId, propertyId] of propertyOf) {
+    const s = sections.get(accountId);
+    s.sources = byProperty.get(propertyId) || new Map();
+    const sharing = stores.filter((x) => propertyOf.get(x.account_id) === propertyId);
+    if (sharing.length > 1) s.note = `traffic is GA4 property ${propertyId}, shared with ${sharing.length - 1} other store(s)`;
+  }
+
+  return {
+    period,
+    title: PERIODS[period].title,
+    range,
+    // the portfolio only makes sense with more than one store
+    sections: stores.length > 1 ? [portfolio, ...sections.values()] : [...sections.values()],
+  };
+}
+
+/* ===============================
+   Rendering
+   =============================== */
+
+function money(n, currency) {
+  return `${Number(n).toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+}
+
+function change(cur, prev) {
+  if (cur === null || prev === null) return '';
+  if (!prev) return cur ? 'new' : '—';
+  const pct = ((cur - prev) / Math.abs(prev)) * 100;
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+}
+
+function aov(revenue, count) {
+  return count ? revenue / count : null;
+}
+
+function top(map) {
+  return [...map.entries()]
+    .map(([name, v]) => ({ name, ...v }))
+    .filter((x) => x.cur > 0)
+    .sort((x, y) => y.cur - x.cur || x.name.localeCompare(y.name))
+    .slice(0, TOP_N);
+}
+
+// [label, current, previous, change] rows for one section
+function metricRows(s) {
+  const { cur, prev, currency } = s;
+  const m = (n) => (n === null ? '—' : money(n, currency));
+  const rows = [
+    ['Revenue (payments)', m(cur.gross), m(prev.gross), change(cur.gross, prev.gross)],
+    ['Payments', String(cur.payments), String(prev.payments), change(cur.payments, prev.payments)],
+    [
+      'Avg payment',
+      m(aov(cur.gross, cur.payments)),
+      m(aov(prev.gross, prev.payments)),
+      change(aov(cur.gross, cur.payments), aov(prev.gross, prev.payments)),
+    ],
+    [
+      'Refunds',
+      `${m(cur.refunds)} (${cur.refundCount})`,
+      `${m(prev.refunds)} (${prev.refundCount})`,
+      change(cur.refunds, prev.refunds),
+    ],
+    ['Net revenue', m(cur.net), m(prev.net), change(cur.net, prev.net)],
+  ];
+
+  // only stores with imported orders in either period get the Woo rows
+  if (cur.orders !== null || prev.orders !== null) {
+    const orderTotals = (t) => ({
+      orders: t.orders ?? 0,
+      paidOrders: t.paidOrders ?? 0,
+      orderRevenue: t.orderRevenue ?? 0,
+    });
+    const c = orderTotals(cur);
+    const p = orderTotals(prev);
+    rows.push(
+      ['Orders (Woo, paid)', String(c.paidOrders), String(p.paidOrders), change(c.paidOrders, p.paidOrders)],
+      ['Orders (Woo, all)', String(c.orders), String(p.orders), change(c.orders, p.orders)],
+      ['Order revenue', m(c.orderRevenue), m(p.orderRevenue), change(c.orderRevenue, p.orderRevenue)],
+      [
+        'AOV',
+        m(aov(c.orderRevenue, c.paidOrders)),
+        m(aov(p.orderRevenue, p.paidOrders)),
+        change(aov(c.orderRevenue, c.paidOrders), aov(p.orderRevenue, p.paidOrders)),
+      ]
+    );
+  }
+  return rows;
+}
+
+function noFxNote(s) {
+  return s.noFx
+    ? `${s.noFx} payment(s) / order(s) have no FX rate for their date and are left out of these totals`
+    : null;
+}
+
+function periodLabel(range) {
+  return range.from === range.to ? range.from : `${range.from} → ${range.to}`;
+}
+
+function subjectFor(report) {
+  return `${report.title} store report — ${periodLabel(report.range)}`;
+}
+
+function renderText(report) {
+  const { range } = report;
+  const out = [`${subjectFor(report)} (vs ${periodLabel({ from: range.prevFrom, to: range.prevTo })})`, ''];
+
+  for (const s of report.sections) {
+    out.push(`== ${s.title} (${s.currency}) ==`);
+    for (const [label, cur, prev, delta] of metricRows(s)) {
+      out.push(`  ${label.padEnd(20)} ${cur.padStart(22)}  prev ${prev.padStart(22)}  ${delta}`);
+    }
+
+    const products = top(s.products);
+    if (products.length) {
+      out.push('  Top products (units):');
+      for (const p of products) out.push(`    ${String(p.cur).padStart(6)}  ${p.name}  ${change(p.cur, p.prev)}`);
+    }
+    const sources = top(s.sources);
+    if (sources.length) {
+      out.push('  Top traffic sources (sessions):');
+      for (const x of sources) out.push(`    ${String(x.cur).padStart(6)}  ${x.name}  ${change(x.cur, x.prev)}`);
+    }
+    if (s.note) out.push(`  ℹ️ ${s.note}`);
+    if (s.noFx) out.push(`  ⚠️ ${noFxNote(s)}`);
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function deltaCell(delta) {
+  const colour = delta.startsWith('+') || delta === 'new' ? '#2e7d32' : delta.startsWith('-') ? '#b00020' : '#666';
+  return `<td style="color:${colour};text-align:right">${escapeHtml(delta)}</td>`;
+}
+
+function htmlList(title, items, unit) {
+  if (!items.length) return '';
+  const rows = items
+    .map((x) => `<tr><td style="text-align:right">${x.cur}</td><td>${escapeHtml(x.name)}</td>${deltaCell(change(x.cur, x.prev))}</tr>`)
+    .join('\n');
+  return `<h4 style="margin:12px 0 4px">${title} (${unit})</h4>\n<table cellpadding="4">\n${rows}\n</table>`;
+}
+
+function renderHtml(report) {
+  const { range } = report;
+  const sections = report.sections.map((s) => {
+    const metrics = metricRows(s)
+      .map(
+        ([label, cur, prev, delta]) =>
+          `<tr><td>${escapeHtml(label)}</td><td style="text-align:right"><strong>${escapeHtml(cur)}</strong></td>` +
+          `<td style="text-align:right;color:#666">${escapeHtml(prev)}</td>${deltaCell(delta)}</tr>`
+      )
+      .join('\n');
+    return `<h3 style="margin:24px 0 8px">${escapeHtml(s.title)} <small style="color:#666">${s.currency}</small></h3>
+<table cellpadding="4" style="border-collapse:collapse">
+<tr style="color:#666"><th></th><th>This period</th><th>Previous</th><th></th></tr>
+${metrics}
+</table>
+${htmlList('Top products', top(s.products), 'units')}
+${htmlList('Top traffic sources', top(s.sources), 'sessions')}
+${s.note ? `<p style="color:#666">${escapeHtml(s.note)}</p>` : ''}
+${s.noFx ? `<p style="color:#b00020">${escapeHtml(noFxNote(s))}</p>` : ''}`;
+  });
+
+  return `<!doctype html>
+<html><body style="font-family:sans-serif;font-size:14px">
+<h2>${escapeHtml(subjectFor(report))}</h2>
+<p style="color:#666">Compared with ${escapeHtml(periodLabel({ from: range.prevFrom, to: range.prevTo }))}, ${REPORT_TIMEZONE}</p>
+${sections.join('\n')}
+</body></html>
+`;
+}
+
+/* ===============================
+   Delivery
+   =============================== */
+
+function recipients(to) {
+  const list = String(to || process.env.REPORT_EMAIL_TO || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!list.length) throw new Error('No recipients: pass --to or set REPORT_EMAIL_TO');
+  return list;
+}
+
+async function sendReport(period, end, { to, account } = {}) {
+  const report = await buildReport(period, end, { account });
+  const list = recipients(to);
+  await sendMail({ to: list, subject: subjectFor(report), text: renderText(report), html: renderHtml(report) });
+  console.log(`📨 ${subjectFor(report)} → ${list.join(', ')}`);
+  return list;
+}
+
+// What the scheduler runs: every configured period whose last complete
+// period has not been sent yet, once it's past REPORT_SEND_HOUR locally
+async function sendDueReports() {
+  await ensureSchema();
+
+  const periods = (process.env.REPORT_PERIODS || 'daily,weekly').split(',').map((s) => s.trim()).filter(Boolean);
+  for (const p of periods) {
+    if (!PERIODS[p]) throw new Error(`REPORT_PERIODS: unknown period ${p} (want ${Object.keys(PERIODS).join(', ')})`);
+  }
+
+  const hour = Number(new Date().toLocaleString('sv-SE', { timeZone: REPORT_TIMEZONE }).slice(11, 13));
+  if (hour < SEND_HOUR) return { accounts: 0, failed: 0, sent: 0 };
+  if (!smtpConfigured() && process.env.NOTIFY_DRY_RUN !== 'true') {
+    console.log('⚠️ SMTP_HOST is not set — no reports sent');
+    return { accounts: 0, failed: 0, sent: 0 };
+  }
+
+  const summary = { accounts: periods.length, failed: 0, locked: 0, sent: 0 };
+  for (const period of periods) {
+    const end = defaultEnd(period);
+    const { locked } = await withAdvisoryLock(pool, 'report', `${period}:${end}`, async () => {
+      const { rowCount } = await pool.query(
+        `SELECT 1 FROM report_deliveries WHERE period = $1 AND period_end = $2`,
+        [period, end]
+      );
+      if (rowCount) return;
+
+      try {
+        const list = await sendReport(period, end);
+        await pool.query(
+          `INSERT INTO report_deliveries (period, period_end, recipients) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+          [period, end, list.join(', ')]
+        );
+        summary.sent += 1;
+      } catch (err) {
+        // not recorded, so the next run tries again
+        summary.failed += 1;
+        console.error(`❌ ${period} report for ${end}: ${err.message || err}`);
+      }
+    });
+    if (!locked) summary.locked += 1;
+  }
+  return summary;
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDayArg(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`--${name} must be YYYY-MM-DD, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+async function close() {
+  closeMail();
+  await pool.end();
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      date: { type: 'string' },
+      account: { type: 'string' },
+      send: { type: 'boolean', default: false },
+      to: { type: 'string' },
+      html: { type: 'string' },
+    },
+  });
+
+  const mode = positionals[0];
+  if (mode === 'due') {
+    const { sent, failed } = await trackPollRun(pool, 'reports', sendDueReports);
+    console.log(`🏁 ${sent} report(s) sent${failed ? `, ${failed} failed` : ''}`);
+    if (failed) process.exitCode = 2;
+    return;
+  }
+  if (!PERIODS[mode]) {
+    throw new Error('usage: store-report.js daily|weekly [--date YYYY-MM-DD] [--account <id>] [--send] [--to ...] [--html file] | due');
+  }
+
+  const end = values.date ? parseDayArg('date', values.date) : defaultEnd(mode);
+
+  if (values.send) {
+    await sendReport(mode, end, { to: values.to, account: values.account });
+    return;
+  }
+
+  const report = await buildReport(mode, end, { account: values.account });
+  if (values.html) {
+    fs.writeFileSync(values.html, renderHtml(report));
+    console.log(`✅ HTML written to ${values.html}`);
+  }
+  console.log(renderText(report));
+}
+
+module.exports = { buildReport, renderText, renderHtml, sendDueReports, close };
+
+if (require.main === module) {
+  run()
+    .catch(err => {
+      console.error(`❌ ${err.message || err}`);
+      process.exitCode = 1;
+    })
+    .finally(() => close());
+}
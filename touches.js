@@ -0,0 +1,131 @@
+// touches.js — vp_touches as marketing channels, and how each model credits them
+// (attribution.js, conversion-report.js)
+
+const MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+
+// Conversions nobody can be credited for still count, under this channel
+const UNATTRIBUTED = { source: '(unattributed)', medium: '(none)', campaign: '(none)' };
+
+// click id -> channel when a touch carries no UTMs
+const CLICK_ID_CHANNELS = {
+  gclid: { source: 'google', medium: 'cpc' },
+  gbraid: { source: 'google', medium: 'cpc' },
+  wbraid: { source: 'google', medium: 'cpc' },
+  fbclid: { source: 'facebook', medium: 'paid_social' },
+  ttclid: { source: 'tiktok', medium: 'paid_social' },
+  msclkid: { source: 'bing', medium: 'cpc' },
+};
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Same precedence GA4 uses: UTMs, then click ids, then referrer, then direct.
+// null for a page view referred by the same site — /vp/t.js sends one per
+// page, and internal navigation is not a marketing touch.
+function touchChannel(t) {
+  const campaign = t.utm_campaign || '(none)';
+
+  if (t.utm_source || t.utm_medium) {
+    return { source: t.utm_source || '(not set)', medium: t.utm_medium || '(not set)', campaign };
+  }
+
+  const clickIds = t.click_ids && typeof t.click_ids === 'object' ? t.click_ids : {};
+  for (const [key, channel] of Object.entries(CLICK_ID_CHANNELS)) {
+    if (clickIds[key]) return { ...channel, campaign };
+  }
+
+  const ref = t.referrer ? hostOf(t.referrer) : null;
+  const landing = t.url ? hostOf(t.url) : null;
+  if (ref && ref === landing) return null;
+  if (ref) return { source: ref, medium: 'referral', campaign };
+
+  return { source: '(direct)', medium: '(none)', campaign };
+}
+
+// touches sorted oldest first, all within the lookback window
+function creditTouches(model, touches, conversionMs, halfLifeMs) {
+  if (!touches.length) return [];
+
+  switch (model) {
+    case 'first_touch':
+      return [{ touch: touches[0], weight: 1 }];
+    case 'last_touch':
+      return [{ touch: touches[touches.length - 1], weight: 1 }];
+    case 'linear':
+      return touches.map((touch) => ({ touch, weight: 1 / touches.length }));
+    case 'time_decay': {
+      const raw = touches.map((touch) => ({
+        touch,
+        w: Math.pow(2, -(conversionMs - new Date(touch.occurred_at).getTime()) / halfLifeMs),
+      }));
+      const total = raw.reduce((s, r) => s + r.w, 0);
+      return raw.map((r) => ({ touch: r.touch, weight: r.w / total }));
+    }
+    default:
+      throw new Error(`Unknown model ${model}`);
+  }
+}
+
+// email hash -> touches (oldest first, each with .channel) from lookback before since up to until
+async function loadTouches(db, emailHashes, opts) {
+  if (!emailHashes.length) return new Map();
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      i.email_hash,
+      t.occurred_at,
+      t.url,
+      t.referrer,
+      t.utm_source,
+      t.utm_medium,
+      t.utm_campaign,
+      t.click_ids
+    FROM vp_touches t
+    JOIN vp_identities i ON i.anon_id = t.anon_id
+    WHERE i.email_hash = ANY($1)
+      AND t.occurred_at >= $2
+      AND t.occurred_at < $3
+    ORDER BY t.occurred_at
+    `,
+    [emailHashes, new Date(opts.since.getTime() - opts.lookbackMs), opts.until]
+  );
+
+  const byEmail = new Map();
+  for (const r of rows) {
+    r.channel = touchChannel(r);
+    if (!byEmail.has(r.email_hash)) byEmail.set(r.email_hash, []);
+    byEmail.get(r.email_hash).push(r);
+  }
+  return byEmail;
+}
+
+// [{ channel, weight }] for one conversion; UNATTRIBUTED when no touch qualifies
+function creditConversion(model, conversion, touchesByEmail, opts) {
+  const convMs = new Date(conversion.converted_at).getTime();
+  const touches = (touchesByEmail.get(conversion.email_hash) || []).filter((t) => {
+    const ms = new Date(t.occurred_at).getTime();
+    return ms <= convMs && ms >= convMs - opts.lookbackMs && t.channel;
+  });
+
+  const credits = creditTouches(model, touches, convMs, opts.halfLifeMs);
+  return credits.length
+    ? credits.map((cr) => ({ channel: cr.touch.channel, weight: cr.weight }))
+    : [{ channel: UNATTRIBUTED, weight: 1 }];
+}
+
+module.exports = {
+  MODELS,
+  UNATTRIBUTED,
+  CLICK_ID_CHANNELS,
+  hostOf,
+  touchChannel,
+  creditTouches,
+  creditConversion,
+  loadTouches,
+};
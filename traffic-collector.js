@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+// traffic-collector.js — keep GA4 traffic in Postgres next to the revenue data
+//
+//   node traffic-collector.js realtime [--every 300] [--once]
+//        snapshot realtime sessions by source/medium into traffic_stats
+//   node traffic-collector.js backfill [--from 2026-01-01] [--to 2026-01-31] [--property <id>]
+//        daily sessions / users / purchases by source-medium, landing page and
+//        device into traffic_daily (default: yesterday). Days in the range are
+//        replaced, so reruns pick up GA4's late-processed data.
+//
+// Properties come from accounts.ga4_property_id, else GA4_PROPERTY_ID (see traffic.js).
+// Snapshots older than TRAFFIC_SNAPSHOT_RETAIN_DAYS (90) are pruned.
+// scheduler.js runs snapshotRealtime() and backfillDaily() on intervals; each
+// property is collected under an advisory lock and each run lands in poll_runs.
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { realtimeSessionsBySource, dailyTraffic } = require('./ga4');
+const { ensureTrafficTables, ga4Properties } = require('./traffic');
+const { recordPollerSuccess, recordPollerFailure, trackPollRun } = require('./poller-status');
+const { withAdvisoryLock } = require('./locks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REALTIME_WINDOW_MINUTES = Number(process.env.TRAFFIC_REALTIME_WINDOW_MINUTES || 60);
+const RETAIN_DAYS = Number(process.env.TRAFFIC_SNAPSHOT_RETAIN_DAYS || 90);
+// keep runReport responses small; GA4 has no hard range limit
+const BACKFILL_CHUNK_DAYS = 31;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+let schemaReady = null;
+
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = ensureTrafficTables(pool).catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/* ===============================
+   Realtime snapshots
+   =============================== */
+
+async function snapshotProperty(propertyId, capturedAt) {
+  const { totalSessions, bySource } = await realtimeSessionsBySource(propertyId, REALTIME_WINDOW_MINUTES);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [source, sessions] of Object.entries(bySource)) {
+      await client.query(
+        `
+        INSERT INTO traffic_stats (property_id, captured_at, window_minutes, source_medium, sessions)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (property_id, captured_at, source_medium) DO UPDATE SET sessions = EXCLUDED.sessions
+        `,
+        [propertyId, capturedAt, REALTIME_WINDOW_MINUTES, source, sessions]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return totalSessions;
+}
+
+// one snapshot of every property; resolves to a poll_runs summary
+async function snapshotRealtime() {
+  await ensureSchema();
+
+  const properties = await ga4Properties(pool);
+  if (!properties.length) throw new Error('No GA4 property: set accounts.ga4_property_id or GA4_PROPERTY_ID');
+
+  console.log(`🚀 GA4 realtime snapshot ${new Date().toISOString()}`);
+
+  const capturedAt = new Date();
+  const summary = { accounts: properties.length, failed: 0, locked: 0, sessions: 0 };
+
+  for (const p of properties) {
+    try {
+      const { locked, result: total } = await withAdvisoryLock(pool, 'ga4', p.propertyId, () =>
+        snapshotProperty(p.propertyId, capturedAt)
+      );
+      if (!locked) {
+        summary.locked += 1;
+        console.log(`   🔒 property ${p.propertyId}: being collected by another worker, skipped`);
+        continue;
+      }
+      summary.sessions += total;
+      console.log(`   ✅ property ${p.propertyId} (${p.stores.join(', ') || 'portfolio'}): ${total} sessions`);
+    } catch (err) {
+      summary.failed += 1;
+      console.log(`   ❌ property ${p.propertyId}: ${err.message || err}`);
+    }
+  }
+
+  await pool.query(`DELETE FROM traffic_stats WHERE captured_at < now() - make_interval(days => $1)`, [RETAIN_DAYS]);
+
+  if (summary.failed) {
+    await recordPollerFailure(pool, 'ga4', new Error(`${summary.failed} of ${properties.length} propert(ies) failed`));
+  } else {
+    await recordPollerSuccess(pool, 'ga4', summary);
+  }
+
+  return summary;
+}
+
+async function runRealtime(everySeconds, once) {
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  while (true) {
+    const { failed } = await trackPollRun(pool, 'ga4', snapshotRealtime);
+
+    if (once) {
+      if (failed) process.exitCode = 2;
+      return;
+    }
+
+    // sleep in short steps so Ctrl+C doesn't wait out the whole interval
+    for (let waited = 0; waited < everySeconds * 1000 && !stopping; waited += 1000) await sleep(1000);
+    if (stopping) return;
+  }
+}
+
+/* ===============================
+   Daily backfill
+   =============================== */
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function splitDays(from, to) {
+  const chunks = [];
+  for (let start = from; start <= to; start = addDays(start, BACKFILL_CHUNK_DAYS)) {
+    const end = addDays(start, BACKFILL_CHUNK_DAYS - 1);
+    chunks.push({ start, end: end < to ? end : to });
+  }
+  return chunks;
+}
+
+async function saveDaily(propertyId, chunk, rows) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM traffic_daily WHERE property_id = $1 AND day >= $2 AND day <= $3`, [
+      propertyId,
+      chunk.start,
+      chunk.end,
+    ]);
+
+    for (const r of rows) {
+      await client.query(
+        `
+        INSERT INTO traffic_daily (
+          property_id, day, source_medium, landing_page, device_category, sessions, users, purchases, fetched_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+        ON CONFLICT (property_id, day, source_medium, landing_page, device_category) DO UPDATE SET
+          sessions = traffic_daily.sessions + EXCLUDED.sessions,
+          users = traffic_daily.users + EXCLUDED.users,
+          purchases = traffic_daily.purchases + EXCLUDED.purchases
+        `,
+        [propertyId, r.day, r.sourceMedium, r.landingPage, r.device, r.sessions, r.users, r.purchases]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// days from..to (YYYY-MM-DD, inclusive); resolves to a poll_runs summary
+async function backfillDaily(from, to, onlyProperty = null) {
+  await ensureSchema();
+
+  let properties = await ga4Properties(pool);
+  if (onlyProperty) properties = [{ propertyId: onlyProperty, stores: [] }];
+  if (!properties.length) throw new Error('No GA4 property: set accounts.ga4_property_id or GA4_PROPERTY_ID');
+
+  const chunks = splitDays(from, to);
+  console.log(`🚀 GA4 daily backfill ${from} → ${to}: ${properties.length} propert(ies), ${chunks.length} chunk(s)`);
+
+  const summary = { accounts: properties.length, failed: 0, locked: 0, fetched: 0, inserted: 0 };
+
+  for (const p of properties) {
+    const { locked, result: ok } = await withAdvisoryLock(pool, 'ga4:daily', p.propertyId, async () => {
+      for (const chunk of chunks) {
+        try {
+          const rows = await dailyTraffic(p.propertyId, chunk.start, chunk.end);
+          await saveDaily(p.propertyId, chunk, rows);
+          const sessions = rows.reduce((n, r) => n + r.sessions, 0);
+          summary.fetched += rows.length;
+          summary.inserted += rows.length;
+          console.log(`   ✅ property ${p.propertyId} ${chunk.start} → ${chunk.end}: ${rows.length} rows, ${sessions} sessions`);
+        } catch (err) {
+          console.log(`   ❌ property ${p.propertyId} ${chunk.start} → ${chunk.end}: ${err.message || err}`);
+          return false;
+        }
+      }
+      return true;
+    });
+
+    if (!locked) {
+      summary.locked += 1;
+      console.log(`   🔒 property ${p.propertyId}: being collected by another worker, skipped`);
+    } else if (!ok) {
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+function yesterday() {
+  return new Date(Date.now() - DAY_MS).toISOString().slice(0, 10);
+}
+
+/* ===============================
+   MAIN
+   =============================== */
+
+function parseDayArg(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`--${name} must be YYYY-MM-DD, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      every: { type: 'string', default: process.env.TRAFFIC_SNAPSHOT_EVERY_SECONDS || '300' },
+      once: { type: 'boolean', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      property: { type: 'string' },
+    },
+  });
+
+  const mode = positionals[0];
+  if (!['realtime', 'backfill'].includes(mode)) {
+    throw new Error('usage: traffic-collector.js realtime [--every 300] [--once] | backfill [--from] [--to] [--property]');
+  }
+
+  await ensureSchema();
+
+  if (mode === 'realtime') {
+    const every = Number(values.every);
+    if (!Number.isFinite(every) || every < 60) throw new Error('--every must be at least 60 seconds');
+    return runRealtime(every, values.once);
+  }
+
+  const from = values.from ? parseDayArg('from', values.from) : yesterday();
+  const to = values.to ? parseDayArg('to', values.to) : values.from ? from : yesterday();
+  if (from > to) throw new Error('--from must not be after --to');
+
+  const { failed } = await trackPollRun(pool, 'ga4:daily', () => backfillDaily(from, to, values.property || null));
+  if (failed) process.exitCode = 2;
+}
+
+module.exports = { snapshotRealtime, backfillDaily, yesterday, close: () => pool.end() };
+
+if (require.main === module) {
+  run()
+    .catch(err => {
+      console.error(`❌ ${err.message || err}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
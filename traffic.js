@@ -0,0 +1,61 @@
+// traffic.js — GA4 traffic tables and which properties to collect
+//
+// traffic_stats  realtime snapshots (sessions by source/medium, last N minutes)
+// traffic_daily  runReport history per day / source-medium / landing page / device
+//
+// Both are keyed on the GA4 property; accounts.ga4_property_id maps a store
+// to its property. GA4_PROPERTY_ID covers the portfolio when no store has one.
+
+async function ensureGa4PropertyColumn(db) {
+  await db.query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS ga4_property_id text`);
+}
+
+async function ensureTrafficTables(db) {
+  await ensureGa4PropertyColumn(db);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS traffic_stats (
+      property_id text NOT NULL,
+      captured_at timestamptz NOT NULL,
+      window_minutes integer NOT NULL,
+      source_medium text NOT NULL,
+      sessions integer NOT NULL,
+      PRIMARY KEY (property_id, captured_at, source_medium)
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS traffic_stats_captured_idx ON traffic_stats (captured_at)`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS traffic_daily (
+      property_id text NOT NULL,
+      day date NOT NULL,
+      source_medium text NOT NULL,
+      landing_page text NOT NULL,
+      device_category text NOT NULL,
+      sessions integer NOT NULL,
+      users integer NOT NULL,
+      purchases integer NOT NULL,
+      fetched_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (property_id, day, source_medium, landing_page, device_category)
+    )
+  `);
+}
+
+// [{ propertyId, stores: [label, ...] }]
+async function ga4Properties(db) {
+  await ensureGa4PropertyColumn(db);
+
+  const { rows } = await db.query(`
+    SELECT ga4_property_id AS property_id, array_agg(label ORDER BY label) AS stores
+    FROM accounts
+    WHERE ga4_property_id IS NOT NULL AND ga4_property_id <> ''
+    GROUP BY ga4_property_id
+    ORDER BY ga4_property_id
+  `);
+
+  if (rows.length) return rows.map((r) => ({ propertyId: r.property_id, stores: r.stores }));
+  if (process.env.GA4_PROPERTY_ID) return [{ propertyId: process.env.GA4_PROPERTY_ID, stores: [] }];
+  return [];
+}
+
+module.exports = { ensureGa4PropertyColumn, ensureTrafficTables, ga4Properties };
@@ -0,0 +1,426 @@
+// transactions.js — shared bits for everything that writes to `transactions`
+// (the provider adapters via providers.js, vp-api.cjs webhooks, email-ingest.js)
+
+const crypto = require('crypto');
+
+// Provider event type -> what it means for revenue.
+//   payment             money in
+//   refund / reversal   money back to the buyer (full or partial)
+//   chargeback          money taken back by the card network / PayPal
+//   chargeback_reversal chargeback won, money returned to us
+const EVENT_KINDS = {
+  stripe: {
+    charge: 'payment',
+    refund: 'refund',
+    dispute: 'chargeback',
+  },
+  paypal: {
+    T0006: 'payment',
+    T1106: 'reversal',
+    T1107: 'refund',
+    T1201: 'chargeback',
+    T1202: 'chargeback_reversal',
+  },
+  square: {
+    payment: 'payment',
+    refund: 'refund',
+  },
+};
+
+function kindFor(provider, eventType) {
+  return EVENT_KINDS[provider]?.[eventType] || null;
+}
+
+/* ===============================
+   Normalisation
+   =============================== */
+
+// Normalised columns, all in major currency units from the merchant's side:
+//   amount_gross  signed — payments positive, refunds/chargebacks negative
+//   amount_fee    processor fee we paid (positive), null when the payload has none
+//   amount_net    gross - fee, null when the fee is unknown
+//   status        completed | pending | failed | reversed, else the provider's own value
+const NORMALISED_COLUMNS = [
+  'amount_gross',
+  'amount_fee',
+  'amount_net',
+  'currency',
+  'status',
+  'buyer_name',
+  'buyer_email_hash',
+  'payment_method',
+];
+
+// Same scheme as /vp/identify, so buyers can be joined to vp_identities
+function hashEmail(email) {
+  const e = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!e) return null;
+  return crypto.createHash('sha256').update(e).digest('hex');
+}
+
+function num(x) {
+  if (x === null || x === undefined || x === '') return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(n) {
+  return n === null ? null : Math.round(n * 100) / 100;
+}
+
+// https://stripe.com/docs/currencies#zero-decimal — Square uses the same
+// ISO 4217 minor units for these
+const ZERO_DECIMAL = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+
+// Stripe and Square amounts are integers in the currency's minor unit
+function minorToMajor(minor, currency) {
+  const n = num(minor);
+  if (n === null) return null;
+  return ZERO_DECIMAL.has(String(currency || '').toUpperCase()) ? n : n / 100;
+}
+
+const STRIPE_STATUS = {
+  succeeded: 'completed',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+// Dispute statuses. Stripe takes the money as soon as a dispute opens and
+// returns it if we win; inquiries (warning_*) never take it.
+const STRIPE_DISPUTE_STATUS = {
+  needs_response: 'completed',
+  under_review: 'completed',
+  lost: 'completed',
+  won: 'reversed',
+  warning_needs_response: 'pending',
+  warning_under_review: 'pending',
+  warning_closed: 'reversed',
+};
+
+// A balance transaction's fee is in the balance (settlement) currency; a USD
+// charge paid out in AUD has an AUD fee. exchange_rate turns charge currency
+// into balance currency, so divide to get back; null (fee unknown) when there
+// is no rate. Rows stored before this kept the settlement-currency fee:
+// migrate-normalise-transactions.js --all re-derives them.
+function stripeFee(b, currency) {
+  const btCurrency = b.currency ? String(b.currency).toUpperCase() : currency;
+  const fee = minorToMajor(b.fee, btCurrency);
+  if (fee === null || btCurrency === currency) return fee;
+  const rate = num(b.exchange_rate);
+  return rate ? fee / rate : null;
+}
+
+function normaliseStripe(eventType, obj) {
+  const currency = obj.currency ? String(obj.currency).toUpperCase() : null;
+  const amount = minorToMajor(obj.amount, currency);
+  const outflow = eventType !== 'charge';
+  const gross = amount === null ? null : outflow ? -Math.abs(amount) : amount;
+
+  // fee is only present when balance_transaction was expanded (charges,
+  // refunds); disputes carry their balance_transactions inline
+  const bt = obj.balance_transaction && typeof obj.balance_transaction === 'object'
+    ? obj.balance_transaction
+    : null;
+  const bts = bt ? [bt] : Array.isArray(obj.balance_transactions) ? obj.balance_transactions : [];
+  const fees = bts.map((b) => stripeFee(b, currency));
+  const fee = fees.length && !fees.includes(null) ? fees.reduce((sum, f) => sum + f, 0) : null;
+
+  const billing = obj.billing_details || {};
+  const pm = obj.payment_method_details;
+
+  return {
+    amount_gross: round2(gross),
+    amount_fee: round2(fee),
+    amount_net: gross !== null && fee !== null ? round2(gross - fee) : null,
+    currency,
+    status: (eventType === 'dispute' ? STRIPE_DISPUTE_STATUS : STRIPE_STATUS)[obj.status] || obj.status || null,
+    buyer_name: billing.name || obj.shipping?.name || null,
+    buyer_email_hash: hashEmail(billing.email || obj.receipt_email),
+    payment_method: pm?.type ? [pm.type, pm[pm.type]?.brand].filter(Boolean).join(':') : null,
+  };
+}
+
+// Reporting API transaction_status
+const PAYPAL_REPORTING_STATUS = { S: 'completed', P: 'pending', D: 'failed', V: 'reversed' };
+
+// Webhook capture/refund resource status
+const PAYPAL_RESOURCE_STATUS = {
+  COMPLETED: 'completed',
+  PENDING: 'pending',
+  DECLINED: 'failed',
+  FAILED: 'failed',
+  REFUNDED: 'reversed',
+  PARTIALLY_REFUNDED: 'completed',
+  CANCELLED: 'failed',
+};
+
+function paypalName(p) {
+  if (!p) return null;
+  if (p.alternate_full_name) return p.alternate_full_name;
+  const full = [p.given_name, p.surname].filter(Boolean).join(' ');
+  return full || null;
+}
+
+// Handles both shapes we store: a Reporting API transaction_details entry
+// (provider-paypal.js) and a capture/refund webhook resource (vp-api.cjs).
+function normalisePaypal(eventType, payload) {
+  const info = payload.transaction_info;
+
+  if (info) {
+    const gross = num(info.transaction_amount?.value);
+    const feeRaw = num(info.fee_amount?.value);
+    // Reporting fees are negative on payments, positive when returned on refunds
+    const fee = feeRaw === null ? null : -feeRaw;
+    const payer = payload.payer_info || {};
+
+    return {
+      amount_gross: round2(gross),
+      amount_fee: round2(fee),
+      amount_net: gross !== null && fee !== null ? round2(gross - fee) : null,
+      currency: info.transaction_amount?.currency_code || null,
+      status: PAYPAL_REPORTING_STATUS[info.transaction_status] || info.transaction_status || null,
+      buyer_name: paypalName(payer.payer_name),
+      buyer_email_hash: hashEmail(payer.email_address),
+      payment_method: info.instrument_type ? String(info.instrument_type).toLowerCase() : 'paypal',
+    };
+  }
+
+  const outflow = kindFor('paypal', eventType) !== 'payment';
+  const breakdown = payload.seller_receivable_breakdown || payload.seller_payable_breakdown || {};
+  const amount = num(payload.amount?.value ?? breakdown.gross_amount?.value);
+  const gross = amount === null ? null : outflow ? -Math.abs(amount) : amount;
+  const feeAbs = num(breakdown.paypal_fee?.value);
+  const fee = feeAbs === null ? null : outflow ? -Math.abs(feeAbs) : Math.abs(feeAbs);
+
+  return {
+    amount_gross: round2(gross),
+    amount_fee: round2(fee),
+    amount_net: gross !== null && fee !== null ? round2(gross - fee) : null,
+    currency: payload.amount?.currency_code || breakdown.gross_amount?.currency_code || null,
+    status: PAYPAL_RESOURCE_STATUS[payload.status] || (payload.status ? String(payload.status).toLowerCase() : null),
+    buyer_name: paypalName(payload.payer?.name),
+    buyer_email_hash: hashEmail(payload.payer?.email_address),
+    payment_method: 'paypal',
+  };
+}
+
+// Payments API payment / refund status
+const SQUARE_STATUS = {
+  COMPLETED: 'completed',
+  APPROVED: 'pending',
+  PENDING: 'pending',
+  CANCELED: 'failed',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+};
+
+function squareName(addr) {
+  if (!addr) return null;
+  const full = [addr.first_name, addr.last_name].filter(Boolean).join(' ');
+  return full || null;
+}
+
+// Payment / PaymentRefund objects from the Square Payments API
+// (provider-square.js). total_money includes tips; processing_fee is a list of
+// fee entries, negative on refunds when Square hands the fee back.
+function normaliseSquare(eventType, obj) {
+  const money = obj.total_money || obj.amount_money || {};
+  const currency = money.currency ? String(money.currency).toUpperCase() : null;
+  const amount = minorToMajor(money.amount, currency);
+  const outflow = eventType !== 'payment';
+  const gross = amount === null ? null : outflow ? -Math.abs(amount) : amount;
+
+  const fees = Array.isArray(obj.processing_fee) ? obj.processing_fee : [];
+  const fee = fees.length
+    ? fees.reduce((sum, f) => sum + (minorToMajor(f.amount_money?.amount, currency) || 0), 0)
+    : null;
+
+  const card = obj.card_details?.card;
+  const method = obj.source_type ? String(obj.source_type).toLowerCase() : null;
+
+  return {
+    amount_gross: round2(gross),
+    amount_fee: round2(fee),
+    amount_net: gross !== null && fee !== null ? round2(gross - fee) : null,
+    currency,
+    status: SQUARE_STATUS[obj.status] || (obj.status ? String(obj.status).toLowerCase() : null),
+    buyer_name: squareName(obj.billing_address) || squareName(obj.shipping_address),
+    buyer_email_hash: hashEmail(obj.buyer_email_address),
+    payment_method: method && card?.card_brand ? `${method}:${card.card_brand.toLowerCase()}` : method,
+  };
+}
+
+// Payment-notification emails (email-ingest.js) are parsed into this shape
+// already; they carry no fee.
+function normaliseEmail(payload) {
+  const gross = num(payload.amount);
+  return {
+    amount_gross: round2(gross),
+    amount_fee: null,
+    amount_net: null,
+    currency: payload.currency || null,
+    status: 'completed',
+    buyer_name: payload.buyer_name || null,
+    buyer_email_hash: hashEmail(payload.buyer_email),
+    payment_method: payload.payment_method || null,
+  };
+}
+
+function normalise(provider, eventType, payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.source === 'email') return normaliseEmail(payload);
+  if (provider === 'stripe') return normaliseStripe(eventType, payload);
+  if (provider === 'paypal') return normalisePaypal(eventType, payload);
+  if (provider === 'square') return normaliseSquare(eventType, payload);
+  return null;
+}
+
+// Values for NORMALISED_COLUMNS in order, for appending to insert params
+function normalisedParams(provider, eventType, payload) {
+  const n = normalise(provider, eventType, payload) || {};
+  return NORMALISED_COLUMNS.map((c) => n[c] ?? null);
+}
+
+// "$<first>, $<first+1>, ..." matching normalisedParams()
+function normalisedPlaceholders(first) {
+  return NORMALISED_COLUMNS.map((_, i) => `$${first + i}`).join(', ');
+}
+
+// Conflict clause for verified sources (pollers, signed webhooks): an existing
+// low-trust row (verified = false, e.g. from email-ingest.js) with the same
+// provider id is replaced by the verified data, and so is a row without a fee
+// once the source reports one (Stripe charges stored before the poller
+// expanded balance_transaction) or one whose status has moved on (a dispute
+// won or lost, a pending payment settling); anything else is left alone.
+const UPSERT_VERIFIED_SQL = `
+  ON CONFLICT (provider, provider_event_id) DO UPDATE SET
+    event_type = EXCLUDED.event_type,
+    payload_json = EXCLUDED.payload_json,
+    occurred_at = EXCLUDED.occurred_at,
+    verified = true,
+    kind = EXCLUDED.kind,
+    related_provider_event_id = EXCLUDED.related_provider_event_id,
+    ${NORMALISED_COLUMNS.map((c) => `${c} = EXCLUDED.${c}`).join(',\n    ')}
+  WHERE transactions.verified = false
+     OR (transactions.amount_fee IS NULL AND EXCLUDED.amount_fee IS NOT NULL)
+     OR (EXCLUDED.status IS NOT NULL AND transactions.status IS DISTINCT FROM EXCLUDED.status)
+`;
+
+// One verified row (poller or signed webhook); resolves to 1 when it was new,
+// replaced a low-trust row, gained its fee or changed status, else 0. occurredAt is a Date or ISO string;
+// t.normalised (an adapter's normalise() output) wins over normalise() here.
+async function insertVerifiedTransaction(db, t) {
+  const res = await db.query(
+    `
+    INSERT INTO transactions (
+      account_id,
+      provider,
+      provider_event_id,
+      event_type,
+      payload_json,
+      occurred_at,
+      verified,
+      kind,
+      related_provider_event_id,
+      ${NORMALISED_COLUMNS.join(', ')}
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, true, $7, $8, ${normalisedPlaceholders(9)})
+    ${UPSERT_VERIFIED_SQL}
+    `,
+    [
+      t.accountId,
+      t.provider,
+      t.id,
+      t.eventType,
+      t.payload,
+      t.occurredAt,
+      kindFor(t.provider, t.eventType),
+      t.relatedId || null,
+      ...(t.normalised
+        ? NORMALISED_COLUMNS.map((c) => t.normalised[c] ?? null)
+        : normalisedParams(t.provider, t.eventType, t.payload)),
+    ]
+  );
+  return res.rowCount || 0;
+}
+
+// Columns added on top of the original transactions table. DDL only, safe to
+// run on every start; backfilling existing rows is
+// migrate-normalise-transactions.js.
+async function ensureTransactionColumns(db) {
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN IF NOT EXISTS kind text,
+      ADD COLUMN IF NOT EXISTS related_provider_event_id text,
+      ADD COLUMN IF NOT EXISTS amount_gross numeric(14,2),
+      ADD COLUMN IF NOT EXISTS amount_fee numeric(14,2),
+      ADD COLUMN IF NOT EXISTS amount_net numeric(14,2),
+      ADD COLUMN IF NOT EXISTS currency char(3),
+      ADD COLUMN IF NOT EXISTS status text,
+      ADD COLUMN IF NOT EXISTS buyer_name text,
+      ADD COLUMN IF NOT EXISTS buyer_email_hash text,
+      ADD COLUMN IF NOT EXISTS payment_method text
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS transactions_related_idx
+      ON transactions (provider, related_provider_event_id)
+      WHERE related_provider_event_id IS NOT NULL
+  `);
+  await ensureTransactionNotify(db);
+}
+
+// NOTIFY channel fired for every inserted transaction (live-feed.js --follow).
+// Payload is the row's key; listeners read the row themselves.
+const TRANSACTIONS_CHANNEL = 'vp_transactions';
+
+async function ensureTransactionNotify(db) {
+  await db.query(`
+    CREATE OR REPLACE FUNCTION vp_notify_transaction() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+    BEGIN
+      PERFORM pg_notify(
+        '${TRANSACTIONS_CHANNEL}',
+        json_build_object('provider', NEW.provider, 'provider_event_id', NEW.provider_event_id)::text
+      );
+      RETURN NEW;
+    END
+    $$
+  `);
+  // CREATE TRIGGER has no IF NOT EXISTS; avoid re-creating it on every poll
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_trigger
+        WHERE tgname = 'transactions_notify' AND tgrelid = 'transactions'::regclass
+      ) THEN
+        CREATE TRIGGER transactions_notify
+          AFTER INSERT ON transactions
+          FOR EACH ROW EXECUTE FUNCTION vp_notify_transaction();
+      END IF;
+    END
+    $$
+  `);
+}
+
+module.exports = {
+  EVENT_KINDS,
+  NORMALISED_COLUMNS,
+  STRIPE_DISPUTE_STATUS,
+  UPSERT_VERIFIED_SQL,
+  kindFor,
+  hashEmail,
+  minorToMajor,
+  normalise,
+  normalisedParams,
+  normalisedPlaceholders,
+  insertVerifiedTransaction,
+  ensureTransactionColumns,
+  TRANSACTIONS_CHANNEL,
+  ensureTransactionNotify,
+};
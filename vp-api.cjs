@@ -0,0 +1,450 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+const { insertVerifiedTransaction, ensureTransactionColumns } = require("./transactions");
+const { decryptCredential, ensureCredentialCryptoColumns } = require("./credential-crypto");
+const { fetchWithTimeout } = require("./provider-http");
+require("dotenv").config();
+
+const PORT = 8080;
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (!DATABASE_URL) {
+  console.error("Missing DATABASE_URL env var");
+  process.exit(1);
+}
+
+const pool = new Pool({ connectionString: DATABASE_URL });
+
+const PAYPAL_API = process.env.PAYPAL_API || "https://api-m.paypal.com";
+// PEM cert used to check PayPal signatures locally instead of calling
+// verify-webhook-signature (also lets a local stand-in sign test events)
+const PAYPAL_WEBHOOK_CERT_FILE = process.env.PAYPAL_WEBHOOK_CERT_FILE || "";
+// each remote verification call; a timeout fails the request (500) and PayPal retries
+const PAYPAL_VERIFY_TIMEOUT_MS = Number(process.env.PAYPAL_VERIFY_TIMEOUT_MS || 10000);
+const STRIPE_SIG_TOLERANCE_SEC = Number(process.env.STRIPE_WEBHOOK_TOLERANCE_SEC || 300);
+
+const app = express();
+app.set("trust proxy", true);
+
+/* ===============================
+   Rate limiting (per client IP, one-minute windows)
+   =============================== */
+
+function createRateLimit(max) {
+  const hits = new Map();
+  const windowMs = 60_000;
+
+  return function rateLimit(req, res, next) {
+    const ip = req.headers["cf-connecting-ip"] || req.ip || "unknown";
+    const now = Date.now();
+    const cur = hits.get(ip);
+    if (!cur || now > cur.resetAt) {
+      hits.set(ip, { count: 1, resetAt: now + windowMs });
+      return next();
+    }
+    cur.count++;
+    if (cur.count > max) return res.status(429).end();
+    next();
+  };
+}
+
+const rateLimit = createRateLimit(180);
+// Stripe / PayPal deliver in bursts, so this one is looser; it still stops a
+// flood of forged events from reaching the database or PayPal's API
+const webhookRateLimit = createRateLimit(Number(process.env.WEBHOOK_RATE_LIMIT_PER_MIN || 600));
+
+/* ===============================
+   Webhooks (raw body — signatures are over the exact bytes)
+   =============================== */
+
+const rawBody = express.raw({ type: "*/*", limit: "1mb" });
+
+async function ensureWebhookColumns() {
+  await pool.query(
+    `alter table credentials
+       add column if not exists stripe_webhook_secret text,
+       add column if not exists paypal_webhook_id text`
+  );
+  await ensureCredentialCryptoColumns(pool);
+  await ensureTransactionColumns(pool);
+}
+
+// Same insert + dedupe key as the pollers (transactions.js), so a webhook and
+// a later poll of the same payment collapse into one row.
+async function insertWebhookTransaction(provider, accountId, providerEventId, eventType, payload, occurredAt, relatedId = null) {
+  return insertVerifiedTransaction(pool, {
+    accountId,
+    provider,
+    id: providerEventId,
+    eventType,
+    payload,
+    occurredAt,
+    relatedId,
+  });
+}
+
+function accountFilter(req) {
+  return typeof req.query.account === "string" && req.query.account ? req.query.account : null;
+}
+
+// --- Stripe ---
+
+function parseStripeSignature(header) {
+  const out = { t: null, v1: [] };
+  for (const part of String(header || "").split(",")) {
+    const [k, v] = part.split("=", 2);
+    if (k === "t") out.t = Number(v);
+    else if (k === "v1" && v) out.v1.push(v);
+  }
+  return out;
+}
+
+function verifyStripeSignature(buf, header, secret) {
+  const sig = parseStripeSignature(header);
+  if (!sig.t || !sig.v1.length) return false;
+  if (Math.abs(Date.now() / 1000 - sig.t) > STRIPE_SIG_TOLERANCE_SEC) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${sig.t}.`)
+    .update(buf)
+    .digest();
+
+  return sig.v1.some((v) => {
+    const got = Buffer.from(v, "hex");
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+  });
+}
+
+// data.object type -> transactions.event_type (same values poller.js writes)
+const STRIPE_WEBHOOK_OBJECTS = { charge: "charge", refund: "refund", dispute: "dispute" };
+
+app.post("/vp/webhooks/stripe", webhookRateLimit, rawBody, async (req, res) => {
+  const header = req.headers["stripe-signature"];
+  if (!header || !Buffer.isBuffer(req.body)) return res.status(400).end();
+
+  try {
+    const { rows } = await pool.query(
+      `select c.account_id, c.stripe_webhook_secret, c.dek_wrapped
+         from credentials c
+        where c.provider = 'stripe'
+          and c.is_active = true
+          and c.stripe_webhook_secret is not null
+          and ($1::text is null or c.account_id::text = $1::text)`,
+      [accountFilter(req)]
+    );
+
+    const match = rows
+      .map(decryptCredential)
+      .find((r) => verifyStripeSignature(req.body, header, r.stripe_webhook_secret));
+    if (!match) return res.status(400).json({ ok: false, error: "bad_signature" });
+
+    const event = JSON.parse(req.body.toString("utf8"));
+    const obj = event?.data?.object;
+
+    // Keyed by object id like poller.js; anything else is acked and ignored
+    const eventType = STRIPE_WEBHOOK_OBJECTS[obj?.object];
+    if (eventType && obj.id) {
+      const related = eventType === "charge" ? null : obj.charge;
+      await insertWebhookTransaction(
+        "stripe",
+        match.account_id,
+        obj.id,
+        eventType,
+        obj,
+        new Date(obj.created * 1000).toISOString(),
+        typeof related === "string" ? related : related?.id || null
+      );
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("stripe webhook failed:", e.message);
+    return res.status(500).end();
+  }
+});
+
+// --- PayPal ---
+
+const CRC32_TABLE = (() => {
+  const t = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+let paypalCert = null;
+function loadPaypalCert() {
+  if (!paypalCert) paypalCert = fs.readFileSync(PAYPAL_WEBHOOK_CERT_FILE, "utf8");
+  return paypalCert;
+}
+
+function verifyPaypalLocally(buf, headers, webhookId) {
+  const transmissionId = headers["paypal-transmission-id"];
+  const transmissionTime = headers["paypal-transmission-time"];
+  const sig = headers["paypal-transmission-sig"];
+  if (!transmissionId || !transmissionTime || !sig) return false;
+
+  const message = `${transmissionId}|${transmissionTime}|${webhookId}|${crc32(buf)}`;
+  return crypto
+    .createVerify("RSA-SHA256")
+    .update(message)
+    .verify(loadPaypalCert(), sig, "base64");
+}
+
+async function verifyPaypalRemotely(event, headers, cred) {
+  const auth = Buffer.from(`${cred.paypal_client_id}:${cred.paypal_client_secret}`).toString("base64");
+  const tokenResp = await fetchWithTimeout(
+    `${PAYPAL_API}/v1/oauth2/token`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    },
+    PAYPAL_VERIFY_TIMEOUT_MS
+  );
+  if (!tokenResp.ok) return false;
+  const { access_token } = await tokenResp.json();
+
+  const resp = await fetchWithTimeout(
+    `${PAYPAL_API}/v1/notifications/verify-webhook-signature`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${access_token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        auth_algo: headers["paypal-auth-algo"],
+        cert_url: headers["paypal-cert-url"],
+        transmission_id: headers["paypal-transmission-id"],
+        transmission_sig: headers["paypal-transmission-sig"],
+        transmission_time: headers["paypal-transmission-time"],
+        webhook_id: cred.paypal_webhook_id,
+        webhook_event: event,
+      }),
+    },
+    PAYPAL_VERIFY_TIMEOUT_MS
+  );
+  if (!resp.ok) return false;
+  const json = await resp.json();
+  return json?.verification_status === "SUCCESS";
+}
+
+// Capture/refund resources carry the same id the Reporting API returns as
+// transaction_id, so they are stored under the poller's event codes.
+const PAYPAL_WEBHOOK_EVENTS = {
+  "PAYMENT.CAPTURE.COMPLETED": "T0006",
+  "PAYMENT.CAPTURE.REFUNDED": "T1107",
+  "PAYMENT.CAPTURE.REVERSED": "T1106",
+};
+
+// Refund resources link back to the capture they refund via rel=up
+function paypalCaptureIdFromLinks(resource) {
+  const up = (resource.links || []).find((l) => l.rel === "up" && /\/captures\//.test(l.href || ""));
+  return up ? up.href.split("/captures/")[1].split(/[/?]/)[0] : null;
+}
+
+app.post("/vp/webhooks/paypal", webhookRateLimit, rawBody, async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) return res.status(400).end();
+
+  let event;
+  try {
+    event = JSON.parse(req.body.toString("utf8"));
+  } catch (e) {
+    return res.status(400).end();
+  }
+
+  // Remote verification costs two PayPal calls per credential tried, so
+  // without a local cert the webhook URL has to name its store (?account=<id>)
+  if (!PAYPAL_WEBHOOK_CERT_FILE && !accountFilter(req)) {
+    return res.status(400).json({ ok: false, error: "account_required" });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `select c.account_id, c.paypal_webhook_id, c.paypal_client_id, c.paypal_client_secret, c.dek_wrapped
+         from credentials c
+        where c.provider = 'paypal'
+          and c.is_active = true
+          and c.paypal_webhook_id is not null
+          and ($1::text is null or c.account_id::text = $1::text)`,
+      [accountFilter(req)]
+    );
+
+    let match = null;
+    for (const cred of rows.map(decryptCredential)) {
+      const ok = PAYPAL_WEBHOOK_CERT_FILE
+        ? verifyPaypalLocally(req.body, req.headers, cred.paypal_webhook_id)
+        : await verifyPaypalRemotely(event, req.headers, cred);
+      if (ok) {
+        match = cred;
+        break;
+      }
+    }
+    if (!match) return res.status(400).json({ ok: false, error: "bad_signature" });
+
+    const eventType = PAYPAL_WEBHOOK_EVENTS[event.event_type];
+    const resource = event.resource;
+    if (eventType && resource?.id) {
+      await insertWebhookTransaction(
+        "paypal",
+        match.account_id,
+        resource.id,
+        eventType,
+        resource,
+        resource.create_time || event.create_time,
+        eventType === "T0006" ? null : paypalCaptureIdFromLinks(resource)
+      );
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("paypal webhook failed:", e.message);
+    return res.status(500).end();
+  }
+});
+
+app.use(express.json({ limit: "64kb" }));
+
+// /vp/t.js beacons arrive as text/plain (no CORS preflight) but carry JSON
+app.use(express.text({ type: "text/plain", limit: "64kb" }));
+app.use((req, res, next) => {
+  if (typeof req.body === "string") {
+    try {
+      req.body = JSON.parse(req.body);
+    } catch (e) {
+      return res.status(400).end();
+    }
+  }
+  next();
+});
+
+/* ===============================
+   Tracker script
+   =============================== */
+
+// Bump when vp-tracker.js changes in a way stores should pick up immediately
+const TRACKER_VERSION = "1.0.0";
+const trackerSource = fs
+  .readFileSync(path.join(__dirname, "vp-tracker.js"), "utf8")
+  .replace(/__VP_VERSION__/g, TRACKER_VERSION);
+const trackerEtag = `"${TRACKER_VERSION}-${crypto.createHash("sha1").update(trackerSource).digest("hex").slice(0, 12)}"`;
+
+app.get("/vp/t.js", (req, res) => {
+  // /vp/t.js?v=<version> is safe to cache for good; the bare URL is revalidated
+  const pinned = req.query.v === TRACKER_VERSION;
+
+  res.set({
+    "Content-Type": "application/javascript; charset=utf-8",
+    "Cache-Control": pinned ? "public, max-age=31536000, immutable" : "public, max-age=300",
+    ETag: trackerEtag,
+    "X-VP-Tracker-Version": TRACKER_VERSION,
+  });
+
+  if (req.headers["if-none-match"] === trackerEtag) return res.status(304).end();
+  return res.send(trackerSource);
+});
+
+app.get("/vp/health", async (req, res) => {
+  try {
+    await pool.query("select 1");
+    res.json({ ok: true, service: "vp-api" });
+  } catch (e) {
+    res.status(500).json({ ok: false, service: "vp-api" });
+  }
+});
+
+app.post("/vp/collect", rateLimit, async (req, res) => {
+  const b = req.body || {};
+  const anon_id = typeof b.anon_id === "string" ? b.anon_id.trim() : "";
+  const occurred_at = b.occurred_at ? new Date(b.occurred_at) : new Date();
+  const url = typeof b.url === "string" ? b.url : "";
+  const referrer = typeof b.referrer === "string" ? b.referrer : null;
+
+  if (!anon_id || anon_id.length > 80) return res.status(400).end();
+  if (!url || url.length > 2000) return res.status(400).end();
+  if (Number.isNaN(occurred_at.getTime())) return res.status(400).end();
+
+  const click_ids = (b.click_ids && typeof b.click_ids === "object") ? b.click_ids : {};
+  const utm_source = typeof b.utm_source === "string" ? b.utm_source : null;
+  const utm_medium = typeof b.utm_medium === "string" ? b.utm_medium : null;
+  const utm_campaign = typeof b.utm_campaign === "string" ? b.utm_campaign : null;
+  const utm_content = typeof b.utm_content === "string" ? b.utm_content : null;
+  const utm_term = typeof b.utm_term === "string" ? b.utm_term : null;
+
+  const ip = req.headers["cf-connecting-ip"] || req.ip || null;
+  const ua = req.headers["user-agent"] || null;
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    await client.query(
+      `insert into vp_touches
+        (anon_id, occurred_at, url, referrer, utm_source, utm_medium, utm_campaign, utm_content, utm_term, click_ids, ip, user_agent)
+       values
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+      [anon_id, occurred_at.toISOString(), url, referrer, utm_source, utm_medium, utm_campaign, utm_content, utm_term, click_ids, ip, ua]
+    );
+
+    await client.query(
+      `insert into vp_identities (anon_id, first_seen_at, last_seen_at)
+       values ($1, now(), now())
+       on conflict (anon_id) do update set last_seen_at = now()`,
+      [anon_id]
+    );
+
+    await client.query("commit");
+    return res.status(204).end();
+  } catch (e) {
+    await client.query("rollback");
+    return res.status(500).end();
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/vp/identify", rateLimit, async (req, res) => {
+  const b = req.body || {};
+  const anon_id = typeof b.anon_id === "string" ? b.anon_id.trim() : "";
+  const email = typeof b.email === "string" ? b.email.trim().toLowerCase() : "";
+
+  if (!anon_id || anon_id.length > 80) return res.status(400).end();
+  if (!email || email.length > 254) return res.status(400).end();
+
+  const email_hash = crypto.createHash("sha256").update(email).digest("hex");
+
+  await pool.query(
+    `insert into vp_identities (anon_id, email_hash, first_seen_at, last_seen_at)
+     values ($1, $2, now(), now())
+     on conflict (anon_id) do update
+       set email_hash = excluded.email_hash,
+           last_seen_at = now()`,
+    [anon_id, email_hash]
+  );
+
+  return res.status(204).end();
+});
+
+ensureWebhookColumns()
+  .then(() => {
+    app.listen(PORT, "127.0.0.1", () => {
+      console.log(`vp-api listening on 127.0.0.1:${PORT}`);
+    });
+  })
+  .catch((e) => {
+    console.error("vp-api schema check failed:", e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,140 @@
+/*! vp tracker — served by vp-api.cjs as /vp/t.js
+ *
+ * <script async src="https://<store>/vp/t.js"></script>
+ *
+ * - keeps a first-party anon id (cookie + localStorage)
+ * - sends a page view to /vp/collect with UTMs, click ids and referrer
+ * - calls /vp/identify once a checkout email field holds a valid address
+ *
+ * Browser code: plain ES5, no dependencies. __VP_VERSION__ is filled in by
+ * vp-api when the file is served.
+ */
+(function (w, d) {
+  "use strict";
+
+  if (w.__vp_loaded) return;
+  w.__vp_loaded = true;
+
+  var VERSION = "__VP_VERSION__";
+  var COOKIE = "_vp_aid";
+  var MAX_AGE = 60 * 60 * 24 * 395;
+  var UTM_KEYS = ["utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term"];
+  var CLICK_ID_KEYS = ["gclid", "gbraid", "wbraid", "fbclid", "ttclid", "msclkid"];
+  var EMAIL_SELECTOR = "#billing_email, input[type=email], input[name=email]";
+
+  // endpoint = wherever this script was loaded from
+  var script = d.currentScript || (function () {
+    var s = d.getElementsByTagName("script");
+    return s[s.length - 1];
+  })();
+  var base = "";
+  try {
+    base = new URL(script.src).origin;
+  } catch (e) {
+    base = w.location.origin;
+  }
+
+  function uuid() {
+    if (w.crypto && w.crypto.randomUUID) return w.crypto.randomUUID();
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+      var r = (Math.random() * 16) | 0;
+      return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  function readCookie(name) {
+    var m = d.cookie.match(new RegExp("(?:^|; )" + name + "=([^;]*)"));
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  function writeCookie(name, value) {
+    var secure = w.location.protocol === "https:" ? "; Secure" : "";
+    d.cookie = name + "=" + encodeURIComponent(value) + "; Max-Age=" + MAX_AGE + "; Path=/; SameSite=Lax" + secure;
+  }
+
+  function anonId() {
+    var id = readCookie(COOKIE);
+    if (!id) {
+      try {
+        id = w.localStorage.getItem(COOKIE);
+      } catch (e) {}
+    }
+    if (!id || id.length > 80) id = uuid();
+
+    // refresh both on every page so the id outlives either store being cleared
+    writeCookie(COOKIE, id);
+    try {
+      w.localStorage.setItem(COOKIE, id);
+    } catch (e) {}
+    return id;
+  }
+
+  // text/plain keeps sendBeacon a "simple" request (no CORS preflight);
+  // vp-api parses it as JSON
+  function send(path, body) {
+    var url = base + path;
+    var data = JSON.stringify(body);
+
+    if (navigator.sendBeacon) {
+      try {
+        if (navigator.sendBeacon(url, new Blob([data], { type: "text/plain" }))) return;
+      } catch (e) {}
+    }
+    if (w.fetch) {
+      w.fetch(url, { method: "POST", body: data, keepalive: true, mode: "no-cors", credentials: "omit" });
+    }
+  }
+
+  var aid = anonId();
+  var params = new URLSearchParams(w.location.search);
+
+  function pageView() {
+    var body = {
+      anon_id: aid,
+      occurred_at: new Date().toISOString(),
+      url: w.location.href.slice(0, 2000),
+      referrer: d.referrer || null,
+      click_ids: {},
+      v: VERSION,
+    };
+
+    for (var i = 0; i < UTM_KEYS.length; i++) {
+      var u = params.get(UTM_KEYS[i]);
+      if (u) body[UTM_KEYS[i]] = u;
+    }
+    for (var j = 0; j < CLICK_ID_KEYS.length; j++) {
+      var c = params.get(CLICK_ID_KEYS[j]);
+      if (c) body.click_ids[CLICK_ID_KEYS[j]] = c;
+    }
+
+    send("/vp/collect", body);
+  }
+
+  var identified = {};
+  function maybeIdentify(el) {
+    var email = (el.value || "").trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254 || identified[email]) return;
+    identified[email] = true;
+    send("/vp/identify", { anon_id: aid, email: email, v: VERSION });
+  }
+
+  // delegated, so fields rendered late by checkout scripts are covered too
+  function onField(e) {
+    var el = e.target;
+    if (el && el.matches && el.matches(EMAIL_SELECTOR)) maybeIdentify(el);
+  }
+  d.addEventListener("change", onField, true);
+  d.addEventListener("blur", onField, true);
+
+  // autofilled fields never fire change — check once the page has settled
+  function scanPrefilled() {
+    var fields = d.querySelectorAll(EMAIL_SELECTOR);
+    for (var k = 0; k < fields.length; k++) maybeIdentify(fields[k]);
+  }
+
+  pageView();
+  if (d.readyState === "complete") scanPrefilled();
+  else w.addEventListener("load", scanPrefilled);
+
+  w.vp = { version: VERSION, anonId: aid, identify: function (email) { maybeIdentify({ value: email }); } };
+})(window, document);
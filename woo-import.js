@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// woo-import.js — load WooCommerce order export CSVs into orders / order_line_items
+//
+//   node woo-import.js --account <account_id> data/<export>.csv [more.csv ...]
+//
+// Idempotent on (account, Order ID). Re-importing an order overwrites it only
+// when the export's "Order Updated At" is not older than what we have, and a
+// status change is recorded in order_status_history.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { parseCsvObjects } = require('./csv');
+const { ensureOrderTables, orderFromExportRow } = require('./orders');
+
+// Export timestamps are in the shop's timezone, without an offset
+const WOO_TIMEZONE = process.env.WOO_TIMEZONE || 'Australia/Melbourne';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const TIMESTAMP_COLUMNS = new Set(['created_at', 'source_updated_at', 'paid_at', 'completed_at']);
+
+const ORDER_COLUMNS = [
+  'order_number', 'order_key', 'status', 'currency',
+  'total', 'total_shipping', 'total_discount', 'total_tax', 'total_fees', 'total_refunds', 'net',
+  'billing_first_name', 'billing_last_name', 'billing_email_hash',
+  'billing_city', 'billing_state', 'billing_postcode', 'billing_country', 'shipping_country',
+  'payment_method', 'payment_method_title', 'shipping_method', 'transaction_id',
+  'customer_id', 'created_via', 'referring_site', 'landing_path',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id', 'coupon_codes',
+  'cogs', 'gross_profit', 'product_cost', 'transaction_cost', 'shipping_cost', 'extra_cost',
+  'created_at', 'source_updated_at', 'paid_at', 'completed_at',
+];
+
+// $1 = account_id, $2 = order_id, $3 = timezone, then ORDER_COLUMNS from $4
+const UPSERT_SQL = `
+  WITH prev AS (
+    SELECT status FROM orders WHERE account_id = $1 AND order_id = $2
+  )
+  INSERT INTO orders (account_id, order_id, ${ORDER_COLUMNS.join(', ')}, status_changed_at, imported_at)
+  VALUES (
+    $1, $2,
+    ${ORDER_COLUMNS.map((c, i) => (TIMESTAMP_COLUMNS.has(c) ? `($${i + 4}::timestamp AT TIME ZONE $3)` : `$${i + 4}`)).join(', ')},
+    now(), now()
+  )
+  ON CONFLICT (account_id, order_id) DO UPDATE SET
+    ${ORDER_COLUMNS.map((c) => `${c} = EXCLUDED.${c}`).join(',\n    ')},
+    status_changed_at = CASE
+      WHEN orders.status IS DISTINCT FROM EXCLUDED.status THEN now()
+      ELSE orders.status_changed_at
+    END,
+    imported_at = now()
+  WHERE orders.source_updated_at IS NULL
+     OR EXCLUDED.source_updated_at IS NULL
+     OR EXCLUDED.source_updated_at >= orders.source_updated_at
+  RETURNING (SELECT status FROM prev) AS prev_status, (xmax = 0) AS inserted
+`;
+
+async function importOrder(client, accountId, o) {
+  const res = await client.query(UPSERT_SQL, [
+    accountId,
+    o.order_id,
+    WOO_TIMEZONE,
+    ...ORDER_COLUMNS.map((c) => o[c]),
+  ]);
+
+  // no row back = we already hold a newer version of this order
+  if (!res.rows[0]) return 'stale';
+
+  const { prev_status: prevStatus, inserted } = res.rows[0];
+
+  await client.query(`DELETE FROM order_line_items WHERE account_id = $1 AND order_id = $2`, [
+    accountId,
+    o.order_id,
+  ]);
+  for (const [i, li] of o.line_items.entries()) {
+    await client.query(
+      `INSERT INTO order_line_items (account_id, order_id, line_no, product_name, quantity)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [accountId, o.order_id, i + 1, li.product_name, li.quantity]
+    );
+  }
+
+  if (inserted || prevStatus !== o.status) {
+    await client.query(
+      `INSERT INTO order_status_history (account_id, order_id, old_status, new_status, source_updated_at)
+       VALUES ($1, $2, $3, $4, ($5::timestamp AT TIME ZONE $6))`,
+      [accountId, o.order_id, inserted ? null : prevStatus, o.status, o.source_updated_at, WOO_TIMEZONE]
+    );
+  }
+
+  if (inserted) return 'inserted';
+  return prevStatus !== o.status ? 'status_changed' : 'updated';
+}
+
+async function importFile(accountId, file) {
+  const rows = parseCsvObjects(fs.readFileSync(file, 'utf8'));
+  console.log(`\n📄 ${file}: ${rows.length} rows`);
+
+  const counts = { inserted: 0, updated: 0, status_changed: 0, stale: 0, invalid: 0 };
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const r of rows) {
+      const o = orderFromExportRow(r);
+      if (!o) {
+        counts.invalid += 1;
+        continue;
+      }
+      counts[await importOrder(client, accountId, o)] += 1;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(
+    `   ✅ new ${counts.inserted} | updated ${counts.updated} | status changed ${counts.status_changed}` +
+      ` | older than stored ${counts.stale} | invalid ${counts.invalid}`
+  );
+}
+
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { account: { type: 'string' } },
+  });
+
+  if (!values.account || !positionals.length) {
+    throw new Error('usage: woo-import.js --account <account_id> <export.csv> [...]');
+  }
+
+  const { rows } = await pool.query(`SELECT id, label FROM accounts WHERE id::text = $1::text`, [
+    values.account,
+  ]);
+  if (!rows[0]) throw new Error(`No account ${values.account}`);
+
+  await ensureOrderTables(pool);
+
+  console.log(`🚀 Importing WooCommerce orders for ${rows[0].label} (tz ${WOO_TIMEZONE})`);
+
+  // one transaction per file: a bad file leaves earlier ones imported
+  for (const file of positionals) {
+    await importFile(rows[0].id, file);
+  }
+
+  console.log('\n🏁 WooCommerce import complete');
+}
+
+run()
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());